@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Google Apps Script web app that generates jersey mockups with the Gemini API.
+ *
+ * Deploy it as a web app (Execute as: Me, Who has access: Anyone). The browser POSTs
+ *   { "prompt": "...", "images": [{ "mimeType": "image/png", "data": "<base64>" }, ...] }
+ * where `images` are the logo attachments (and an optional reference render) in the order the
+ * prompt refers to them. Web apps can't set HTTP status codes, so every answer is a 200 with a
+ * JSON envelope:
+ *   { "status": "success", "image": "<base64>", "mimeType": "image/png" }
+ *   { "status": "error", "code": "RATE_LIMITED", "message": "...", "retryable": true }
+ * See ERROR_CODES for the codes.
+ *
+ * The API key lives in Script Properties: run setApiKey() once in the Apps Script editor.
+ * apps-script/harness.js runs this file locally against stubbed Google services.
+ */
+
+const API_KEY_PROPERTY = 'GEMINI_API_KEY';
+// generateContent (not Imagen's :predict) so the logos can be sent as image parts
+const IMAGE_MODEL = 'gemini-2.5-flash-image-preview';
+
+const MAX_RETRIES = 3;
+const MAX_PROMPT_LENGTH = 10000;
+// Five logo slots plus a reference render
+const MAX_IMAGES = 6;
+// About 3 MB of image data per attachment
+const MAX_IMAGE_BASE64_LENGTH = 4 * 1024 * 1024;
+const ALLOWED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+// Finish reasons that mean the model refused rather than failed
+const SAFETY_FINISH_REASONS = ['SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'];
+
+const ERROR_CODES = {
+  BAD_INPUT: 'BAD_INPUT', // The request body is malformed; fix the request
+  NOT_CONFIGURED: 'NOT_CONFIGURED', // No API key in Script Properties
+  RATE_LIMITED: 'RATE_LIMITED', // Gemini kept answering 429 after our retries
+  SAFETY_BLOCKED: 'SAFETY_BLOCKED', // The prompt or the image was blocked by safety filters
+  NO_IMAGE: 'NO_IMAGE', // The model answered without an image
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR', // Gemini failed (5xx or an unexpected status)
+  INTERNAL: 'INTERNAL', // A bug in this script
+};
+
+// Codes where the same request may succeed later
+const RETRYABLE_CODES = [ERROR_CODES.RATE_LIMITED, ERROR_CODES.UPSTREAM_ERROR];
+
+/**
+ * [IMPORTANT] Saves your Gemini API key securely using the Script Properties service.
+ * Run this function once in the Apps Script editor after setting your key below.
+ */
+function setApiKey() {
+  // REPLACE "YOUR_GEMINI_API_KEY_HERE" with your actual API key before running.
+  const myApiKey = "YOUR_GEMINI_API_KEY_HERE";
+
+  if (myApiKey === "YOUR_GEMINI_API_KEY_HERE") {
+    Logger.log("Error: Please replace 'YOUR_GEMINI_API_KEY_HERE' with your actual key before running setApiKey().");
+    return;
+  }
+
+  PropertiesService.getScriptProperties().setProperty(API_KEY_PROPERTY, myApiKey);
+  Logger.log("API Key saved securely to PropertiesService.");
+}
+
+/**
+ * Creates an Error carrying one of the ERROR_CODES.
+ * @param {string} code The error code.
+ * @param {string} message A readable explanation.
+ * @returns {Error}
+ */
+function generationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parses and checks the web-app request body.
+ * @param {object} e The doPost event.
+ * @returns {{prompt: string, images: Array<{mimeType: string, data: string}>}}
+ * @throws {Error} BAD_INPUT, listing the first problem found.
+ */
+function parseRequest(e) {
+  if (!e || !e.postData || !e.postData.contents) {
+    throw generationError(ERROR_CODES.BAD_INPUT, 'The request has no body.');
+  }
+
+  let body;
+  try {
+    body = JSON.parse(e.postData.contents);
+  } catch (err) {
+    throw generationError(ERROR_CODES.BAD_INPUT, 'The request body is not valid JSON.');
+  }
+
+  const prompt = body && body.prompt;
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    throw generationError(ERROR_CODES.BAD_INPUT, 'prompt: Is required.');
+  }
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    throw generationError(ERROR_CODES.BAD_INPUT, `prompt: Must be at most ${MAX_PROMPT_LENGTH} characters.`);
+  }
+
+  const images = body.images == null ? [] : body.images;
+  if (!Array.isArray(images)) {
+    throw generationError(ERROR_CODES.BAD_INPUT, 'images: Must be an array.');
+  }
+  if (images.length > MAX_IMAGES) {
+    throw generationError(ERROR_CODES.BAD_INPUT, `images: At most ${MAX_IMAGES} images are allowed.`);
+  }
+  images.forEach((image, i) => {
+    if (!image || ALLOWED_IMAGE_TYPES.indexOf(image.mimeType) === -1) {
+      throw generationError(ERROR_CODES.BAD_INPUT, `images[${i}].mimeType: Must be one of ${ALLOWED_IMAGE_TYPES.join(', ')}.`);
+    }
+    if (typeof image.data !== 'string' || !BASE64_PATTERN.test(image.data)) {
+      throw generationError(ERROR_CODES.BAD_INPUT, `images[${i}].data: Must be base64 encoded image data without the data: prefix.`);
+    }
+    if (image.data.length > MAX_IMAGE_BASE64_LENGTH) {
+      throw generationError(ERROR_CODES.BAD_INPUT, `images[${i}].data: The image is too large.`);
+    }
+  });
+
+  return { prompt: prompt, images: images.map(image => ({ mimeType: image.mimeType, data: image.data })) };
+}
+
+// Pulls the readable message out of a Gemini error body, falling back to the raw text
+function apiErrorMessage(responseText) {
+  try {
+    const parsed = JSON.parse(responseText);
+    return (parsed.error && parsed.error.message) || responseText;
+  } catch (err) {
+    return responseText;
+  }
+}
+
+/**
+ * Reads the first image out of a generateContent response.
+ * @param {object} result The parsed response.
+ * @returns {{image: string, mimeType: string}}
+ * @throws {Error} SAFETY_BLOCKED or NO_IMAGE.
+ */
+function extractImage(result) {
+  if (result.promptFeedback && result.promptFeedback.blockReason) {
+    throw generationError(ERROR_CODES.SAFETY_BLOCKED, `The prompt was blocked by safety filters (${result.promptFeedback.blockReason}).`);
+  }
+
+  const candidate = (result.candidates || [])[0];
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+  const imagePart = parts.find(part => part.inlineData && part.inlineData.data);
+  if (imagePart) {
+    return { image: imagePart.inlineData.data, mimeType: imagePart.inlineData.mimeType || 'image/png' };
+  }
+
+  if (candidate && SAFETY_FINISH_REASONS.indexOf(candidate.finishReason) !== -1) {
+    throw generationError(ERROR_CODES.SAFETY_BLOCKED, `The image was blocked by safety filters (${candidate.finishReason}).`);
+  }
+  const text = parts.filter(part => part.text).map(part => part.text).join(' ');
+  throw generationError(ERROR_CODES.NO_IMAGE, `The model returned no image.${text ? ` It said: ${text}` : ''}`);
+}
+
+/**
+ * Generates an image from a prompt and optional reference images (logos) with Gemini.
+ *
+ * @param {string} prompt The text description of the image to generate.
+ * @param {Array<{mimeType: string, data: string}>} [images] Images attached after the prompt, in order.
+ * @returns {{image: string, mimeType: string}} The Base64 encoded image.
+ * @throws {Error} With a `code` from ERROR_CODES.
+ */
+function generateImage(prompt, images) {
+  const apiKey = PropertiesService.getScriptProperties().getProperty(API_KEY_PROPERTY);
+  if (!apiKey) {
+    throw generationError(ERROR_CODES.NOT_CONFIGURED, 'API Key not found. Please run the setApiKey() function first.');
+  }
+
+  const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${IMAGE_MODEL}:generateContent?key=${apiKey}`;
+
+  // The prompt first, then each attachment as an inlineData part
+  const payload = {
+    contents: [{
+      parts: [{ text: prompt }].concat((images || []).map(image => ({
+        inlineData: { mimeType: image.mimeType, data: image.data }
+      })))
+    }],
+    generationConfig: {
+      responseModalities: ['TEXT', 'IMAGE']
+    }
+  };
+
+  const options = {
+    method: 'post',
+    contentType: 'application/json',
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true // Allows the script to catch HTTP errors
+  };
+
+  Logger.log(`Sending request with ${(images || []).length} image(s) for prompt: ${prompt.slice(0, 200)}`);
+
+  // Implement simple exponential backoff for resilience (max 3 attempts)
+  for (let i = 0; i < MAX_RETRIES; i++) {
+    const response = UrlFetchApp.fetch(API_URL, options);
+    const responseCode = response.getResponseCode();
+    const responseText = response.getContentText();
+
+    if (responseCode === 200) {
+      let result;
+      try {
+        result = JSON.parse(responseText);
+      } catch (err) {
+        throw generationError(ERROR_CODES.UPSTREAM_ERROR, 'The Gemini API returned an unreadable response.');
+      }
+      return extractImage(result);
+    }
+
+    // 429 is Too Many Requests (Rate Limit); 5xx are transient server failures
+    const transient = responseCode === 429 || responseCode >= 500;
+    if (transient && i < MAX_RETRIES - 1) {
+      const delay = Math.pow(2, i) * 1000; // 1s, 2s
+      Logger.log(`Gemini returned ${responseCode}. Retrying in ${delay / 1000} seconds...`);
+      Utilities.sleep(delay);
+      continue;
+    }
+
+    Logger.log(`API Call Failed. Response Code: ${responseCode}`);
+    Logger.log(`Response: ${responseText}`);
+    if (responseCode === 429) {
+      throw generationError(ERROR_CODES.RATE_LIMITED, 'The Gemini API rate limit was reached. Try again in a minute.');
+    }
+    if (responseCode === 400) {
+      throw generationError(ERROR_CODES.BAD_INPUT, `The Gemini API rejected the request: ${apiErrorMessage(responseText)}`);
+    }
+    throw generationError(ERROR_CODES.UPSTREAM_ERROR, `The Gemini API failed with status ${responseCode}: ${apiErrorMessage(responseText)}`);
+  }
+}
+
+// Wraps a response envelope as JSON text output
+function jsonResponse(body) {
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Web-app entry point.
+ * @param {object} e The POST event; e.postData.contents holds the JSON request body.
+ * @returns {TextOutput} The JSON envelope described at the top of this file.
+ */
+function doPost(e) {
+  try {
+    const request = parseRequest(e);
+    const result = generateImage(request.prompt, request.images);
+    return jsonResponse({ status: 'success', image: result.image, mimeType: result.mimeType });
+  } catch (error) {
+    const code = error.code || ERROR_CODES.INTERNAL;
+    Logger.log(`doPost failed (${code}): ${error.message}`);
+    return jsonResponse({
+      status: 'error',
+      code: code,
+      message: code === ERROR_CODES.INTERNAL ? 'Unexpected server error.' : error.message,
+      retryable: RETRYABLE_CODES.indexOf(code) !== -1,
+    });
+  }
+}
+
+/**
+ * Example function to demonstrate how to call generateImage.
+ * This is designed to be run directly in the Apps Script environment (Run > runTest).
+ */
+function runTest() {
+  Logger.log("--- Checking API Key Setup ---");
+  const apiKeyCheck = PropertiesService.getScriptProperties().getProperty(API_KEY_PROPERTY);
+  if (!apiKeyCheck) {
+    Logger.log("SETUP REQUIRED: The API key is not set. Please run the setApiKey() function first.");
+    return;
+  }
+
+  const testPrompt = "A photorealistic image of a golden retriever wearing a tiny chef hat, standing in a brightly lit kitchen.";
+  Logger.log("--- Starting Test Image Generation ---");
+
+  try {
+    generateImage(testPrompt, []);
+    Logger.log("--- Image Data Successfully Received ---");
+    Logger.log("To view the image, use a Base64 to Image decoder online or integrate with a Google service like DocumentApp or SpreadsheetApp.");
+  } catch (error) {
+    Logger.log(`--- Image Generation Failed (${error.code || ERROR_CODES.INTERNAL}): ${error.message} ---`);
+  }
+}
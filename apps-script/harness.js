@@ -0,0 +1,175 @@
+// --- APPS SCRIPT LOCAL HARNESS ---
+
+/*
+  Runs apps-script/generateImage.js in a Node vm context with the Google services it uses
+  stubbed out (UrlFetchApp, PropertiesService, ContentService, Logger, Utilities), so the
+  web-app contract can be exercised without deploying or calling Gemini.
+
+  UrlFetchApp answers from a queue of canned responses; every call, sleep and log line is
+  recorded. Usage:
+    npm run apps-script:harness              # every scenario below
+    node apps-script/harness.js rate_limited # one scenario, printing its logs
+*/
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import vm from 'node:vm';
+
+const SCRIPT_PATH = fileURLToPath(new URL('./generateImage.js', import.meta.url));
+
+/**
+ * Loads the Apps Script file into a fresh sandbox.
+ * @param {object} [options]
+ * @param {Array<{code: number, body: object|string}>} [options.responses] What UrlFetchApp.fetch returns, in order.
+ * @param {Object<string, string>} [options.properties] Script Properties.
+ * @returns {{post: (body: object|string) => object, fetchCalls: Array<object>, sleeps: number[], logs: string[]}}
+ *   `post` runs doPost with a JSON (or raw string) body and returns the parsed envelope.
+ */
+export const createAppsScriptHarness = ({ responses = [], properties = {} } = {}) => {
+    const queue = [...responses];
+    const fetchCalls = [];
+    const sleeps = [];
+    const logs = [];
+
+    const context = vm.createContext({
+        UrlFetchApp: {
+            fetch: (url, options) => {
+                fetchCalls.push({ url, options, payload: JSON.parse(options.payload) });
+                const next = queue.shift();
+                if (!next) throw new Error('UrlFetchApp.fetch was called more often than the scenario expected.');
+                const text = typeof next.body === 'string' ? next.body : JSON.stringify(next.body);
+                return { getResponseCode: () => next.code, getContentText: () => text };
+            },
+        },
+        PropertiesService: {
+            getScriptProperties: () => ({
+                getProperty: (key) => properties[key] ?? null,
+                setProperty: (key, value) => { properties[key] = value; },
+            }),
+        },
+        ContentService: {
+            MimeType: { JSON: 'application/json' },
+            createTextOutput: (content) => {
+                const output = {
+                    mimeType: 'text/plain',
+                    getContent: () => content,
+                    setMimeType: (mimeType) => { output.mimeType = mimeType; return output; },
+                };
+                return output;
+            },
+        },
+        Logger: { log: (message) => logs.push(String(message)) },
+        Utilities: { sleep: (ms) => sleeps.push(ms) },
+    });
+    vm.runInContext(readFileSync(SCRIPT_PATH, 'utf8'), context, { filename: 'generateImage.js' });
+
+    const post = (body) => {
+        const contents = typeof body === 'string' ? body : JSON.stringify(body);
+        const output = context.doPost({ postData: { contents, type: 'text/plain' } });
+        if (output.mimeType !== 'application/json') {
+            throw new Error(`doPost answered with ${output.mimeType}, expected application/json.`);
+        }
+        return JSON.parse(output.getContent());
+    };
+
+    return { post, fetchCalls, sleeps, logs };
+};
+
+// --- Scenarios ---
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+const KEY = { GEMINI_API_KEY: 'test-key' };
+const LOGO_REQUEST = {
+    prompt: 'A red basketball jersey. Use attached image 1 as the crest and attached image 2 as the sponsor.',
+    images: [{ mimeType: 'image/png', data: PNG }, { mimeType: 'image/png', data: PNG }],
+};
+const IMAGE_RESPONSE = { code: 200, body: { candidates: [{ content: { parts: [{ text: 'Here is the jersey.' }, { inlineData: { mimeType: 'image/png', data: PNG } }] } }] } };
+
+export const SCENARIOS = {
+    success_with_logos: {
+        properties: KEY,
+        request: LOGO_REQUEST,
+        responses: [IMAGE_RESPONSE],
+        expect: 'success',
+        check: ({ fetchCalls }) => fetchCalls[0].payload.contents[0].parts.length === 3
+            && fetchCalls[0].url.includes(':generateContent'),
+    },
+    invalid_json: { properties: KEY, request: '{"prompt": ', responses: [], expect: 'BAD_INPUT' },
+    missing_prompt: { properties: KEY, request: { images: [] }, responses: [], expect: 'BAD_INPUT' },
+    unsupported_image: {
+        properties: KEY,
+        request: { prompt: 'A jersey.', images: [{ mimeType: 'application/pdf', data: PNG }] },
+        responses: [],
+        expect: 'BAD_INPUT',
+    },
+    not_configured: { properties: {}, request: LOGO_REQUEST, responses: [], expect: 'NOT_CONFIGURED' },
+    rate_limited: {
+        properties: KEY,
+        request: LOGO_REQUEST,
+        responses: [429, 429, 429].map(code => ({ code, body: { error: { message: 'Resource exhausted.' } } })),
+        expect: 'RATE_LIMITED',
+        check: ({ sleeps, fetchCalls }) => fetchCalls.length === 3 && sleeps.join() === '1000,2000',
+    },
+    recovers_after_rate_limit: {
+        properties: KEY,
+        request: LOGO_REQUEST,
+        responses: [{ code: 429, body: {} }, IMAGE_RESPONSE],
+        expect: 'success',
+    },
+    prompt_blocked: {
+        properties: KEY,
+        request: LOGO_REQUEST,
+        responses: [{ code: 200, body: { promptFeedback: { blockReason: 'SAFETY' } } }],
+        expect: 'SAFETY_BLOCKED',
+    },
+    image_blocked: {
+        properties: KEY,
+        request: LOGO_REQUEST,
+        responses: [{ code: 200, body: { candidates: [{ finishReason: 'IMAGE_SAFETY' }] } }],
+        expect: 'SAFETY_BLOCKED',
+    },
+    text_only_answer: {
+        properties: KEY,
+        request: LOGO_REQUEST,
+        responses: [{ code: 200, body: { candidates: [{ content: { parts: [{ text: 'I cannot draw that.' }] } }] } }],
+        expect: 'NO_IMAGE',
+    },
+    upstream_error: {
+        properties: KEY,
+        request: LOGO_REQUEST,
+        responses: [500, 503, 500].map(code => ({ code, body: 'Internal error' })),
+        expect: 'UPSTREAM_ERROR',
+    },
+};
+
+/**
+ * Runs one scenario.
+ * @param {string} name A SCENARIOS key.
+ * @returns {{name: string, passed: boolean, envelope: object, logs: string[]}}
+ */
+export const runScenario = (name) => {
+    const scenario = SCENARIOS[name];
+    const harness = createAppsScriptHarness({ responses: scenario.responses, properties: { ...scenario.properties } });
+    const envelope = harness.post(scenario.request);
+    const outcome = envelope.status === 'success' ? 'success' : envelope.code;
+    const passed = outcome === scenario.expect && (!scenario.check || scenario.check(harness));
+    return { name, passed, envelope, logs: harness.logs };
+};
+
+// CLI: run the named scenario (with its logs) or all of them
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const names = process.argv[2] ? [process.argv[2]] : Object.keys(SCENARIOS);
+    const unknown = names.find(name => !SCENARIOS[name]);
+    if (unknown) {
+        console.error(`Unknown scenario "${unknown}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+        process.exit(1);
+    }
+
+    const results = names.map(runScenario);
+    results.forEach(({ name, passed, envelope, logs }) => {
+        const summary = envelope.status === 'success' ? 'success' : `${envelope.code}: ${envelope.message}`;
+        console.log(`${passed ? 'ok  ' : 'FAIL'} ${name} -> ${summary}`);
+        if (names.length === 1) logs.forEach(line => console.log(`     ${line}`));
+    });
+    process.exit(results.every(r => r.passed) ? 0 : 1);
+}
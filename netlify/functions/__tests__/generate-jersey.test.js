@@ -0,0 +1,189 @@
+// --- GENERATE-JERSEY HANDLER TESTS ---
+
+/*
+  Runs the handler end to end against the Gemini provider with `fetch` stubbed, so no request
+  leaves the machine. Rate limits and the result cache are turned off; each test sets the
+  upstream response it needs.
+
+  This directory has no <name>.js or index.js, so Netlify doesn't deploy it as a function.
+*/
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.GEMINI_API_KEY = 'test-key';
+process.env.IMAGE_PROVIDER = 'gemini';
+process.env.RESULT_CACHE_STORE = 'none';
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+process.env.RATE_LIMIT_DAILY_QUOTA = '0';
+process.env.ALLOWED_ORIGINS = 'https://jerseys.example.com';
+
+const { handler } = await import('../generate-jersey.js');
+const { MAX_BODY_BYTES } = await import('../guards/request.js');
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0x0D]);
+const JPEG_BYTES = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10, 0x4A, 0x46, 0x49, 0x46]);
+const WEBP_BYTES = Buffer.concat([Buffer.from('RIFF'), Buffer.from([0x24, 0, 0, 0]), Buffer.from('WEBPVP8 ')]);
+
+const SPEC = {
+    jerseyType: 'soccer',
+    teamName: 'Test FC',
+    colors: { primary: '#112233', secondary: '#ffffff', accent: '#cc0000' },
+};
+
+const withCrest = (image, description = '') => ({
+    ...SPEC,
+    logos: [{ slot: 'crest', zone: 'center_chest', description, image }],
+});
+
+const image = (mimeType, bytes) => ({ mimeType, data: Buffer.from(bytes).toString('base64') });
+
+const request = ({ body, rawBody, headers = {}, httpMethod = 'POST' } = {}) => handler({
+    httpMethod,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: rawBody ?? JSON.stringify(body),
+});
+
+const parse = (response) => JSON.parse(response.body);
+
+// Upstream calls made by the handler, and the response each one gets
+let upstreamCalls;
+let upstreamResponse;
+const originalFetch = globalThis.fetch;
+
+const geminiImage = (data = 'aW1hZ2U=') => ({
+    status: 200,
+    body: { candidates: [{ content: { parts: [{ text: 'Here it is.' }, { inlineData: { mimeType: 'image/png', data } }] } }] },
+});
+
+beforeEach(() => {
+    upstreamCalls = [];
+    upstreamResponse = geminiImage();
+    globalThis.fetch = async (url, options) => {
+        upstreamCalls.push({ url, payload: JSON.parse(options.body) });
+        const { status, body } = upstreamResponse;
+        return { ok: status >= 200 && status < 300, status, json: async () => body };
+    };
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+test('generates an image for a spec without logos', async () => {
+    const response = await request({ body: { spec: SPEC } });
+    assert.equal(response.statusCode, 200);
+    assert.equal(parse(response).base64Data, 'aW1hZ2U=');
+    assert.equal(upstreamCalls.length, 1);
+});
+
+test('a crest without an image does not return 500', async () => {
+    const response = await request({ body: { spec: withCrest(null, 'A red dragon head') } });
+    assert.equal(response.statusCode, 200);
+});
+
+test('invalid JSON returns 400 with fields', async () => {
+    const response = await request({ rawBody: '{"spec": ' });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(parse(response).fields.map(f => f.field), ['body']);
+});
+
+test('an empty body returns 400 with fields', async () => {
+    const response = await request({ rawBody: '' });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(parse(response).fields.map(f => f.field), ['body']);
+});
+
+test('unknown fields return 400 naming them', async () => {
+    const response = await request({ body: { spec: SPEC, prompt: 'anything I like' } });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(parse(response).fields, [{ field: 'prompt', message: 'Unknown field.' }]);
+    assert.equal(upstreamCalls.length, 0);
+});
+
+test('a wrong Content-Type returns 415', async () => {
+    const response = await request({ body: { spec: SPEC }, headers: { 'content-type': 'text/plain' } });
+    assert.equal(response.statusCode, 415);
+});
+
+test('an oversized body returns 413', async () => {
+    const response = await request({ rawBody: JSON.stringify({ spec: SPEC, padding: 'x'.repeat(MAX_BODY_BYTES) }) });
+    assert.equal(response.statusCode, 413);
+});
+
+for (const [declared, actual, bytes] of [
+    ['image/png', 'JPEG', JPEG_BYTES],
+    ['image/jpeg', 'WebP', WEBP_BYTES],
+    ['image/webp', 'PNG', PNG_BYTES],
+]) {
+    test(`${actual} bytes declared as ${declared} are rejected`, async () => {
+        const response = await request({ body: { spec: withCrest(image(declared, bytes)) } });
+        assert.equal(response.statusCode, 400);
+        assert.deepEqual(parse(response).fields.map(f => f.field), ['logos.crest.image.data']);
+        assert.match(parse(response).fields[0].message, new RegExp(`contains ${actual} data`));
+        assert.equal(upstreamCalls.length, 0);
+    });
+}
+
+test('bytes that are no image at all are rejected', async () => {
+    const response = await request({ body: { spec: withCrest(image('image/png', Buffer.from('not an image'))) } });
+    assert.equal(response.statusCode, 400);
+    assert.match(parse(response).fields[0].message, /Is not a valid PNG image/);
+});
+
+test('matching magic bytes are accepted', async () => {
+    for (const [mimeType, bytes] of [['image/png', PNG_BYTES], ['image/jpeg', JPEG_BYTES], ['image/webp', WEBP_BYTES]]) {
+        const response = await request({ body: { spec: withCrest(image(mimeType, bytes)) } });
+        assert.equal(response.statusCode, 200, mimeType);
+    }
+});
+
+test('an SVG with <script> and onload is sanitized before it reaches the model', async () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"><script>alert(2)</script><circle r="5" fill="red"/></svg>';
+    const response = await request({ body: { spec: withCrest(image('image/svg+xml', Buffer.from(svg))) } });
+    assert.equal(response.statusCode, 200);
+
+    const sent = upstreamCalls[0].payload.contents[0].parts
+        .filter(part => part.inlineData?.mimeType === 'image/svg+xml')
+        .map(part => Buffer.from(part.inlineData.data, 'base64').toString('utf8'));
+    assert.equal(sent.length, 1);
+    assert.doesNotMatch(sent[0], /<script|onload|alert/i);
+    assert.match(sent[0], /<circle r="5" fill="red"\/>/);
+});
+
+test('an SVG whose active content survives sanitizing is rejected', async () => {
+    // There is no element or attribute to strip: a javascript: URL inside a stylesheet can't be cleaned
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><style>a{b:javascript:alert(1)}</style></svg>';
+    const response = await request({ body: { spec: withCrest(image('image/svg+xml', Buffer.from(svg))) } });
+    assert.equal(response.statusCode, 400);
+    assert.match(parse(response).fields[0].message, /active content/);
+});
+
+test('a disallowed Origin returns 403', async () => {
+    const response = await request({ body: { spec: SPEC }, headers: { origin: 'https://evil.example.com' } });
+    assert.equal(response.statusCode, 403);
+    assert.equal(response.headers['Access-Control-Allow-Origin'], undefined);
+    assert.equal(upstreamCalls.length, 0);
+});
+
+test('an allowed Origin is echoed back with Vary: Origin', async () => {
+    const response = await request({ body: { spec: SPEC }, headers: { origin: 'https://jerseys.example.com' } });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Access-Control-Allow-Origin'], 'https://jerseys.example.com');
+    assert.equal(response.headers.Vary, 'Origin');
+});
+
+test('a preflight from an allowed Origin returns 204 with the CORS headers', async () => {
+    const response = await request({ httpMethod: 'OPTIONS', headers: { origin: 'https://jerseys.example.com' } });
+    assert.equal(response.statusCode, 204);
+    assert.equal(response.headers['Access-Control-Allow-Origin'], 'https://jerseys.example.com');
+});
+
+for (const status of [400, 429, 503]) {
+    test(`an upstream ${status} is passed through`, async () => {
+        upstreamResponse = { status, body: { error: { message: `Upstream said ${status}` } } };
+        const response = await request({ body: { spec: SPEC } });
+        assert.equal(response.statusCode, status);
+        assert.equal(parse(response).error, `Upstream said ${status}`);
+    });
+}
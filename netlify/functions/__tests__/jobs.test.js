@@ -0,0 +1,64 @@
+// --- GENERATION JOB TESTS ---
+
+/*
+  Job lifecycle against a file store in a temporary directory, with the offline fixture provider.
+*/
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileStore } from '../cache/fileStore.js';
+import { getProvider } from '../providers/registry.js';
+import { JOB_STALE_MINUTES, createJob, loadJob, runJob } from '../jobs/jobs.js';
+import { getJobStore } from '../jobs/stores.js';
+import { isDeployed } from '../runtime/deployment.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'jobs-test-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+const store = createFileStore(dir);
+
+const prepared = (sampleCount = 2) => ({
+    spec: { jerseyType: 'soccer', logos: [], reference: null },
+    prompt: 'A soccer jersey',
+    provider: getProvider('fixture'),
+    sampleCount,
+});
+
+test('a queued job runs to success', async () => {
+    const { id } = await createJob(store, prepared());
+    const record = await runJob(store, id);
+    assert.equal(record.status, 'succeeded');
+    assert.equal(record.images.length, 2);
+    assert.deepEqual(record.progress, { completed: 2, total: 2 });
+});
+
+test('a job left queued past the stale limit is failed when read', async () => {
+    const { id } = await createJob(store, prepared());
+    const later = Date.now() + JOB_STALE_MINUTES * 60 * 1000 + 1;
+    const record = await loadJob(store, id, later);
+    assert.equal(record.status, 'failed');
+    assert.match(record.error, /stopped making progress/);
+    // The worker won't pick it up afterwards
+    assert.equal(await runJob(store, id), null);
+});
+
+test('a recently updated job is left alone', async () => {
+    const { id } = await createJob(store, prepared());
+    assert.equal((await loadJob(store, id)).status, 'queued');
+});
+
+test('deployed functions are detected, but not under netlify dev', () => {
+    assert.equal(isDeployed({ AWS_LAMBDA_FUNCTION_NAME: 'generation-jobs' }), true);
+    assert.equal(isDeployed({ AWS_LAMBDA_FUNCTION_NAME: 'generation-jobs', NETLIFY_DEV: 'true' }), false);
+    assert.equal(isDeployed({}), false);
+});
+
+test('a deployed site refuses the file job store', (t) => {
+    const saved = { ...process.env };
+    t.after(() => { process.env = saved; });
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'generation-jobs';
+    process.env.JOB_STORE = 'file';
+    assert.throws(() => getJobStore({}), /only works under netlify dev/);
+});
@@ -0,0 +1,27 @@
+// --- RATE LIMIT CLIENT RESOLUTION TESTS ---
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveClient } from '../rateLimit/limiter.js';
+
+const ENV = {};
+
+test('the connection IP set by Netlify wins over x-forwarded-for', () => {
+    const client = resolveClient({ headers: { 'x-nf-client-connection-ip': '203.0.113.5', 'x-forwarded-for': '198.51.100.1' } }, ENV);
+    assert.equal(client.key, 'ip:203.0.113.5');
+});
+
+test('client-supplied x-forwarded-for entries are ignored; only the proxy-appended last hop counts', () => {
+    const first = resolveClient({ headers: { 'x-forwarded-for': '198.51.100.1, 127.0.0.1' } }, ENV);
+    const second = resolveClient({ headers: { 'x-forwarded-for': '198.51.100.2, 127.0.0.1' } }, ENV);
+    assert.equal(first.key, 'ip:127.0.0.1');
+    assert.equal(second.key, first.key);
+});
+
+test('requests without any IP share one key', () => {
+    assert.equal(resolveClient({ headers: {} }, ENV).key, 'ip:unknown');
+});
+
+test('an unknown API token is rejected with 401', () => {
+    assert.throws(() => resolveClient({ headers: { authorization: 'Bearer nope' } }, { RATE_LIMIT_TOKENS: '{}' }), { statusCode: 401 });
+});
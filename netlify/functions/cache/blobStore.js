@@ -0,0 +1,29 @@
+// --- NETLIFY BLOBS RESULT CACHE STORE ---
+
+/*
+  Keeps cached generations in a Netlify Blobs store, shared by every function instance and
+  kept across deploys. Entries expire through the cache TTL (see ./resultCache.js), which
+  deletes them when a stale entry is read. The job store reuses it under its own name.
+*/
+
+import { connectLambda, getStore } from '@netlify/blobs';
+
+export const BLOB_STORE_NAME = 'generation-cache';
+
+/**
+ * Creates a cache store backed by Netlify Blobs.
+ * @param {object} event The function event (classic functions must hand it to connectLambda).
+ * @param {string} [storeName] The Netlify Blobs store.
+ * @returns {{name: string, get: Function, set: Function, delete: Function}} A store (see ./stores.js).
+ */
+export const createBlobStore = (event, storeName = BLOB_STORE_NAME) => {
+    connectLambda(event);
+    const blobs = getStore(storeName);
+
+    return {
+        name: 'blobs',
+        get: (key) => blobs.get(key, { type: 'json' }),
+        set: (key, entry) => blobs.setJSON(key, entry),
+        delete: (key) => blobs.delete(key),
+    };
+};
@@ -0,0 +1,43 @@
+// --- FILESYSTEM RESULT CACHE STORE ---
+
+/*
+  One JSON file per cache key in a local directory (RESULT_CACHE_DIR, by default a folder in
+  the OS temp directory). Meant for local development and scripted checks: on Netlify the
+  filesystem is per instance and short-lived, so deployments should use the blob store.
+*/
+
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+export const DEFAULT_CACHE_DIR = join(tmpdir(), 'jersey-result-cache');
+
+/**
+ * Creates a filesystem-backed cache store.
+ * @param {string} [dir] The cache directory (created on first write).
+ * @returns {{name: string, get: Function, set: Function, delete: Function}} A store (see ./stores.js).
+ */
+export const createFileStore = (dir = DEFAULT_CACHE_DIR) => {
+    // Keys are hex digests, but never let one walk out of the directory
+    const pathFor = (key) => join(dir, `${key.replace(/[^a-z0-9-]/gi, '')}.json`);
+
+    return {
+        name: 'file',
+        get: async (key) => {
+            try {
+                return JSON.parse(await readFile(pathFor(key), 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+        set: async (key, entry) => {
+            await mkdir(dir, { recursive: true });
+            // Write then rename, so a concurrent read never sees half a file
+            const temp = `${pathFor(key)}.${process.pid}.${Date.now()}.tmp`;
+            await writeFile(temp, JSON.stringify(entry));
+            await rename(temp, pathFor(key));
+        },
+        delete: (key) => rm(pathFor(key), { force: true }),
+    };
+};
@@ -0,0 +1,82 @@
+// --- GENERATION RESULT CACHE ---
+
+/*
+  Identical requests are answered from a cache instead of calling the model again (e.g. a
+  client reopening yesterday's design). The key is a SHA-256 of everything that decides the
+  output: the normalized design spec (logo and reference image bytes included), the prompt
+  built from it, the provider and model, and the number of candidates. Any change to the
+  design, the prompt templates or the model is a miss.
+
+  Entries expire after RESULT_CACHE_TTL_HOURS (default 168, one week; 0 turns caching off).
+  The cache is an optimization: if the store fails, the request is generated as usual.
+
+  Entry shape: { images: [base64...], provider, model, createdAt }
+*/
+
+import { createHash } from 'node:crypto';
+import { getResultCacheStore } from './stores.js';
+
+export const DEFAULT_TTL_HOURS = 168;
+
+// Bump to invalidate every entry when the key inputs change meaning
+const CACHE_KEY_VERSION = 1;
+
+/**
+ * Computes the cache key of a generation request.
+ * @param {object} request
+ * @param {object} request.spec The normalized (and image-checked) design spec.
+ * @param {string} request.prompt The prompt built from it.
+ * @param {{name: string, model: string}} request.provider The image provider.
+ * @param {number} request.sampleCount Number of candidates.
+ * @returns {string} A hex digest.
+ */
+export const resultCacheKey = ({ spec, prompt, provider, sampleCount }) => createHash('sha256')
+    .update(JSON.stringify({ v: CACHE_KEY_VERSION, provider: provider.name, model: provider.model, sampleCount, prompt, spec }))
+    .digest('hex');
+
+const readTtlMs = (env) => {
+    const hours = env.RESULT_CACHE_TTL_HOURS === undefined || env.RESULT_CACHE_TTL_HOURS === ''
+        ? DEFAULT_TTL_HOURS
+        : Number(env.RESULT_CACHE_TTL_HOURS);
+    if (!Number.isFinite(hours) || hours < 0) {
+        throw new Error(`RESULT_CACHE_TTL_HOURS must be a number of hours (0 turns caching off), got "${env.RESULT_CACHE_TTL_HOURS}".`);
+    }
+    return hours * 60 * 60 * 1000;
+};
+
+/**
+ * Opens the result cache for a request.
+ * @param {object} event The function event.
+ * @param {object} [env] Environment variables.
+ * @returns {{read: (key: string) => Promise<object|null>, write: (key: string, entry: object) => Promise<void>}|null}
+ *   The cache, or null when caching is off. Store failures are logged and read as misses.
+ */
+export const openResultCache = (event, env = process.env) => {
+    const ttlMs = readTtlMs(env);
+    const store = ttlMs > 0 ? getResultCacheStore(event) : null;
+    if (!store) return null;
+
+    return {
+        read: async (key, now = Date.now()) => {
+            try {
+                const entry = await store.get(key);
+                if (!entry) return null;
+                if (Date.parse(entry.createdAt) + ttlMs <= now) {
+                    await store.delete(key);
+                    return null;
+                }
+                return entry;
+            } catch (err) {
+                console.error(`Result cache (${store.name}) read failed:`, err);
+                return null;
+            }
+        },
+        write: async (key, entry) => {
+            try {
+                await store.set(key, { ...entry, createdAt: new Date().toISOString() });
+            } catch (err) {
+                console.error(`Result cache (${store.name}) write failed:`, err);
+            }
+        },
+    };
+};
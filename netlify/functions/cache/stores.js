@@ -0,0 +1,40 @@
+// --- RESULT CACHE STORE REGISTRY ---
+
+/*
+  Cached generations live in a pluggable store. Every store implements:
+    name               Identifier used by RESULT_CACHE_STORE.
+    get(key)           Resolves to the stored entry or null.
+    set(key, entry)    Stores a JSON-serializable entry.
+    delete(key)        Removes an entry (missing keys are fine).
+
+  RESULT_CACHE_STORE picks the store: 'file' (default, local development), 'blobs'
+  (Netlify Blobs, for deployments) or 'none' to turn caching off.
+*/
+
+import { createFileStore } from './fileStore.js';
+import { createBlobStore } from './blobStore.js';
+
+export const DEFAULT_RESULT_CACHE_STORE = 'file';
+
+export const RESULT_CACHE_STORES = {
+    file: () => createFileStore(process.env.RESULT_CACHE_DIR || undefined),
+    blobs: (event) => createBlobStore(event),
+    none: () => null,
+};
+
+/**
+ * Returns the configured result cache store.
+ * @param {object} event The function event (the blob store needs it to connect).
+ * @returns {object|null} The store, or null when caching is off.
+ * @throws {Error} When RESULT_CACHE_STORE names an unknown store.
+ */
+export const getResultCacheStore = (event) => {
+    const name = process.env.RESULT_CACHE_STORE || DEFAULT_RESULT_CACHE_STORE;
+    const createStore = RESULT_CACHE_STORES[name];
+
+    if (!createStore) {
+        throw new Error(`Unknown result cache store "${name}". Available: ${Object.keys(RESULT_CACHE_STORES).join(', ')}.`);
+    }
+
+    return createStore(event);
+};
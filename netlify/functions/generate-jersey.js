@@ -2,114 +2,124 @@
 
 /*
   This file is structured to be deployed as a Netlify Function.
-  It is triggered by an HTTPS request and accesses the API key 
+  It is triggered by an HTTPS request and accesses the API key
   from a secure environment variable.
+
+  The image model is pluggable (see ./providers/registry.js). It is chosen by the
+  `provider` field of the request body, then the IMAGE_PROVIDER environment variable,
+  and defaults to Gemini. IMAGE_PROVIDER=fixture runs the whole stack offline.
+
+  The request carries a structured design spec ({ spec: {...} }, see shared/designSpec.js),
+  never a prompt: the prompt is built here so clients cannot send arbitrary text through our key.
+  Malformed bodies and images that aren't what they claim to be get a 400 listing the bad
+  fields (see ./guards/), and browsers may only call from the origins in ALLOWED_ORIGINS.
+
+  Long multi-candidate runs should use the job API instead (see ./generation-jobs.js), which
+  runs them in a background function and reports progress.
+
+  Identical requests are answered from a result cache (see ./cache/resultCache.js) unless the
+  body sets `force: true`; responses report `cache: { status: 'hit' | 'miss' | 'bypass' | 'off' }`.
+  Every request that reaches the model is charged to its caller's per-minute rate limit and
+  daily image quota (see ./rateLimit/limiter.js); callers over a limit get a 429 with Retry-After.
 */
 
 // IMPORTANT: The API Key MUST be stored in an environment variable named GEMINI_API_KEY on Netlify.
-const API_KEY = process.env.GEMINI_API_KEY; 
-
-const GEMINI_MODEL = 'gemini-2.5-flash-image-preview';
 // Note: We are using the native global fetch() available in modern Node.js environments.
+import { generateSamples } from './providers/registry.js';
+import { buildReferenceImages } from '../../shared/promptBuilder.js';
+import { checkRateLimit } from './rateLimit/limiter.js';
+import { getRateLimitStore } from './rateLimit/stores.js';
+import { checkOrigin } from './guards/origins.js';
+import { openResultCache, resultCacheKey } from './cache/resultCache.js';
+import { prepareGeneration } from './generation/prepare.js';
+
+// Netlify Function Handler Signature: export const handler = async (event, context)
+export const handler = async (event, context) => {
+    // 1. Origin allowlist: every response carries the CORS headers for the caller's origin
+    const origin = checkOrigin(event);
+    const respond = (statusCode, body, headers = {}) => ({
+        statusCode,
+        headers: { ...origin.headers, 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    });
 
-// Netlify Function Handler Signature: exports.handler = async (event, context)
-exports.handler = async (event, context) => {
-    // 1. CORS Preflight Check (Crucial for cross-origin requests from the frontend)
+    if (!origin.allowed) {
+        return respond(403, { error: "This origin is not allowed to call the function." });
+    }
+
+    // CORS Preflight Check (Crucial for cross-origin requests from the frontend)
     if (event.httpMethod === 'OPTIONS') {
         return {
-            statusCode: 200,
+            statusCode: 204,
             headers: {
-                'Access-Control-Allow-Origin': '*', // Replace * with your actual site URL when deployed
+                ...origin.headers,
                 'Access-Control-Allow-Methods': 'POST, OPTIONS',
-                'Access-Control-Allow-Headers': 'Content-Type',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization',
             },
         };
     }
-    
-    // Check for API Key before proceeding
-    if (!API_KEY) {
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ error: "CRITICAL: API Key not configured on the server." }),
-        };
-    }
 
     if (event.httpMethod !== 'POST') {
-        return {
-            statusCode: 405,
-            body: JSON.stringify({ error: "Method Not Allowed" }),
-        };
+        return respond(405, { error: "Method Not Allowed" }, { Allow: 'POST, OPTIONS' });
     }
 
     try {
-        // Parse the request body from the frontend
-        const body = JSON.parse(event.body);
-        const { prompt, logoData } = body;
-
-        const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${API_KEY}`;
-
-        // 2. Construct the secure payload for the Google API
-        const payload = {
-            contents: [{
-                parts: [
-                    { text: prompt },
-                    {
-                        inlineData: {
-                            mimeType: logoData.mimeType,
-                            data: logoData.data
-                        }
-                    }
-                ]
-            }],
-            generationConfig: {
-                responseModalities: ['TEXT', 'IMAGE']
-            },
-        };
+        // 2. Identify the caller, validate the request and its images, build the prompt (see ./generation/prepare.js)
+        const { client, spec, prompt, provider, sampleCount, force } = prepareGeneration(event);
 
-        // 3. Call the Google API securely from the Netlify Function
-        const apiResponse = await fetch(GEMINI_API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        if (!apiResponse.ok) {
-            const errorBody = await apiResponse.json();
-            console.error("Gemini API Error:", errorBody);
-            // Forward relevant error to the client
-            return {
-                statusCode: apiResponse.status,
-                headers: { 'Access-Control-Allow-Origin': '*' },
-                body: JSON.stringify({ error: errorBody.error?.message || 'Gemini API call failed.' }),
-            };
+        // 3. Serve identical requests from the result cache; hits cost no quota
+        const cache = openResultCache(event);
+        const cacheKey = cache && resultCacheKey({ spec, prompt, provider, sampleCount });
+        if (cache && !force) {
+            const cached = await cache.read(cacheKey);
+            if (cached) {
+                return respond(200, {
+                    base64Data: cached.images[0],
+                    images: cached.images,
+                    provider: cached.provider,
+                    model: cached.model,
+                    cache: { status: 'hit', cachedAt: cached.createdAt },
+                });
+            }
         }
 
-        const result = await apiResponse.json();
-        
-        // 4. Extract ONLY the base64 image data
-        const base64Data = result?.candidates?.[0]?.content?.parts?.find(p => p.inlineData)?.inlineData?.data;
-
-        if (base64Data) {
-            // 5. Send only the image data back to the client
-            return {
-                statusCode: 200,
-                headers: { 'Access-Control-Allow-Origin': '*' },
-                body: JSON.stringify({ base64Data: base64Data }),
-            };
+        // 4. Charge the request to the caller's rate limit and daily image quota
+        const rateLimit = await checkRateLimit(getRateLimitStore(event), client, sampleCount);
+        if (!rateLimit.allowed) {
+            return respond(429, { error: rateLimit.message, limit: rateLimit.limit, retryAfter: rateLimit.retryAfter }, {
+                'Access-Control-Expose-Headers': 'Retry-After',
+                'Retry-After': String(rateLimit.retryAfter),
+            });
+        }
+
+        // 5. Call the selected image provider with the server-built prompt (once per batch of candidates)
+        const images = await generateSamples(provider, {
+            prompt,
+            images: buildReferenceImages(spec),
+        }, sampleCount);
+
+        // 6. Extract ONLY the base64 image data
+        const candidates = images.map(image => image.data);
+
+        if (candidates.length > 0) {
+            // 7. Cache the full batch, then send only the image data back to the client (base64Data is the first candidate)
+            if (cache && candidates.length === sampleCount) {
+                await cache.write(cacheKey, { images: candidates, provider: provider.name, model: provider.model });
+            }
+            let cacheStatus = 'off';
+            if (cache) cacheStatus = force ? 'bypass' : 'miss';
+            return respond(200, { base64Data: candidates[0], images: candidates, provider: provider.name, model: provider.model, cache: { status: cacheStatus } });
         } else {
-            return {
-                statusCode: 500,
-                headers: { 'Access-Control-Allow-Origin': '*' },
-                body: JSON.stringify({ error: "Image generation failed to return data." }),
-            };
+            return respond(500, { error: "Image generation failed to return data." });
         }
 
     } catch (error) {
+        // Provider and guard errors carry the status code to answer with; everything else is an internal error.
+        if (error.statusCode) {
+            return respond(error.statusCode, error.fields ? { error: error.message, fields: error.fields } : { error: error.message });
+        }
+
         console.error("Netlify Function internal error:", error);
-        return {
-            statusCode: 500,
-            headers: { 'Access-Control-Allow-Origin': '*' },
-            body: JSON.stringify({ error: `Internal server error: ${error.message}` }),
-        };
+        return respond(500, { error: "Internal server error." });
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,144 @@
+// --- GENERATION JOB API ---
+
+/*
+  Asynchronous generation, for runs that would outlast a synchronous function:
+    POST   /.netlify/functions/generation-jobs            Body as for generate-jersey. Creates a job
+                                                          and answers 202 with it; the background
+                                                          worker (generation-worker-background) runs it.
+    GET    /.netlify/functions/generation-jobs?id=<id>    Status, progress, partial results and errors.
+                                                          `&after=<n>` leaves out images already fetched.
+    DELETE /.netlify/functions/generation-jobs?id=<id>    Cancels the job before its next model call.
+
+  Requests go through the same checks as generate-jersey (origin allowlist, validation, result
+  cache, rate limits). A cache hit creates a job that has already succeeded. See ./jobs/jobs.js
+  for the job record and lifecycle.
+*/
+
+import { checkRateLimit } from './rateLimit/limiter.js';
+import { getRateLimitStore } from './rateLimit/stores.js';
+import { checkOrigin } from './guards/origins.js';
+import { openResultCache, resultCacheKey } from './cache/resultCache.js';
+import { prepareGeneration } from './generation/prepare.js';
+import { getJobStore } from './jobs/stores.js';
+import { createJob, failJob, isCancelRequested, isJobId, loadJob, requestCancel, toJobView, ACTIVE_JOB_STATUSES } from './jobs/jobs.js';
+
+const WORKER_PATH = '/.netlify/functions/generation-worker-background';
+
+// Background functions answer 202 at once and keep running (up to 15 minutes)
+const startWorker = async (event, id) => {
+    const siteUrl = event.rawUrl ? new URL(event.rawUrl).origin : process.env.URL;
+    const response = await fetch(`${siteUrl}${WORKER_PATH}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id }),
+    });
+    if (!response.ok) {
+        throw new Error(`The background worker did not start (status ${response.status}).`);
+    }
+};
+
+export const handler = async (event) => {
+    // 1. Origin allowlist: every response carries the CORS headers for the caller's origin
+    const origin = checkOrigin(event);
+    const respond = (statusCode, body, headers = {}) => ({
+        statusCode,
+        headers: { ...origin.headers, 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    });
+
+    if (!origin.allowed) {
+        return respond(403, { error: "This origin is not allowed to call the function." });
+    }
+
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 204,
+            headers: {
+                ...origin.headers,
+                'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            },
+        };
+    }
+
+    try {
+        const store = getJobStore(event);
+
+        if (event.httpMethod === 'POST') {
+            // 2. Validate the request and build the prompt (see ./generation/prepare.js)
+            const prepared = prepareGeneration(event);
+            const { client, spec, prompt, provider, sampleCount, force } = prepared;
+
+            // 3. A cached result becomes a job that has already succeeded; hits cost no quota
+            const cache = openResultCache(event);
+            if (cache && !force) {
+                const cached = await cache.read(resultCacheKey({ spec, prompt, provider, sampleCount }));
+                if (cached) {
+                    const record = await createJob(store, prepared, { images: cached.images, cache: { status: 'hit', cachedAt: cached.createdAt } });
+                    return respond(200, toJobView(record));
+                }
+            }
+
+            // 4. Charge the request to the caller's rate limit and daily image quota
+            const rateLimit = await checkRateLimit(getRateLimitStore(event), client, sampleCount);
+            if (!rateLimit.allowed) {
+                return respond(429, { error: rateLimit.message, limit: rateLimit.limit, retryAfter: rateLimit.retryAfter }, {
+                    'Access-Control-Expose-Headers': 'Retry-After',
+                    'Retry-After': String(rateLimit.retryAfter),
+                });
+            }
+
+            // 5. Queue the job and hand it to the background worker
+            let cacheStatus = 'off';
+            if (cache) cacheStatus = force ? 'bypass' : 'miss';
+            const record = await createJob(store, prepared, { cache: { status: cacheStatus } });
+            try {
+                await startWorker(event, record.id);
+            } catch (err) {
+                console.error("Generation job worker error:", err);
+                const failed = await failJob(store, record, err.message);
+                // The request was already charged to the rate limit: a blind retry would charge it again
+                return respond(502, { ...toJobView(failed), error: err.message, retryable: false });
+            }
+            return respond(202, toJobView(record), { Location: `/.netlify/functions/generation-jobs?id=${record.id}` });
+        }
+
+        if (event.httpMethod !== 'GET' && event.httpMethod !== 'DELETE') {
+            return respond(405, { error: "Method Not Allowed" }, { Allow: 'GET, POST, DELETE, OPTIONS' });
+        }
+
+        // GET and DELETE address an existing job
+        const { id, after } = event.queryStringParameters || {};
+        if (!isJobId(id)) {
+            return respond(400, { error: "A job id is required.", fields: [{ field: 'id', message: 'Must be a job id.' }] });
+        }
+        const record = await loadJob(store, id);
+        if (!record) {
+            return respond(404, { error: "Unknown or expired job." });
+        }
+
+        if (event.httpMethod === 'DELETE') {
+            // Finished jobs have nothing to stop; cancelling them is a no-op
+            if (!ACTIVE_JOB_STATUSES.includes(record.status)) {
+                return respond(200, toJobView(record));
+            }
+            await requestCancel(store, id);
+            return respond(202, toJobView(record, { cancelRequested: true }));
+        }
+
+        const skip = Number.parseInt(after, 10);
+        return respond(200, toJobView(record, {
+            cancelRequested: await isCancelRequested(store, id),
+            after: Number.isInteger(skip) && skip > 0 ? skip : 0,
+        }));
+
+    } catch (error) {
+        // Provider and guard errors carry the status code to answer with; everything else is an internal error.
+        if (error.statusCode) {
+            return respond(error.statusCode, error.fields ? { error: error.message, fields: error.fields } : { error: error.message });
+        }
+
+        console.error("Generation job API internal error:", error);
+        return respond(500, { error: "Internal server error." });
+    }
+};
@@ -0,0 +1,40 @@
+// --- GENERATION JOB WORKER (BACKGROUND FUNCTION) ---
+
+/*
+  Netlify runs functions whose name ends in "-background" asynchronously: the caller gets a
+  202 at once and the function may run for up to 15 minutes. The job API
+  (./generation-jobs.js) calls this with { id } after queueing a job; the worker runs it,
+  saving progress after every model call (see ./jobs/jobs.js).
+
+  Only queued jobs are run, so a repeated or stray call for a job that is already running
+  or finished does nothing.
+*/
+
+import { openResultCache } from './cache/resultCache.js';
+import { getJobStore } from './jobs/stores.js';
+import { failJob, isJobId, loadJob, runJob } from './jobs/jobs.js';
+
+export const handler = async (event) => {
+    let id = null;
+    try {
+        id = JSON.parse(event.body || '{}').id;
+    } catch {
+        // Reported below as a missing id
+    }
+    if (!isJobId(id)) {
+        console.error("Generation worker called without a valid job id.");
+        return;
+    }
+
+    const store = getJobStore(event);
+    try {
+        await runJob(store, id, { cache: openResultCache(event) });
+    } catch (error) {
+        // Don't leave the job "running" forever: clients would poll it until it expires
+        console.error(`Generation job ${id} crashed:`, error);
+        const record = await loadJob(store, id).catch(() => null);
+        if (record) {
+            await failJob(store, record, "The generation worker failed.").catch(() => {});
+        }
+    }
+};
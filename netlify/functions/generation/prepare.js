@@ -0,0 +1,65 @@
+// --- GENERATION REQUEST PREPARATION ---
+
+/*
+  What the synchronous endpoint (generate-jersey) and the job API (generation-jobs) both do
+  before calling a model: identify the caller, parse and validate the body and its images,
+  pick the provider and build the prompt. Problems are thrown as errors carrying the status
+  code (and field errors) to answer with.
+*/
+
+import { getProvider } from '../providers/registry.js';
+import { providerError } from '../providers/http.js';
+import { MAX_SAMPLE_COUNT, validateDesignSpec } from '../../../shared/designSpec.js';
+import { buildPrompt } from '../../../shared/promptBuilder.js';
+import { resolveClient } from '../rateLimit/limiter.js';
+import { MAX_PROMPT_LENGTH, badRequest, parseRequestBody } from '../guards/request.js';
+import { checkSpecImages } from '../guards/images.js';
+
+/**
+ * Checks a generation request and resolves everything needed to run it.
+ * @param {object} event The function event.
+ * @returns {{client: object, spec: object, prompt: string, provider: object, sampleCount: number, force: boolean}}
+ * @throws {Error} With `statusCode` (and `fields` for validation errors).
+ */
+export const prepareGeneration = (event) => {
+    // Identify the caller first so a bad API token is rejected before anything else
+    const client = resolveClient(event);
+
+    // Parse the request body (400 for anything that isn't a JSON object with a spec)
+    const { spec: rawSpec, provider: requestedProvider, sampleCount = 1, force = false } = parseRequestBody(event);
+
+    // Validate the design spec (and the candidate count) and report every bad field at once
+    const { valid, errors, spec: validSpec } = validateDesignSpec(rawSpec);
+    if (!Number.isInteger(sampleCount) || sampleCount < 1 || sampleCount > MAX_SAMPLE_COUNT) {
+        errors.push({ field: 'sampleCount', message: `Must be a whole number from 1 to ${MAX_SAMPLE_COUNT}.` });
+    }
+    if (!valid || errors.length > 0) {
+        throw badRequest("Invalid design spec.", errors);
+    }
+
+    // Decode every embedded image: real PNG/JPEG/WebP/SVG bytes, size caps, sanitized SVGs
+    const { errors: imageErrors, spec } = checkSpecImages(validSpec);
+    if (imageErrors.length > 0) {
+        throw badRequest("Invalid images in the design spec.", imageErrors);
+    }
+
+    const provider = getProvider(requestedProvider);
+
+    // Variations and edits send a previous render back; text-only models can't see it
+    if (spec.reference && !provider.supportsImageInput) {
+        throw badRequest(`The ${provider.name} provider cannot use reference images.`, [{ field: 'reference', message: 'Not supported by this provider.' }]);
+    }
+
+    // Check the provider has its API Key before proceeding
+    if (!provider.isConfigured()) {
+        throw providerError("CRITICAL: API Key not configured on the server.", 500);
+    }
+
+    // Every field is capped, but the template text adds up; refuse rather than send a truncated prompt
+    const prompt = buildPrompt(spec);
+    if (prompt.length > MAX_PROMPT_LENGTH) {
+        throw badRequest(`The design produces a prompt over ${MAX_PROMPT_LENGTH} characters. Shorten the design elements or logo descriptions.`);
+    }
+
+    return { client, spec, prompt, provider, sampleCount, force };
+};
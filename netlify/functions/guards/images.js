@@ -0,0 +1,135 @@
+// --- IMAGE CHECKS ---
+
+/*
+  The spec validator only checks that images look like base64. Here every embedded image
+  (logos and the reference render) is decoded and checked on the server:
+    - its bytes must really be PNG, JPEG, WebP or SVG, matching the declared MIME type;
+    - it must be at most MAX_IMAGE_BYTES;
+    - SVGs are sanitized: scripts, event handlers, foreign content, entities and external
+      references are removed, and the SVG is rejected if anything active survives.
+  Image models only read raster images, which is why the web app rasterizes SVG logos
+  before sending them; SVGs here come from API clients.
+*/
+
+export const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+
+const IMAGE_TYPES = {
+    'image/png': 'PNG',
+    'image/jpeg': 'JPEG',
+    'image/webp': 'WebP',
+    'image/svg+xml': 'SVG',
+};
+
+// Browsers and older tools still label JPEGs image/jpg
+const MIME_ALIASES = { 'image/jpg': 'image/jpeg', 'image/pjpeg': 'image/jpeg' };
+
+const startsWith = (bytes, signature, offset = 0) => signature.every((byte, i) => bytes[offset + i] === byte);
+
+const ascii = (text) => [...text].map(c => c.charCodeAt(0));
+
+/**
+ * Identifies an image by its leading bytes.
+ * @param {Buffer} bytes The decoded image.
+ * @returns {string|null} The MIME type, or null when it is none of the accepted formats.
+ */
+export const sniffImageType = (bytes) => {
+    if (startsWith(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (startsWith(bytes, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) return 'image/webp';
+
+    // SVG is text: skip a BOM, the XML declaration, comments and a doctype before the root element
+    const head = bytes.subarray(0, 4096).toString('utf8')
+        .replace(/^\uFEFF/, '')
+        .replace(/^(\s|<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>)*/i, '');
+    if (/^<svg[\s>]/i.test(head)) return 'image/svg+xml';
+    return null;
+};
+
+// Only same-document fragments and embedded raster images may be referenced
+const SAFE_REFERENCE = /^\s*(#|data:image\/(png|jpeg|webp|gif);base64,)/i;
+
+// Anything still matching after sanitizing means the sanitizer missed something
+const ACTIVE_CONTENT = /<\s*(script|foreignObject|iframe|embed|object|audio|video|handler|listener)\b|\son[a-z]+\s*=|javascript:|<!ENTITY|<\?xml-stylesheet|@import/i;
+
+/**
+ * Strips active content from an SVG document.
+ * @param {string} svg The SVG source.
+ * @returns {string|null} The sanitized SVG, or null when it can't be made safe.
+ */
+export const sanitizeSvg = (svg) => {
+    const sanitized = svg
+        // Entities (including external ones) and stylesheet processing instructions
+        .replace(/<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>/gi, '')
+        .replace(/<\?xml-stylesheet[\s\S]*?\?>/gi, '')
+        // Script-capable elements, with their content
+        .replace(/<\s*(script|foreignObject|iframe|embed|object|audio|video|handler|listener)\b[\s\S]*?<\s*\/\s*\1\s*>/gi, '')
+        .replace(/<\s*(script|foreignObject|iframe|embed|object|audio|video|handler|listener)\b[^>]*\/?>/gi, '')
+        // Event handler attributes
+        .replace(/\son[a-z]+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+        // External references (href, xlink:href, src) and url() in styles
+        .replace(/\s(xlink:href|href|src)\s*=\s*("([^"]*)"|'([^']*)')/gi, (attr, name, quoted, dq, sq) => (
+            SAFE_REFERENCE.test(dq ?? sq) ? attr : ''
+        ))
+        .replace(/url\(\s*(?!['"]?#)[^)]*\)/gi, 'none');
+
+    return ACTIVE_CONTENT.test(sanitized) ? null : sanitized;
+};
+
+/**
+ * Decodes and checks one embedded image.
+ * @param {{mimeType: string, data: string}} image From the validated spec.
+ * @param {string} field Field name used in error messages.
+ * @param {(field: string, message: string) => void} addError Collects validation errors.
+ * @returns {{mimeType: string, data: string}} The image (SVGs sanitized, MIME aliases normalized).
+ */
+const checkImage = (image, field, addError) => {
+    const declared = MIME_ALIASES[image.mimeType] || image.mimeType;
+    if (!IMAGE_TYPES[declared]) {
+        addError(`${field}.mimeType`, `Must be one of: ${Object.values(IMAGE_TYPES).join(', ')}.`);
+        return image;
+    }
+
+    const bytes = Buffer.from(image.data, 'base64');
+    if (bytes.length > MAX_IMAGE_BYTES) {
+        addError(`${field}.data`, `The image is ${(bytes.length / 1024 / 1024).toFixed(1)} MB; the limit is ${MAX_IMAGE_BYTES / 1024 / 1024} MB.`);
+        return image;
+    }
+
+    const actual = sniffImageType(bytes);
+    if (actual !== declared) {
+        addError(`${field}.data`, actual
+            ? `Is declared as ${IMAGE_TYPES[declared]} but contains ${IMAGE_TYPES[actual]} data.`
+            : `Is not a valid ${IMAGE_TYPES[declared]} image.`);
+        return image;
+    }
+
+    if (declared === 'image/svg+xml') {
+        const sanitized = sanitizeSvg(bytes.toString('utf8'));
+        if (sanitized === null) {
+            addError(`${field}.data`, 'The SVG contains scripts or other active content that could not be removed.');
+            return image;
+        }
+        return { ...image, mimeType: declared, data: Buffer.from(sanitized, 'utf8').toString('base64') };
+    }
+    return { ...image, mimeType: declared };
+};
+
+/**
+ * Checks every image embedded in a validated design spec.
+ * @param {object} spec A normalized design spec.
+ * @returns {{errors: Array<{field: string, message: string}>, spec: object}} The spec with
+ *   checked images (sanitized SVGs, normalized MIME types).
+ */
+export const checkSpecImages = (spec) => {
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+
+    const logos = spec.logos.map(logo => (logo.image
+        ? { ...logo, image: checkImage(logo.image, `logos.${logo.slot}.image`, addError) }
+        : logo));
+    const reference = spec.reference
+        ? { ...spec.reference, image: checkImage(spec.reference.image, 'reference.image', addError) }
+        : spec.reference;
+
+    return { errors, spec: { ...spec, logos, reference } };
+};
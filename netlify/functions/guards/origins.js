@@ -0,0 +1,49 @@
+// --- ORIGIN ALLOWLIST (CORS) ---
+
+/*
+  Browsers may only call the function from allowed origins. ALLOWED_ORIGINS is a
+  comma-separated list (e.g. "https://jerseys.example.com,http://localhost:5173"); "*" allows
+  every origin. Without it, the site's own Netlify URLs (URL, DEPLOY_PRIME_URL, DEPLOY_URL,
+  set by Netlify) are allowed.
+
+  Requests without an Origin header (curl, servers) are not browser requests: CORS doesn't
+  apply to them, and the rate limits and API tokens govern them instead.
+*/
+
+/**
+ * Reads the allowed origins from the environment.
+ * @param {object} [env] Environment variables.
+ * @returns {string[]} Origins without trailing slashes, or ['*'].
+ */
+export const getAllowedOrigins = (env = process.env) => {
+    const configured = env.ALLOWED_ORIGINS
+        ? env.ALLOWED_ORIGINS.split(',')
+        : [env.URL, env.DEPLOY_PRIME_URL, env.DEPLOY_URL];
+    return configured
+        .filter(Boolean)
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+};
+
+/**
+ * Checks the request's Origin against the allowlist.
+ * @param {object} event The function event.
+ * @param {object} [env] Environment variables.
+ * @returns {{allowed: boolean, headers: object}} The CORS headers to send with every response
+ *   (empty for requests without an Origin).
+ */
+export const checkOrigin = (event, env = process.env) => {
+    const origin = (event.headers || {}).origin;
+    if (!origin) {
+        return { allowed: true, headers: {} };
+    }
+
+    const allowedOrigins = getAllowedOrigins(env);
+    if (allowedOrigins.includes('*')) {
+        return { allowed: true, headers: { 'Access-Control-Allow-Origin': '*' } };
+    }
+    if (!allowedOrigins.includes(origin)) {
+        return { allowed: false, headers: { Vary: 'Origin' } };
+    }
+    return { allowed: true, headers: { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' } };
+};
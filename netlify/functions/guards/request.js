@@ -0,0 +1,78 @@
+// --- REQUEST BODY CHECKS ---
+
+/*
+  Parses the request body before the design spec is validated, so malformed requests get a
+  400 that says what is wrong instead of an internal error.
+*/
+
+import { providerError } from '../providers/http.js';
+
+// Netlify rejects synchronous function payloads over 6 MB; fail earlier with a clear message
+export const MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+// The prompt is built from capped spec fields; this is the backstop for what they add up to
+export const MAX_PROMPT_LENGTH = 8000;
+
+const BODY_FIELDS = ['spec', 'provider', 'sampleCount', 'force'];
+
+/**
+ * Creates a 400 error listing bad fields (the handler forwards `fields` to the client).
+ * @param {string} message Summary.
+ * @param {Array<{field: string, message: string}>} [fields] Field errors.
+ * @returns {Error}
+ */
+export const badRequest = (message, fields = []) => {
+    const error = providerError(message, 400);
+    if (fields.length > 0) error.fields = fields;
+    return error;
+};
+
+/**
+ * Parses and shape-checks the JSON request body.
+ * @param {object} event The function event.
+ * @returns {{spec: object, provider?: string, sampleCount?: number, force?: boolean}} The body.
+ * @throws {Error} A 400 (or 413 for oversized bodies) providerError.
+ */
+export const parseRequestBody = (event) => {
+    const contentType = (event.headers || {})['content-type'] || '';
+    if (!/^application\/json\b/i.test(contentType)) {
+        throw providerError('Content-Type must be application/json.', 415);
+    }
+
+    const text = event.isBase64Encoded
+        ? Buffer.from(event.body || '', 'base64').toString('utf8')
+        : event.body || '';
+    if (Buffer.byteLength(text, 'utf8') > MAX_BODY_BYTES) {
+        throw providerError(`The request body is larger than ${MAX_BODY_BYTES / 1024 / 1024} MB. Use smaller logo files.`, 413);
+    }
+    if (!text.trim()) {
+        throw badRequest('The request body is empty.', [{ field: 'body', message: 'Is required.' }]);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (err) {
+        throw badRequest('The request body is not valid JSON.', [{ field: 'body', message: err.message }]);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw badRequest('The request body must be a JSON object.', [{ field: 'body', message: 'Must be a JSON object.' }]);
+    }
+
+    const fields = Object.keys(body)
+        .filter(key => !BODY_FIELDS.includes(key))
+        .map(key => ({ field: key, message: 'Unknown field.' }));
+    if (body.spec === undefined) {
+        fields.push({ field: 'spec', message: 'Is required.' });
+    }
+    if (body.provider !== undefined && typeof body.provider !== 'string') {
+        fields.push({ field: 'provider', message: 'Must be a provider name.' });
+    }
+    if (body.force !== undefined && typeof body.force !== 'boolean') {
+        fields.push({ field: 'force', message: 'Must be true or false.' });
+    }
+    if (fields.length > 0) {
+        throw badRequest('Invalid request.', fields);
+    }
+    return body;
+};
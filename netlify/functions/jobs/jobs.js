@@ -0,0 +1,198 @@
+// --- GENERATION JOBS ---
+
+/*
+  A job runs one generation request (all of its candidates) in the background worker, so
+  long multi-candidate runs aren't cut off by the synchronous function time limit, and
+  clients can watch progress and collect candidates as they arrive.
+
+  Lifecycle: queued -> running -> succeeded | failed | cancelled.
+
+  Records live in the job store (see ./stores.js) under their id. A cancellation is a
+  separate marker key (`<id>-cancel`), so the worker's progress writes can never overwrite
+  it; the worker checks for it before every model call. Jobs expire JOB_TTL_HOURS after
+  their last update.
+
+  A job that is queued or running but hasn't been updated for JOB_STALE_MINUTES is marked
+  failed the next time it is read: its worker never started or died (e.g. hit the background
+  function time limit), and nothing else would ever finish it.
+
+  Record: { id, status, createdAt, updatedAt, progress: { completed, total }, images: [base64...],
+            errors: [message...], error, cache, provider, model, request }
+  `request` ({ spec, prompt, provider, sampleCount }) is what the worker needs; it is never
+  returned to clients.
+*/
+
+import { randomUUID } from 'node:crypto';
+import { getProvider } from '../providers/registry.js';
+import { buildReferenceImages } from '../../../shared/promptBuilder.js';
+import { resultCacheKey } from '../cache/resultCache.js';
+
+export const JOB_TTL_HOURS = 24;
+
+// Longer than any single model call takes; the worker saves the job after every call
+export const JOB_STALE_MINUTES = 5;
+
+// Statuses a job can still leave (the client keeps polling while a job is in one of them)
+export const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const cancelKey = (id) => `${id}-cancel`;
+
+/**
+ * Checks that a value looks like a job id (before it is used as a store key).
+ * @param {*} id
+ * @returns {boolean}
+ */
+export const isJobId = (id) => typeof id === 'string' && JOB_ID_PATTERN.test(id);
+
+const saveJob = async (store, record) => {
+    const saved = { ...record, updatedAt: new Date().toISOString() };
+    await store.set(saved.id, saved);
+    return saved;
+};
+
+/**
+ * Creates a job for a prepared request (see ../generation/prepare.js).
+ * @param {object} store The job store.
+ * @param {object} prepared { spec, prompt, provider, sampleCount }.
+ * @param {object} [options]
+ * @param {object|null} [options.cache] The result cache status reported with the job.
+ * @param {string[]|null} [options.images] A finished result (e.g. a cache hit); the job is
+ *   then created already succeeded.
+ * @returns {Promise<object>} The stored record.
+ */
+export const createJob = (store, { spec, prompt, provider, sampleCount }, { cache = null, images = null } = {}) => saveJob(store, {
+    id: randomUUID(),
+    status: images ? 'succeeded' : 'queued',
+    createdAt: new Date().toISOString(),
+    progress: { completed: images ? sampleCount : 0, total: sampleCount },
+    images: images || [],
+    errors: [],
+    error: null,
+    cache,
+    provider: provider.name,
+    model: provider.model,
+    request: { spec, prompt, provider: provider.name, sampleCount },
+});
+
+/**
+ * Reads a job, dropping it when it has expired and failing it when it has stalled.
+ * @param {object} store The job store.
+ * @param {string} id The job id.
+ * @param {number} [now] Current time, in milliseconds.
+ * @returns {Promise<object|null>} The record, or null when unknown or expired.
+ */
+export const loadJob = async (store, id, now = Date.now()) => {
+    const record = await store.get(id);
+    if (!record) return null;
+    const updatedAt = Date.parse(record.updatedAt);
+    if (updatedAt + JOB_TTL_HOURS * 60 * 60 * 1000 <= now) {
+        await Promise.all([store.delete(id), store.delete(cancelKey(id))]);
+        return null;
+    }
+    if (ACTIVE_JOB_STATUSES.includes(record.status) && updatedAt + JOB_STALE_MINUTES * 60 * 1000 <= now) {
+        return failJob(store, record, `The job stopped making progress (no update for ${JOB_STALE_MINUTES} minutes). Please try again.`);
+    }
+    return record;
+};
+
+/**
+ * Checks whether a job's cancellation was requested.
+ * @param {object} store The job store.
+ * @param {string} id The job id.
+ * @returns {Promise<boolean>}
+ */
+export const isCancelRequested = async (store, id) => Boolean(await store.get(cancelKey(id)));
+
+/**
+ * Asks the worker to stop a job before its next model call.
+ * @param {object} store The job store.
+ * @param {string} id The job id.
+ * @returns {Promise<void>}
+ */
+export const requestCancel = (store, id) => store.set(cancelKey(id), { requestedAt: new Date().toISOString() });
+
+/**
+ * Marks a job failed (e.g. when the worker could not be started).
+ * @param {object} store The job store.
+ * @param {object} record The job record.
+ * @param {string} message Why.
+ * @returns {Promise<object>} The stored record.
+ */
+export const failJob = (store, record, message) => saveJob(store, { ...record, status: 'failed', error: message });
+
+/**
+ * The client-facing view of a job.
+ * @param {object} record The job record.
+ * @param {object} [options]
+ * @param {boolean} [options.cancelRequested] Reported as status 'cancelling' while the job is active.
+ * @param {number} [options.after] Leave out the first `after` images (the client already has them).
+ * @returns {object} { id, status, progress, images, imageOffset, imageCount, errors, error, cache, provider, model, createdAt, updatedAt }
+ */
+export const toJobView = (record, { cancelRequested = false, after = 0 } = {}) => ({
+    id: record.id,
+    status: cancelRequested && ACTIVE_JOB_STATUSES.includes(record.status) ? 'cancelling' : record.status,
+    progress: record.progress,
+    images: record.images.slice(after),
+    imageOffset: after,
+    imageCount: record.images.length,
+    errors: record.errors,
+    error: record.error,
+    cache: record.cache,
+    provider: record.provider,
+    model: record.model,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+});
+
+/**
+ * Runs a queued job to the end: one model call per batch of candidates, saving progress and
+ * partial results after each call. Failed calls are recorded and the job carries on; it fails
+ * only when no candidate came back.
+ * @param {object} store The job store.
+ * @param {string} id The job id.
+ * @param {object} [options]
+ * @param {object|null} [options.cache] The result cache (see ../cache/resultCache.js); complete
+ *   results are written to it.
+ * @returns {Promise<object|null>} The final record, or null when the job was not queued.
+ */
+export const runJob = async (store, id, { cache = null } = {}) => {
+    const queued = await loadJob(store, id);
+    // Another worker took it, or it finished or expired
+    if (!queued || queued.status !== 'queued') return null;
+
+    const { spec, prompt, sampleCount } = queued.request;
+    const provider = getProvider(queued.request.provider);
+    const referenceImages = buildReferenceImages(spec);
+    let record = await saveJob(store, { ...queued, status: 'running' });
+
+    for (let done = 0; done < sampleCount;) {
+        if (await isCancelRequested(store, id)) {
+            return saveJob(store, { ...record, status: 'cancelled' });
+        }
+        // A call that outlasted JOB_STALE_MINUTES may have got the job failed meanwhile; don't overwrite that
+        const current = await loadJob(store, id);
+        if (current?.status !== 'running') return current;
+
+        const count = Math.min(provider.maxSamplesPerCall, sampleCount - done);
+        try {
+            const result = await provider.generate({ prompt, images: referenceImages, sampleCount: count, sampleOffset: done });
+            record = { ...record, images: [...record.images, ...result.images.map(image => image.data)] };
+        } catch (err) {
+            console.error(`Generation job ${id} call failed:`, err);
+            record = { ...record, errors: [...record.errors, err.message] };
+        }
+        done += count;
+        record = await saveJob(store, { ...record, progress: { completed: done, total: sampleCount } });
+    }
+
+    if (record.images.length === 0) {
+        return failJob(store, record, record.errors[0] || "Image generation failed to return data.");
+    }
+    // Only complete batches are cached, as in the synchronous endpoint
+    if (cache && record.images.length === sampleCount) {
+        await cache.write(resultCacheKey({ spec, prompt, provider, sampleCount }), { images: record.images, provider: provider.name, model: provider.model });
+    }
+    return saveJob(store, { ...record, status: 'succeeded' });
+};
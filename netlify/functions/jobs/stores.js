@@ -0,0 +1,46 @@
+// --- JOB STORE REGISTRY ---
+
+/*
+  Job records are shared by the job API and the background worker, which run as separate
+  functions, so they need a store both can reach. Stores implement the same get/set/delete
+  interface as the result cache stores (see ../cache/stores.js), and reuse them.
+
+  JOB_STORE picks the store: 'file' (local development with `netlify dev`, under JOB_STORE_DIR
+  or the OS temp directory) or 'blobs' (Netlify Blobs). It defaults to 'blobs' when deployed
+  and 'file' otherwise. A deployed site can't use 'file': the job API and the worker would
+  each see their own temp directory, and jobs would never start.
+*/
+
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileStore } from '../cache/fileStore.js';
+import { createBlobStore } from '../cache/blobStore.js';
+import { isDeployed } from '../runtime/deployment.js';
+
+export const DEFAULT_JOB_STORE = { local: 'file', deployed: 'blobs' };
+
+export const JOB_STORES = {
+    file: () => createFileStore(process.env.JOB_STORE_DIR || join(tmpdir(), 'jersey-generation-jobs')),
+    blobs: (event) => createBlobStore(event, 'generation-jobs'),
+};
+
+/**
+ * Returns the configured job store.
+ * @param {object} event The function event (the blob store needs it to connect).
+ * @returns {object} The store.
+ * @throws {Error} When JOB_STORE names an unknown store, or one the deployed functions can't share.
+ */
+export const getJobStore = (event) => {
+    const deployed = isDeployed();
+    const name = process.env.JOB_STORE || (deployed ? DEFAULT_JOB_STORE.deployed : DEFAULT_JOB_STORE.local);
+    const createStore = JOB_STORES[name];
+
+    if (!createStore) {
+        throw new Error(`Unknown job store "${name}". Available: ${Object.keys(JOB_STORES).join(', ')}.`);
+    }
+    if (deployed && name === 'file') {
+        throw new Error("JOB_STORE=file only works under netlify dev: deployed functions don't share a temp directory. Use JOB_STORE=blobs.");
+    }
+
+    return createStore(event);
+};
@@ -0,0 +1,55 @@
+// --- FIXTURE PROVIDER (offline) ---
+
+/*
+  Returns canned PNGs without any network access, so the whole stack can run offline
+  (IMAGE_PROVIDER=fixture). The same prompt always yields the same image.
+*/
+
+// 16x16 jersey silhouettes: red/white, blue/yellow and green/black.
+const FIXTURE_IMAGES = [
+    'iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAIAAACQkWg2AAAAIklEQVR4nGP4TyJgoJeG9y4uBNFg10BQD5ZQGtVAEw1EAgBbmzofyBA0SgAAAABJRU5ErkJggg==',
+    'iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAIAAACQkWg2AAAANUlEQVR4nGP4Dwa/zohC0H8MgCbFQHsNEI5q8muCCKJyMGqAew6/ariyUQ001gBPZFgRXBkAJ7YGR6qxcLkAAAAASUVORK5CYII=',
+    'iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAIAAACQkWg2AAAANUlEQVR4nGP4DwaCEuoQ9B8DoEkx0F4DhCOws5EggqgcjBrgnsOvGq5sVAONNcATGVYEVwYAIYOt1LPiTWkAAAAASUVORK5CYII=',
+];
+
+/**
+ * Cheap, stable string hash (djb2) used to pick a fixture for a prompt.
+ * @param {string} text The input text.
+ * @returns {number} Unsigned 32-bit hash.
+ */
+const hashString = (text) => {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+};
+
+/**
+ * Deterministic local provider returning canned images.
+ */
+export const fixtureProvider = {
+    name: 'fixture',
+    model: 'fixture',
+    supportsImageInput: true,
+    maxSamplesPerCall: 8,
+
+    isConfigured: () => true,
+
+    /**
+     * @param {object} request
+     * @param {string} request.prompt The text prompt (only used to pick the fixture).
+     * @param {number} [request.sampleCount] Number of images to return.
+     * @param {number} [request.sampleOffset] Position of the first image among all candidates, so batches differ.
+     * @returns {Promise<{images: Array<{mimeType: string, data: string}>}>}
+     */
+    async generate({ prompt = '', sampleCount = 1, sampleOffset = 0 }) {
+        const start = hashString(prompt) + sampleOffset;
+        return {
+            images: Array.from({ length: sampleCount }, (_, i) => ({
+                mimeType: 'image/png',
+                data: FIXTURE_IMAGES[(start + i) % FIXTURE_IMAGES.length],
+            })),
+        };
+    },
+};
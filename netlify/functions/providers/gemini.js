@@ -0,0 +1,56 @@
+// --- GEMINI MULTIMODAL PROVIDER (generateContent) ---
+
+import { postJson } from './http.js';
+
+// Override with GEMINI_IMAGE_MODEL to try a newer image-capable Gemini model without a code change.
+const GEMINI_MODEL = process.env.GEMINI_IMAGE_MODEL || 'gemini-2.5-flash-image-preview';
+
+/**
+ * Gemini multimodal image provider. Accepts reference images (logos) as inlineData parts.
+ */
+export const geminiProvider = {
+    name: 'gemini',
+    model: GEMINI_MODEL,
+    supportsImageInput: true,
+    // generateContent returns one image per call; more candidates mean more calls
+    maxSamplesPerCall: 1,
+
+    isConfigured: () => !!process.env.GEMINI_API_KEY,
+
+    /**
+     * @param {object} request
+     * @param {string} request.prompt The text prompt.
+     * @param {Array<{mimeType: string, data: string}>} [request.images] Reference images (base64, no data: prefix).
+     * @returns {Promise<{images: Array<{mimeType: string, data: string}>}>}
+     */
+    async generate({ prompt, images = [] }) {
+        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${process.env.GEMINI_API_KEY}`;
+
+        const payload = {
+            contents: [{
+                parts: [
+                    { text: prompt },
+                    ...images.map(image => ({
+                        inlineData: {
+                            mimeType: image.mimeType,
+                            data: image.data
+                        }
+                    }))
+                ]
+            }],
+            generationConfig: {
+                responseModalities: ['TEXT', 'IMAGE']
+            },
+        };
+
+        const result = await postJson(apiUrl, payload, 'Gemini');
+
+        // Extract ONLY the image parts; the model may also return commentary text.
+        const parts = result?.candidates?.[0]?.content?.parts || [];
+        return {
+            images: parts
+                .filter(p => p.inlineData?.data)
+                .map(p => ({ mimeType: p.inlineData.mimeType || 'image/png', data: p.inlineData.data })),
+        };
+    },
+};
@@ -0,0 +1,42 @@
+// --- SHARED HTTP HELPERS FOR IMAGE PROVIDERS ---
+
+/*
+  Every provider talks to an HTTP API (or pretends to), and every one of them needs
+  to turn a failed upstream call into an error the handler can forward to the client.
+*/
+
+/**
+ * Creates an Error carrying the HTTP status code the handler should respond with.
+ * @param {string} message Human readable error message (forwarded to the client).
+ * @param {number} statusCode HTTP status code to respond with.
+ * @returns {Error} The error, with a `statusCode` property.
+ */
+export const providerError = (message, statusCode = 500) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * POSTs a JSON payload and returns the parsed JSON response.
+ * Non-2xx responses are converted into a providerError with the upstream status.
+ * @param {string} url The endpoint to call.
+ * @param {object} payload The request body.
+ * @param {string} label Provider label used in log and error messages.
+ * @returns {Promise<object>} The parsed response body.
+ */
+export const postJson = async (url, payload, label) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+        const errorBody = await response.json().catch(() => ({}));
+        console.error(`${label} API Error:`, errorBody);
+        throw providerError(errorBody.error?.message || `${label} API call failed.`, response.status);
+    }
+
+    return response.json();
+};
@@ -0,0 +1,45 @@
+// --- IMAGEN PROVIDER (predict) ---
+
+import { postJson } from './http.js';
+
+// Override with IMAGEN_MODEL to switch Imagen versions without a code change.
+const IMAGEN_MODEL = process.env.IMAGEN_MODEL || 'imagen-4.0-generate-001';
+
+/**
+ * Imagen text-to-image provider. The :predict endpoint is text-only, so reference images are ignored.
+ */
+export const imagenProvider = {
+    name: 'imagen',
+    model: IMAGEN_MODEL,
+    supportsImageInput: false,
+    maxSamplesPerCall: 4,
+
+    isConfigured: () => !!process.env.GEMINI_API_KEY,
+
+    /**
+     * @param {object} request
+     * @param {string} request.prompt The text prompt.
+     * @param {number} [request.sampleCount] Number of images to return (1 to maxSamplesPerCall).
+     * @returns {Promise<{images: Array<{mimeType: string, data: string}>}>}
+     */
+    async generate({ prompt, sampleCount = 1 }) {
+        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${IMAGEN_MODEL}:predict?key=${process.env.GEMINI_API_KEY}`;
+
+        const payload = {
+            instances: [{ prompt: prompt }],
+            parameters: {
+                sampleCount: sampleCount,
+                outputMimeType: 'image/png',
+                aspectRatio: '1:1',
+            }
+        };
+
+        const result = await postJson(apiUrl, payload, 'Imagen');
+
+        return {
+            images: (result?.predictions || [])
+                .filter(p => p.bytesBase64Encoded)
+                .map(p => ({ mimeType: p.mimeType || 'image/png', data: p.bytesBase64Encoded })),
+        };
+    },
+};
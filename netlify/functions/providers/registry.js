@@ -0,0 +1,69 @@
+// --- IMAGE PROVIDER REGISTRY ---
+
+/*
+  Every provider implements the same interface:
+    name                 Identifier used by IMAGE_PROVIDER and the `provider` request field.
+    model                Model name actually called (for logging and the response).
+    supportsImageInput   Whether reference images (logos) are forwarded to the model.
+    maxSamplesPerCall    Most images one generate() call can return (its `sampleCount` limit).
+    isConfigured()       Whether the provider has what it needs (e.g. an API key) to run.
+    generate(request)    Takes { prompt, images, sampleCount } and resolves to { images: [{ mimeType, data }] }.
+*/
+
+import { geminiProvider } from './gemini.js';
+import { imagenProvider } from './imagen.js';
+import { fixtureProvider } from './fixture.js';
+import { providerError } from './http.js';
+
+export const PROVIDERS = {
+    [geminiProvider.name]: geminiProvider,
+    [imagenProvider.name]: imagenProvider,
+    [fixtureProvider.name]: fixtureProvider,
+};
+
+export const DEFAULT_PROVIDER = 'gemini';
+
+/**
+ * Resolves the provider for a request. The request field wins over IMAGE_PROVIDER,
+ * which wins over the default.
+ * @param {string} [requestedName] The `provider` field from the request body.
+ * @returns {object} The provider implementation.
+ */
+export const getProvider = (requestedName) => {
+    const name = requestedName || process.env.IMAGE_PROVIDER || DEFAULT_PROVIDER;
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+        throw providerError(`Unknown image provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}.`, 400);
+    }
+
+    return provider;
+};
+
+/**
+ * Generates `count` candidates, batching up to the provider's maxSamplesPerCall per call and
+ * running the calls in parallel. Partial failures are tolerated as long as one call succeeds.
+ * @param {object} provider The provider implementation.
+ * @param {{prompt: string, images: Array}} request The generation request.
+ * @param {number} count Number of candidates wanted.
+ * @returns {Promise<Array<{mimeType: string, data: string}>>}
+ */
+export const generateSamples = async (provider, request, count) => {
+    const calls = [];
+    for (let remaining = count; remaining > 0; remaining -= provider.maxSamplesPerCall) {
+        const sampleCount = Math.min(remaining, provider.maxSamplesPerCall);
+        calls.push(provider.generate({ ...request, sampleCount, sampleOffset: count - remaining }));
+    }
+
+    const results = await Promise.allSettled(calls);
+    const images = results
+        .filter(r => r.status === 'fulfilled')
+        .flatMap(r => r.value.images);
+
+    if (images.length === 0) {
+        const failure = results.find(r => r.status === 'rejected');
+        if (failure) throw failure.reason;
+    }
+
+    return images.slice(0, count);
+};
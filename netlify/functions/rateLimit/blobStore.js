@@ -0,0 +1,46 @@
+// --- NETLIFY BLOBS RATE LIMIT STORE ---
+
+/*
+  Persists counters in a Netlify Blobs store, so limits hold across cold starts and
+  concurrent function instances. Each key holds one JSON counter { count, resetAt }; an
+  expired counter is simply overwritten by the next increment, so a client never has more
+  than one entry per window.
+
+  Blobs have no atomic increment: two requests landing in the same instant can both read
+  the old count. The limits are therefore approximate by a request or two, which is fine
+  for protecting the quota.
+*/
+
+import { connectLambda, getStore } from '@netlify/blobs';
+
+export const BLOB_STORE_NAME = 'rate-limits';
+
+/**
+ * Creates a counter store backed by Netlify Blobs.
+ * @param {object} event The function event (classic functions must hand it to connectLambda).
+ * @param {object} [options]
+ * @param {() => number} [options.now] Clock, in milliseconds.
+ * @returns {{name: string, get: Function, increment: Function}} A store (see ./stores.js).
+ */
+export const createBlobStore = (event, { now = Date.now } = {}) => {
+    connectLambda(event);
+    const blobs = getStore(BLOB_STORE_NAME);
+
+    const read = async (key) => {
+        const entry = await blobs.get(key, { type: 'json' });
+        return entry && entry.resetAt > now() ? entry : null;
+    };
+
+    return {
+        name: 'blobs',
+        get: read,
+        increment: async (key, amount, resetAt) => {
+            const entry = await read(key);
+            const next = entry
+                ? { count: entry.count + amount, resetAt: entry.resetAt }
+                : { count: amount, resetAt };
+            await blobs.setJSON(key, next);
+            return next;
+        },
+    };
+};
@@ -0,0 +1,130 @@
+// --- RATE LIMITS AND DAILY QUOTAS ---
+
+/*
+  Every generation request is charged to a client:
+    - callers sending `Authorization: Bearer <token>` to that API token, with its own limits;
+    - everyone else (the web app included) to their IP address, as Netlify saw the connection
+      (never a client-supplied header, which would let callers pick their own key).
+  Two limits apply: requests per minute, and images per day (a request for 4 candidates uses
+  4 of the quota). The minute window starts at a client's first request; the day resets at
+  midnight UTC.
+
+  Environment:
+    RATE_LIMIT_PER_MINUTE   Requests per minute per IP (default 10).
+    RATE_LIMIT_DAILY_QUOTA  Images per day per IP (default 100).
+    RATE_LIMIT_TOKENS       API tokens as JSON, e.g.
+                            {"<token>": {"name": "kiosk", "perMinute": 30, "dailyQuota": 1000}}
+                            A token without its own limits gets the IP limits.
+  A limit of 0 turns that limit off.
+*/
+
+import { createHash } from 'node:crypto';
+import { providerError } from '../providers/http.js';
+
+export const DEFAULT_LIMITS = { perMinute: 10, dailyQuota: 100 };
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const readLimit = (value, fallback, name) => {
+    if (value === undefined || value === '') return fallback;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new Error(`${name} must be a whole number (0 turns the limit off), got "${value}".`);
+    }
+    return limit;
+};
+
+const readTokens = (raw) => {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch {
+        throw new Error('RATE_LIMIT_TOKENS is not valid JSON.');
+    }
+};
+
+const nextUtcMidnight = (now) => Math.floor(now / DAY_MS) * DAY_MS + DAY_MS;
+
+const formatWait = (seconds) => {
+    if (seconds < 120) return `${seconds} s`;
+    if (seconds < 7200) return `${Math.ceil(seconds / 60)} min`;
+    return `${Math.ceil(seconds / 3600)} h`;
+};
+
+/**
+ * Works out who is calling and which limits apply to them.
+ * @param {object} event The function event.
+ * @param {object} [env] Environment variables.
+ * @returns {{key: string, label: string, limits: {perMinute: number, dailyQuota: number}}}
+ * @throws {Error} A 401 providerError for an unknown or malformed token.
+ */
+export const resolveClient = (event, env = process.env) => {
+    const ipLimits = {
+        perMinute: readLimit(env.RATE_LIMIT_PER_MINUTE, DEFAULT_LIMITS.perMinute, 'RATE_LIMIT_PER_MINUTE'),
+        dailyQuota: readLimit(env.RATE_LIMIT_DAILY_QUOTA, DEFAULT_LIMITS.dailyQuota, 'RATE_LIMIT_DAILY_QUOTA'),
+    };
+    const headers = event.headers || {};
+
+    if (headers.authorization) {
+        const token = /^Bearer\s+(\S+)$/i.exec(headers.authorization)?.[1];
+        const entry = token && readTokens(env.RATE_LIMIT_TOKENS)[token];
+        if (!entry) {
+            throw providerError('Unknown or malformed API token.', 401);
+        }
+        // Counters are keyed by a hash so the token itself never reaches the store
+        const hash = createHash('sha256').update(token).digest('hex').slice(0, 16);
+        return {
+            key: `token:${hash}`,
+            label: `token "${entry.name || hash}"`,
+            limits: {
+                perMinute: readLimit(entry.perMinute, ipLimits.perMinute, 'perMinute'),
+                dailyQuota: readLimit(entry.dailyQuota, ipLimits.dailyQuota, 'dailyQuota'),
+            },
+        };
+    }
+
+    // Netlify's edge sets x-nf-client-connection-ip from the connection itself, so callers can't
+    // forge it. The x-forwarded-for fallback is for `netlify dev` only: the first entries are
+    // whatever the caller sent, so only the last hop (appended by the local proxy) is used.
+    const ip = headers['x-nf-client-connection-ip']
+        || (headers['x-forwarded-for'] || '').split(',').pop().trim()
+        || 'unknown';
+    return { key: `ip:${ip}`, label: `IP ${ip}`, limits: ipLimits };
+};
+
+/**
+ * Charges a request to its client. Nothing is charged when a limit would be exceeded.
+ * @param {object} store A rate limit store (see ./stores.js).
+ * @param {object} client From resolveClient.
+ * @param {number} imageCount Images the request asks for.
+ * @param {number} [now] Current time, in milliseconds.
+ * @returns {Promise<{allowed: true} | {allowed: false, limit: 'minute'|'day', retryAfter: number, message: string}>}
+ *   `retryAfter` is in seconds.
+ */
+export const checkRateLimit = async (store, client, imageCount, now = Date.now()) => {
+    const windows = [
+        { limit: 'minute', max: client.limits.perMinute, amount: 1, resetAt: now + MINUTE_MS, unit: 'requests per minute' },
+        { limit: 'day', max: client.limits.dailyQuota, amount: imageCount, resetAt: nextUtcMidnight(now), unit: 'images per day' },
+    ]
+        .filter(window => window.max > 0)
+        .map(window => ({ ...window, key: `${client.key}:${window.limit}` }));
+
+    const counters = await Promise.all(windows.map(window => store.get(window.key)));
+    const blocked = windows.findIndex((window, i) => (counters[i]?.count || 0) + window.amount > window.max);
+
+    if (blocked !== -1) {
+        const window = windows[blocked];
+        const resetAt = counters[blocked]?.resetAt || window.resetAt;
+        const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+        return {
+            allowed: false,
+            limit: window.limit,
+            retryAfter,
+            message: `Rate limit reached for ${client.label}: ${window.max} ${window.unit}. Try again in ${formatWait(retryAfter)}.`,
+        };
+    }
+
+    await Promise.all(windows.map(window => store.increment(window.key, window.amount, window.resetAt)));
+    return { allowed: true };
+};
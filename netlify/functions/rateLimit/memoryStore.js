@@ -0,0 +1,39 @@
+// --- IN-MEMORY RATE LIMIT STORE ---
+
+/*
+  Keeps counters in a Map inside the function instance. For local development and scripted
+  checks only: on Netlify every cold start (and every concurrent instance) starts from zero,
+  which is why deployed sites default to the blob store (see ./stores.js).
+*/
+
+/**
+ * Creates an in-memory counter store.
+ * @param {object} [options]
+ * @param {() => number} [options.now] Clock, in milliseconds (injectable for scripted checks).
+ * @returns {{name: string, get: Function, increment: Function}} A store (see ./stores.js).
+ */
+export const createMemoryStore = ({ now = Date.now } = {}) => {
+    const counters = new Map();
+
+    const read = (key) => {
+        const entry = counters.get(key);
+        if (entry && entry.resetAt <= now()) {
+            counters.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    return {
+        name: 'memory',
+        get: async (key) => read(key),
+        increment: async (key, amount, resetAt) => {
+            const entry = read(key);
+            const next = entry
+                ? { count: entry.count + amount, resetAt: entry.resetAt }
+                : { count: amount, resetAt };
+            counters.set(key, next);
+            return next;
+        },
+    };
+};
@@ -0,0 +1,48 @@
+// --- RATE LIMIT STORE REGISTRY ---
+
+/*
+  Rate limit counters live in a pluggable store. Every store implements:
+    name                             Identifier used by RATE_LIMIT_STORE.
+    get(key)                         Resolves to the live counter { count, resetAt } or null.
+    increment(key, amount, resetAt)  Adds `amount` to the counter, starting a new one that
+                                     expires at `resetAt` when there is none, and resolves to it.
+
+  RATE_LIMIT_STORE picks the store: 'memory' or 'blobs' (Netlify Blobs). It defaults to 'blobs'
+  when deployed and 'memory' otherwise. The memory store is for local development only: on
+  Netlify every function instance counts separately, so callers spread over cold starts and
+  concurrent instances would get several times the limits.
+*/
+
+import { createMemoryStore } from './memoryStore.js';
+import { createBlobStore } from './blobStore.js';
+import { isDeployed } from '../runtime/deployment.js';
+
+export const DEFAULT_RATE_LIMIT_STORE = { local: 'memory', deployed: 'blobs' };
+
+// One memory store per function instance, so counters survive warm invocations
+let memoryStore = null;
+
+export const RATE_LIMIT_STORES = {
+    memory: () => {
+        memoryStore = memoryStore || createMemoryStore();
+        return memoryStore;
+    },
+    blobs: (event) => createBlobStore(event),
+};
+
+/**
+ * Returns the configured rate limit store.
+ * @param {object} event The function event (the blob store needs it to connect).
+ * @returns {object} The store.
+ * @throws {Error} When RATE_LIMIT_STORE names an unknown store.
+ */
+export const getRateLimitStore = (event) => {
+    const name = process.env.RATE_LIMIT_STORE || (isDeployed() ? DEFAULT_RATE_LIMIT_STORE.deployed : DEFAULT_RATE_LIMIT_STORE.local);
+    const createStore = RATE_LIMIT_STORES[name];
+
+    if (!createStore) {
+        throw new Error(`Unknown rate limit store "${name}". Available: ${Object.keys(RATE_LIMIT_STORES).join(', ')}.`);
+    }
+
+    return createStore(event);
+};
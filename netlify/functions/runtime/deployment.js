@@ -0,0 +1,15 @@
+// --- DEPLOYMENT DETECTION ---
+
+/*
+  Stores that default to something local (a file in the OS temp directory, a module-level
+  counter) only work while every function runs in one process, as under `netlify dev`. Once
+  deployed, each function, and each instance of it, has its own memory and temp directory,
+  so stores that must be shared default to Netlify Blobs there.
+*/
+
+/**
+ * Tells whether the function runs on Netlify (as opposed to `netlify dev` or a local script).
+ * @param {object} [env] Environment variables.
+ * @returns {boolean}
+ */
+export const isDeployed = (env = process.env) => Boolean(env.AWS_LAMBDA_FUNCTION_NAME) && env.NETLIFY_DEV !== 'true';
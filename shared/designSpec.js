@@ -0,0 +1,329 @@
+// --- DESIGN SPEC: SHARED SCHEMA AND VALIDATION ---
+
+/*
+  The design spec is the structured description of a jersey that the browser sends to
+  generate-jersey instead of a free-form prompt. It is shared by the React app and the
+  Netlify Function so both sides agree on field names, allowed values and limits.
+
+  {
+    jerseyType: 'basketball',
+    teamName: 'VICTORY',
+    colors: { primary: '#EF4444', secondary: '#FFFFFF', accent: '#10B981' },
+    designElements: 'Vertical pinstripes',
+    logos: [
+      { slot: 'crest', zone: 'center_chest', description: 'A red dragon head', image: { mimeType: 'image/png', data: '<base64>' } | null },
+      { slot: 'sponsor', zone: 'front_sponsor', description: 'ACME wordmark', image: null },
+    ],
+    playerName: 'SMITH',
+    playerNumber: '23',
+    view: 'front_and_back',
+    garment: { neckline: 'v_neck', sleeve: 'sleeveless', fit: 'athletic', fabric: 'mesh' },
+    style: 'retro' | null,
+    reference: { mode: 'variation' | 'edit' | 'kit_match' | 'turnaround', image: { mimeType: 'image/png', data: '<base64>' }, instruction? } | null
+  }
+*/
+
+import { GARMENT_OPTIONS, STYLE_PRESETS, fitGarmentToSport, getGarmentChoices } from './garmentOptions.js';
+import { getPromptTemplate } from './promptTemplates.js';
+
+// List of available sports jersey types, sorted alphabetically
+export const JERSEY_TYPES = [
+    { value: 'baseball', label: 'Baseball' },
+    { value: 'basketball', label: 'Basketball' },
+    { value: 'cycling', label: 'Cycling' },
+    { value: 'field_hockey', label: 'Field Hockey' },
+    { value: 'football', label: 'Football' },
+    { value: 'hockey', label: 'Hockey' },
+    { value: 'lacrosse', label: 'Lacrosse' },
+    { value: 'rugby', label: 'Rugby' },
+    { value: 'soccer', label: 'Soccer' },
+    { value: 'softball', label: 'Softball' },
+    { value: 'track_and_field', label: 'Track & Field' },
+    { value: 'volleyball', label: 'Volleyball' },
+    { value: 'wrestling', label: 'Wrestling' },
+];
+
+// Placement zones for logos. Each sport's template lists the zones its garment has (see ./promptTemplates.js).
+export const LOGO_ZONES = [
+    { value: 'center_chest', label: 'Center Chest', prompt: 'the center chest' },
+    { value: 'left_chest', label: 'Left Chest', prompt: 'the left chest, over the heart' },
+    { value: 'right_chest', label: 'Right Chest', prompt: 'the right chest' },
+    { value: 'full_front', label: 'Full Front', prompt: 'the full front of the jersey as a large graphic' },
+    { value: 'front_sponsor', label: 'Mid Front', prompt: 'the middle of the front, below the crest, as a horizontal wordmark' },
+    { value: 'upper_back', label: 'Upper Back', prompt: 'the upper back, above the player name' },
+    { value: 'lower_back', label: 'Lower Back', prompt: 'the lower back, below the number' },
+    { value: 'left_sleeve', label: 'Left Sleeve', prompt: 'the outside of the left sleeve, as a patch' },
+    { value: 'right_sleeve', label: 'Right Sleeve', prompt: 'the outside of the right sleeve, as a patch' },
+    { value: 'back_neck', label: 'Back Neck', prompt: 'the back of the neck, just below the collar, as a small mark' },
+    { value: 'left_hip', label: 'Left Hip', prompt: 'the left hip' },
+];
+
+// Named logo slots and the zones each may use (the first one is the default).
+// The crest is always present: without an image it becomes the team-name decal.
+export const LOGO_SLOTS = [
+    { value: 'crest', label: 'Team Crest', zones: ['center_chest', 'left_chest', 'right_chest', 'full_front'] },
+    { value: 'sponsor', label: 'Front Sponsor', zones: ['front_sponsor', 'upper_back', 'lower_back', 'left_hip'] },
+    { value: 'left_sleeve', label: 'Left Sleeve Patch', zones: ['left_sleeve'] },
+    { value: 'right_sleeve', label: 'Right Sleeve Patch', zones: ['right_sleeve'] },
+    { value: 'back_neck', label: 'Back-Neck Mark', zones: ['back_neck'] },
+];
+
+export const LOGO_DESCRIPTION_MAX_LENGTH = 200;
+
+// Which side(s) of the jersey the mockup shows. The back view is where player names and numbers live.
+export const JERSEY_VIEWS = [
+    { value: 'front_and_back', label: 'Front & Back' },
+    { value: 'front', label: 'Front Only' },
+    { value: 'back', label: 'Back Only (Name & Number)' },
+    { value: 'side', label: 'Side Profile' },
+];
+
+// How a previous render sent back as `reference.image` should be used by the model
+export const REFERENCE_MODES = [
+    { value: 'variation', label: 'Variation of a previous render' },
+    { value: 'edit', label: 'Edit a previous render (requires an instruction)' },
+    { value: 'kit_match', label: 'Match the design of another kit in the set' },
+    { value: 'turnaround', label: 'Same garment from another angle' },
+];
+
+export const EDIT_INSTRUCTION_MAX_LENGTH = 300;
+
+// Most candidates one request may ask for (the "variations" setting)
+export const MAX_SAMPLE_COUNT = 8;
+
+export const TEAM_NAME_MAX_LENGTH = 15;
+export const PLAYER_NAME_MAX_LENGTH = 20;
+export const DESIGN_ELEMENTS_MAX_LENGTH = 500;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+// Letters, digits, spaces and the punctuation teams actually use (e.g. "ST. MARY'S", "A&M").
+const TEAM_NAME_PATTERN = /^[\p{L}\p{N} .'&-]*$/u;
+
+// Jersey numbers are one or two digits; "0" and "00" are both legal and distinct.
+const PLAYER_NUMBER_PATTERN = /^\d{1,2}$/;
+
+const COLOR_FIELDS = ['primary', 'secondary', 'accent'];
+
+/**
+ * Lists the zones a logo slot may use on a sport's garment.
+ * @param {string} jerseyType A JERSEY_TYPES value.
+ * @param {string} slot A LOGO_SLOTS value.
+ * @returns {Array<{value: string, label: string, prompt: string}>} Empty when the garment has no such zone.
+ */
+export const getLogoZones = (jerseyType, slot) => {
+    const sportZones = getPromptTemplate(jerseyType).logoZones;
+    const slotZones = LOGO_SLOTS.find(s => s.value === slot)?.zones || [];
+    return slotZones.filter(zone => sportZones.includes(zone)).map(zone => LOGO_ZONES.find(z => z.value === zone));
+};
+
+/**
+ * Validates an optional base64 image field ({ mimeType, data }).
+ * @param {*} value The untrusted field value.
+ * @param {string} field Field name used in error messages.
+ * @param {(field: string, message: string) => void} addError Collects validation errors.
+ * @returns {{mimeType: string, data: string}|null} The image, or null when absent.
+ */
+const validateImage = (value, field, addError) => {
+    if (value == null) return null;
+    if (typeof value !== 'object') {
+        addError(field, 'Must be an object with mimeType and data, or null.');
+        return null;
+    }
+    if (typeof value.mimeType !== 'string' || !value.mimeType.startsWith('image/')) {
+        addError(`${field}.mimeType`, 'Must be an image MIME type.');
+    }
+    if (typeof value.data !== 'string' || !BASE64_PATTERN.test(value.data)) {
+        addError(`${field}.data`, 'Must be base64 encoded image data without the data: prefix.');
+    }
+    return { mimeType: value.mimeType, data: value.data };
+};
+
+/**
+ * Validates a design spec and returns a normalized copy.
+ * @param {object} spec The untrusted spec from the request body.
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>, spec: object|null}}
+ *   `spec` is the normalized spec (trimmed text, upper-case team name and hex values) when valid.
+ */
+export const validateDesignSpec = (spec) => {
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        addError('spec', 'Design spec must be a JSON object.');
+        return { valid: false, errors, spec: null };
+    }
+
+    // 1. Jersey type
+    if (!JERSEY_TYPES.some(t => t.value === spec.jerseyType)) {
+        addError('jerseyType', `Must be one of: ${JERSEY_TYPES.map(t => t.value).join(', ')}.`);
+    }
+
+    // 2. Team name
+    const teamName = typeof spec.teamName === 'string' ? spec.teamName.trim().toUpperCase() : null;
+    if (teamName === null) {
+        addError('teamName', 'Must be a string.');
+    } else if (teamName.length > TEAM_NAME_MAX_LENGTH) {
+        addError('teamName', `Must be at most ${TEAM_NAME_MAX_LENGTH} characters.`);
+    } else if (!TEAM_NAME_PATTERN.test(teamName)) {
+        addError('teamName', "May only contain letters, numbers, spaces and . ' & -");
+    }
+
+    // 3. Colors
+    const colors = {};
+    if (!spec.colors || typeof spec.colors !== 'object') {
+        addError('colors', 'Must be an object with primary, secondary and accent hex colors.');
+    } else {
+        COLOR_FIELDS.forEach(key => {
+            const value = spec.colors[key];
+            if (typeof value !== 'string' || !HEX_COLOR_PATTERN.test(value)) {
+                addError(`colors.${key}`, 'Must be a hex color like #EF4444.');
+            } else {
+                colors[key] = value.toUpperCase();
+            }
+        });
+    }
+
+    // 4. Design elements (optional free text, but bounded)
+    const designElements = spec.designElements ?? '';
+    if (typeof designElements !== 'string') {
+        addError('designElements', 'Must be a string.');
+    } else if (designElements.length > DESIGN_ELEMENTS_MAX_LENGTH) {
+        addError('designElements', `Must be at most ${DESIGN_ELEMENTS_MAX_LENGTH} characters.`);
+    }
+
+    // 5-6. Logo slots: one entry per slot, each in a zone the sport allows.
+    // Normalized to slot order; the crest is always first, empty non-crest slots are dropped.
+    const logos = [];
+    const rawLogos = spec.logos ?? [];
+    if (!Array.isArray(rawLogos)) {
+        addError('logos', 'Must be an array of logo slots.');
+    } else if (JERSEY_TYPES.some(t => t.value === spec.jerseyType)) {
+        LOGO_SLOTS.forEach(({ value: slot, label }) => {
+            const matches = rawLogos.filter(entry => entry?.slot === slot);
+            const entry = matches[0] || { slot };
+            const field = `logos.${slot}`;
+            if (matches.length > 1) {
+                addError(field, `${label} appears more than once.`);
+            }
+
+            const image = validateImage(entry.image, `${field}.image`, addError);
+            const description = typeof entry.description === 'string' ? entry.description.replace(/\s+/g, ' ').trim() : '';
+            if (entry.description != null && typeof entry.description !== 'string') {
+                addError(`${field}.description`, 'Must be a string.');
+            } else if (description.length > LOGO_DESCRIPTION_MAX_LENGTH) {
+                addError(`${field}.description`, `Must be at most ${LOGO_DESCRIPTION_MAX_LENGTH} characters.`);
+            }
+
+            const zones = getLogoZones(spec.jerseyType, slot);
+            const zone = entry.zone ?? zones[0]?.value;
+            const isEmpty = !image && !description;
+            if (slot !== 'crest' && isEmpty) return;
+            if (!zones.some(z => z.value === zone)) {
+                addError(`${field}.zone`, zones.length > 0
+                    ? `Must be one of: ${zones.map(z => z.value).join(', ')}.`
+                    : `${label} is not available on this jersey type.`);
+            }
+            logos.push({ slot, zone, description, image });
+        });
+        rawLogos.forEach((entry, i) => {
+            if (!LOGO_SLOTS.some(s => s.value === entry?.slot)) {
+                addError(`logos[${i}].slot`, `Must be one of: ${LOGO_SLOTS.map(s => s.value).join(', ')}.`);
+            }
+        });
+    }
+
+    // 7. Player personalization (optional)
+    const playerName = typeof spec.playerName === 'string' ? spec.playerName.trim().toUpperCase() : '';
+    if (spec.playerName != null && typeof spec.playerName !== 'string') {
+        addError('playerName', 'Must be a string.');
+    } else if (playerName.length > PLAYER_NAME_MAX_LENGTH) {
+        addError('playerName', `Must be at most ${PLAYER_NAME_MAX_LENGTH} characters.`);
+    } else if (!TEAM_NAME_PATTERN.test(playerName)) {
+        addError('playerName', "May only contain letters, numbers, spaces and . ' & -");
+    }
+
+    const playerNumber = spec.playerNumber == null ? '' : String(spec.playerNumber).trim();
+    if (playerNumber && !PLAYER_NUMBER_PATTERN.test(playerNumber)) {
+        addError('playerNumber', 'Must be a number from 0 to 99 (00 allowed).');
+    }
+
+    // 8. View
+    const view = spec.view ?? JERSEY_VIEWS[0].value;
+    if (!JERSEY_VIEWS.some(v => v.value === view)) {
+        addError('view', `Must be one of: ${JERSEY_VIEWS.map(v => v.value).join(', ')}.`);
+    }
+
+    // 9. Garment options: each must be one the sport allows; missing ones get the sport's default
+    let garment = null;
+    if (spec.garment != null && (typeof spec.garment !== 'object' || Array.isArray(spec.garment))) {
+        addError('garment', 'Must be an object with neckline, sleeve, fit and fabric, or null.');
+    } else if (JERSEY_TYPES.some(t => t.value === spec.jerseyType)) {
+        const choices = getGarmentChoices(spec.jerseyType);
+        GARMENT_OPTIONS.forEach(({ key }) => {
+            const value = spec.garment?.[key];
+            if (value != null && !choices[key].some(choice => choice.value === value)) {
+                addError(`garment.${key}`, choices[key].length > 0
+                    ? `Must be one of: ${choices[key].map(choice => choice.value).join(', ')}.`
+                    : 'Does not apply to this jersey type.');
+            }
+        });
+        garment = fitGarmentToSport(spec.jerseyType, spec.garment || {});
+    }
+
+    const style = spec.style ?? null;
+    if (style !== null && !STYLE_PRESETS.some(p => p.value === style)) {
+        addError('style', `Must be one of: ${STYLE_PRESETS.map(p => p.value).join(', ')}, or null.`);
+    }
+
+    // 10. Reference render (optional): a previous image fed back to the model
+    let reference = null;
+    if (spec.reference != null) {
+        if (typeof spec.reference !== 'object') {
+            addError('reference', 'Must be an object with mode and image, or null.');
+        } else {
+            if (!REFERENCE_MODES.some(m => m.value === spec.reference.mode)) {
+                addError('reference.mode', `Must be one of: ${REFERENCE_MODES.map(m => m.value).join(', ')}.`);
+            }
+            const image = validateImage(spec.reference.image, 'reference.image', addError);
+            if (!image) {
+                addError('reference.image', 'Is required.');
+            }
+            reference = { mode: spec.reference.mode, image };
+
+            if (spec.reference.mode === 'edit') {
+                const instruction = typeof spec.reference.instruction === 'string'
+                    ? spec.reference.instruction.replace(/\s+/g, ' ').trim()
+                    : '';
+                if (!instruction) {
+                    addError('reference.instruction', 'Describe the change to make.');
+                } else if (instruction.length > EDIT_INSTRUCTION_MAX_LENGTH) {
+                    addError('reference.instruction', `Must be at most ${EDIT_INSTRUCTION_MAX_LENGTH} characters.`);
+                }
+                reference.instruction = instruction;
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, spec: null };
+    }
+
+    return {
+        valid: true,
+        errors,
+        spec: {
+            jerseyType: spec.jerseyType,
+            teamName,
+            colors,
+            designElements: designElements.trim(),
+            logos,
+            playerName,
+            playerNumber,
+            view,
+            garment,
+            style,
+            reference,
+        },
+    };
+};
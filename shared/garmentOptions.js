@@ -0,0 +1,112 @@
+// --- GARMENT OPTIONS AND STYLE PRESETS ---
+
+/*
+  Structured garment controls. Each sport's prompt template (see ./promptTemplates.js) lists
+  which choices it allows per option, default first; an empty list means the option doesn't
+  apply to that garment (e.g. no neckline choice on a wrestling singlet).
+
+  In a design spec they appear as:
+    garment: { neckline: 'v_neck', sleeve: 'short', fit: 'athletic', fabric: 'sublimated' },
+    style: 'retro' | null
+*/
+
+import { getPromptTemplate } from './promptTemplates.js';
+
+export const GARMENT_OPTIONS = [
+    {
+        key: 'neckline',
+        label: 'Neckline',
+        choices: [
+            { value: 'crew', label: 'Crew', prompt: 'a crew neckline' },
+            { value: 'v_neck', label: 'V-Neck', prompt: 'a V-neck' },
+            { value: 'polo', label: 'Polo', prompt: 'a polo collar with a short button placket' },
+            { value: 'henley', label: 'Henley', prompt: 'a buttoned henley neckline' },
+        ],
+    },
+    {
+        key: 'sleeve',
+        label: 'Sleeves',
+        choices: [
+            { value: 'sleeveless', label: 'Sleeveless', prompt: 'no sleeves' },
+            { value: 'short', label: 'Short', prompt: 'short sleeves' },
+            { value: 'long', label: 'Long', prompt: 'long sleeves' },
+            { value: 'raglan', label: 'Raglan', prompt: 'raglan sleeves with diagonal seams running from the collar to the underarm' },
+        ],
+    },
+    {
+        key: 'fit',
+        label: 'Fit',
+        choices: [
+            { value: 'slim', label: 'Slim', prompt: 'a slim, close-to-body fit' },
+            { value: 'athletic', label: 'Athletic', prompt: 'an athletic fit' },
+            { value: 'relaxed', label: 'Relaxed', prompt: 'a relaxed, roomy fit' },
+        ],
+    },
+    {
+        key: 'fabric',
+        label: 'Fabric Finish',
+        choices: [
+            { value: 'mesh', label: 'Mesh', prompt: 'visible breathable mesh texture' },
+            { value: 'knit', label: 'Knit', prompt: 'a smooth, matte knit finish' },
+            { value: 'sublimated', label: 'Sublimated', prompt: 'a sublimated finish, with every graphic dyed into the fabric and no raised edges' },
+            { value: 'heathered', label: 'Heathered', prompt: 'a heathered, melange texture' },
+        ],
+    },
+];
+
+// One-click looks: a prompt line plus the garment choices that suit it (applied where the sport allows them)
+export const STYLE_PRESETS = [
+    {
+        value: 'retro',
+        label: 'Retro',
+        prompt: 'Retro: a vintage 1980s-90s look with bold chest stripes, a classic athletic block font and slightly faded colors.',
+        garment: { neckline: 'polo', fit: 'relaxed', fabric: 'heathered' },
+    },
+    {
+        value: 'minimalist',
+        label: 'Minimalist',
+        prompt: 'Minimalist: large areas of solid Primary color, one thin Accent trim line, no busy patterns and an understated logo.',
+        garment: { neckline: 'crew', fit: 'slim', fabric: 'knit' },
+    },
+    {
+        value: 'camo',
+        label: 'Camo',
+        prompt: 'Camo: a digital camouflage pattern across the body, built ONLY from the Primary, Secondary and Accent colors.',
+        garment: { fabric: 'sublimated' },
+    },
+    {
+        value: 'gradient_fade',
+        label: 'Gradient Fade',
+        prompt: 'Gradient Fade: the Primary color fades smoothly into the Secondary color from top to bottom, with a halftone dot pattern at the transition.',
+        garment: { fabric: 'sublimated' },
+    },
+];
+
+/**
+ * Lists the garment choices a sport allows, per option.
+ * @param {string} jerseyType A JERSEY_TYPES value.
+ * @returns {Object<string, Array<{value: string, label: string, prompt: string}>>} Keyed by option key.
+ */
+export const getGarmentChoices = (jerseyType) => {
+    const allowed = getPromptTemplate(jerseyType).garmentOptions;
+    return Object.fromEntries(GARMENT_OPTIONS.map(option => [
+        option.key,
+        (allowed[option.key] || []).map(value => option.choices.find(choice => choice.value === value)),
+    ]));
+};
+
+/**
+ * Fits garment choices to a sport: allowed choices are kept, anything else falls back
+ * to the sport's default, and options the sport doesn't have become null.
+ * @param {string} jerseyType A JERSEY_TYPES value.
+ * @param {object} [garment] The current choices.
+ * @returns {{neckline: string|null, sleeve: string|null, fit: string|null, fabric: string|null}}
+ */
+export const fitGarmentToSport = (jerseyType, garment = {}) => {
+    const choices = getGarmentChoices(jerseyType);
+    return Object.fromEntries(GARMENT_OPTIONS.map(({ key }) => {
+        const allowed = choices[key];
+        const keep = allowed.some(choice => choice.value === garment?.[key]);
+        return [key, keep ? garment[key] : (allowed[0]?.value ?? null)];
+    }));
+};
@@ -0,0 +1,160 @@
+// --- PROMPT BUILDER ---
+
+/*
+  Turns a validated design spec (see ./designSpec.js) into the model prompt.
+  The Netlify Function builds prompts on the server; the Apps Script and Direct
+  modes build the same prompt in the browser.
+*/
+
+import { JERSEY_TYPES, LOGO_SLOTS, LOGO_ZONES } from './designSpec.js';
+import { GARMENT_OPTIONS, STYLE_PRESETS, fitGarmentToSport } from './garmentOptions.js';
+import { fillTemplate, getPromptTemplate } from './promptTemplates.js';
+
+// Transparent 1x1 PNG Base64 Data. Sending it when no logo is uploaded forces the better multimodal model.
+export const BLANK_LOGO_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+/**
+ * Lists the logo images in the order they are attached: the crest first (the blank placeholder
+ * when it has no image), then every other slot that has an image. Prompts refer to them by position.
+ * @param {object} spec A normalized design spec.
+ * @returns {Array<{logo: object, image: {mimeType: string, data: string}}>}
+ */
+const logoAttachments = (spec) => spec.logos
+    .filter(logo => logo.slot === 'crest' || logo.image)
+    .map(logo => ({ logo, image: logo.image || { mimeType: 'image/png', data: BLANK_LOGO_BASE64 } }));
+
+/**
+ * Builds the prompt for an edit of a previous render: apply one instruction, keep everything else.
+ * @param {object} spec A normalized design spec with reference.mode === 'edit'.
+ * @returns {string} The prompt to send to the image model.
+ */
+const buildEditPrompt = (spec) => {
+    const typeLabel = JERSEY_TYPES.find(t => t.value === spec.jerseyType)?.label || 'Jersey';
+    const { garment } = getPromptTemplate(spec.jerseyType);
+    const { primary, secondary, accent } = spec.colors;
+    const attachments = logoAttachments(spec);
+    const logoNote = attachments
+        .map(({ logo }, i) => (logo.image
+            ? `Attached image ${i + 1} is the ${LOGO_SLOTS.find(s => s.value === logo.slot).label}; it must stay exactly as it appears on the ${garment}.`
+            : `Ignore attached image ${i + 1} (a blank placeholder).`))
+        .join('\n            ');
+
+    return `
+            You are editing the LAST attached image: a photorealistic mockup of a team ${typeLabel} ${garment}.
+            ${logoNote}
+
+            Apply ONLY this change: "${spec.reference.instruction}"
+
+            Keep everything else exactly as it is: the garment cut, pattern, logo, the text "${spec.teamName.toUpperCase()}", numbers, camera angle, lighting and clean white background.
+            Unless the change explicitly asks otherwise, the jersey MUST keep using these hex colors: Primary: ${primary}, Secondary: ${secondary}, Accent: ${accent}.
+            Return the complete edited mockup image. AVOID ALL GIBBERISH OR EXTRANEOUS TEXT ARTIFACTS and watermarks.
+        `;
+};
+
+/**
+ * Builds the text prompt for a design spec from its sport's template (see ./promptTemplates.js).
+ * @param {object} spec A normalized design spec.
+ * @returns {string} The prompt to send to the image model.
+ */
+export const buildPrompt = (spec) => {
+    if (spec.reference?.mode === 'edit') {
+        return buildEditPrompt(spec);
+    }
+
+    const typeLabel = JERSEY_TYPES.find(t => t.value === spec.jerseyType)?.label || 'Jersey';
+    const template = getPromptTemplate(spec.jerseyType);
+    const teamName = spec.teamName.toUpperCase();
+    const { primary, secondary, accent } = spec.colors;
+
+    // Design Instruction: conditional inclusion of stripes, gradients, etc.
+    const designInstruction = spec.designElements.trim()
+        ? `- Pattern/Design: Incorporate the following design elements: ${spec.designElements}.`
+        : '';
+
+    // Garment cut: the structured choices (neckline, sleeves, fit) plus the fabric finish
+    const garment = fitGarmentToSport(spec.jerseyType, spec.garment || {});
+    const choicePrompt = (key) => GARMENT_OPTIONS.find(option => option.key === key).choices.find(choice => choice.value === garment[key])?.prompt;
+    const cut = `a ${typeLabel.toLowerCase()} ${template.garment} with ${['neckline', 'sleeve', 'fit'].map(choicePrompt).filter(Boolean).join(', ')}`;
+    const fabricFinish = choicePrompt('fabric');
+    const style = STYLE_PRESETS.find(p => p.value === spec.style);
+    const styleInstruction = style ? `Style Preset: ${style.prompt}` : '';
+
+    // Player personalization: where the name and number go depends on the sport
+    const playerName = (spec.playerName || '').toUpperCase();
+    const playerNumber = spec.playerNumber || '';
+    let numberInstruction = 'Numbers: Use a legible font for the numbers, rendered in the Secondary Color.';
+    if (playerNumber) {
+        numberInstruction = `Numbers: Print the number "${playerNumber}" ${template.numberPlacement} in a legible athletic block font, rendered in the Secondary Color. Use exactly these digits.`;
+    }
+    const nameInstruction = playerName
+        ? `- Player Name: Print "${playerName}" in capital letters ${template.namePlacement}, in the Secondary Color. It MUST be spelled exactly like this.`
+        : '';
+
+    const VIEW_DESCRIPTIONS = {
+        front_and_back: 'front and back mockup',
+        front: `front view mockup (showing only the front of the ${template.garment}, facing the camera straight on)`,
+        back: `back view mockup (showing only the back of the ${template.garment}, with the name and number clearly visible)`,
+        side: `side profile mockup (the ${template.garment} turned 90 degrees to show its left side, sleeve and side seams)`,
+    };
+    const viewDescription = VIEW_DESCRIPTIONS[spec.view] || VIEW_DESCRIPTIONS.front_and_back;
+
+    // Reference render: a previous image sent after the logo
+    const REFERENCE_INSTRUCTIONS = {
+        variation: '- Reference: The LAST attached image is a previous render of this jersey that the client liked. Create a close variation of it: keep its overall layout, pattern placement and style, and vary only small details.',
+        turnaround: '- Turnaround Consistency: The LAST attached image is the FRONT view of this exact garment. Render the SAME garment from the angle described above: identical colors, pattern, trim, logos and typography. ONLY the camera angle changes.',
+        kit_match: '- Kit Set Consistency: The LAST attached image is the HOME kit of the same team set. Render the SAME jersey design: identical cut, collar, pattern layout, crest size and position, typography and camera angle. ONLY the colors change, to the hex colors listed above.',
+    };
+    const referenceInstruction = REFERENCE_INSTRUCTIONS[spec.reference?.mode] || '';
+
+    // Logos: one instruction per slot, pointing at its attached image by position
+    const logoInstructions = logoAttachments(spec).map(({ logo }, i) => ({ logo, position: i + 1 }))
+        .concat(spec.logos.filter(logo => logo.slot !== 'crest' && !logo.image).map(logo => ({ logo, position: null })))
+        .map(({ logo, position }) => {
+            const slotLabel = LOGO_SLOTS.find(s => s.value === logo.slot).label;
+            const zone = LOGO_ZONES.find(z => z.value === logo.zone).prompt;
+            const notes = logo.description ? ` Description: ${logo.description}.` : '';
+            if (logo.image) {
+                // Case 1: Real logo uploaded for this slot. Tell the AI to use the image.
+                return `${slotLabel}: Use attached image ${position} as the ${slotLabel.toLowerCase()}. Place this exact logo on ${zone}.${notes}`;
+            }
+            if (logo.slot === 'crest') {
+                // Case 2: No crest uploaded. Tell the AI to IGNORE the blank image (forcing the multimodal path)
+                // and instead create a text-based design.
+                return `${slotLabel}: **NO EXTERNAL LOGO IS PROVIDED.** Ignore attached image ${position} (a blank placeholder). Instead, the logo should be the team name, "${teamName}", rendered as a clean, sharp decal in the Secondary Color. Place this decal prominently on ${zone} as the main graphic.${notes}`;
+            }
+            // Case 3: Description only. The model draws the mark from the text.
+            return `${slotLabel}: No image is provided; render this as a clean, simple decal: ${logo.description}. Place it on ${zone}.`;
+        })
+        .join('\n            - ');
+
+    return fillTemplate(template.text, {
+        garment: template.garment,
+        sport: typeLabel,
+        fabric: fabricFinish ? `${template.fabric} with ${fabricFinish}` : template.fabric,
+        cut,
+        styleInstruction,
+        anatomy: template.anatomy.join('; '),
+        negatives: template.negatives.join('; '),
+        view: viewDescription,
+        primary,
+        secondary,
+        accent,
+        logoInstructions,
+        numberInstruction,
+        nameInstruction,
+        textQuality: `The word "${teamName}"${playerName ? ` and the name "${playerName}"` : ''}`,
+        designInstruction,
+        referenceInstruction,
+    });
+};
+
+/**
+ * Returns the images to send alongside the prompt: the crest (or the blank placeholder) and the
+ * other logo slots with images, followed by the reference render when there is one.
+ * @param {object} spec A normalized design spec.
+ * @returns {Array<{mimeType: string, data: string}>}
+ */
+export const buildReferenceImages = (spec) => [
+    ...logoAttachments(spec).map(attachment => attachment.image),
+    ...(spec.reference ? [spec.reference.image] : []),
+];
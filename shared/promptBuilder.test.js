@@ -0,0 +1,121 @@
+// --- PROMPT BUILDER TESTS ---
+
+/*
+  The rendered prompt of every sport is compared to a committed snapshot
+  (__snapshots__/promptBuilder.test.json), so any template change shows up as a reviewable diff.
+  After an intended change, regenerate it with `UPDATE_SNAPSHOTS=1 npm test` and commit the result.
+*/
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { JERSEY_TYPES, validateDesignSpec } from './designSpec.js';
+import { buildPrompt } from './promptBuilder.js';
+import { PROMPT_TEMPLATES, fillTemplate, getPromptTemplate } from './promptTemplates.js';
+
+const SNAPSHOT_FILE = new URL('./__snapshots__/promptBuilder.test.json', import.meta.url);
+const updateSnapshots = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+const readSnapshots = () => {
+    try {
+        return JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8'));
+    } catch {
+        return {};
+    }
+};
+const snapshots = readSnapshots();
+const rendered = {};
+
+after(() => {
+    if (updateSnapshots) {
+        writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(rendered, null, 2)}\n`);
+    }
+});
+
+const specFor = (jerseyType) => {
+    const { valid, errors, spec } = validateDesignSpec({
+        jerseyType,
+        teamName: 'Harbor City',
+        colors: { primary: '#0b3d91', secondary: '#ffffff', accent: '#f2a900' },
+        designElements: 'thin pinstripes',
+        logos: [{ slot: 'crest', zone: 'center_chest', description: 'An anchor inside a ring', image: null }],
+        playerName: 'Rivera',
+        playerNumber: '7',
+    });
+    assert.ok(valid, JSON.stringify(errors));
+    return spec;
+};
+
+for (const { value: jerseyType } of JERSEY_TYPES) {
+    test(`the ${jerseyType} prompt matches its snapshot`, () => {
+        const prompt = buildPrompt(specFor(jerseyType));
+        rendered[jerseyType] = prompt;
+        if (updateSnapshots) return;
+
+        assert.ok(jerseyType in snapshots, `No snapshot for ${jerseyType}; run UPDATE_SNAPSHOTS=1 npm test.`);
+        assert.equal(prompt, snapshots[jerseyType]);
+    });
+}
+
+test('every prompt fills all of its placeholders', () => {
+    for (const { value: jerseyType } of JERSEY_TYPES) {
+        assert.doesNotMatch(buildPrompt(specFor(jerseyType)), /\{\{|\}\}/, jerseyType);
+    }
+});
+
+test('softball inherits from baseball', () => {
+    const softball = getPromptTemplate('softball');
+    const baseball = getPromptTemplate('baseball');
+    assert.equal(softball.name, 'softball');
+    assert.deepEqual(softball.anatomy, baseball.anatomy);
+    assert.equal(softball.numberPlacement, baseball.numberPlacement);
+    // Its own garment options replace the parent's
+    assert.deepEqual(softball.garmentOptions, PROMPT_TEMPLATES.softball.garmentOptions);
+});
+
+test('field hockey inherits from soccer', () => {
+    const fieldHockey = getPromptTemplate('field_hockey');
+    const soccer = getPromptTemplate('soccer');
+    assert.deepEqual(fieldHockey.anatomy, soccer.anatomy);
+    assert.equal(fieldHockey.numberPlacement, soccer.numberPlacement);
+    assert.equal(fieldHockey.text, PROMPT_TEMPLATES.base.text);
+    assert.deepEqual(fieldHockey.garmentOptions, PROMPT_TEMPLATES.field_hockey.garmentOptions);
+});
+
+test('negatives accumulate down the chain', () => {
+    const base = PROMPT_TEMPLATES.base.negatives;
+    const baseball = PROMPT_TEMPLATES.baseball.negatives;
+    assert.deepEqual(getPromptTemplate('base').negatives, base);
+    assert.deepEqual(getPromptTemplate('baseball').negatives, [...base, ...baseball]);
+    // Softball adds none of its own but keeps both ancestors'
+    assert.deepEqual(getPromptTemplate('softball').negatives, [...base, ...baseball]);
+    assert.deepEqual(getPromptTemplate('field_hockey').negatives, base);
+});
+
+test('unknown jersey types get the base template', () => {
+    assert.equal(getPromptTemplate('curling').name, 'base');
+});
+
+test('inheritance cycles are detected', (t) => {
+    PROMPT_TEMPLATES.test_a = { extends: 'test_b' };
+    PROMPT_TEMPLATES.test_b = { extends: 'test_a' };
+    t.after(() => {
+        delete PROMPT_TEMPLATES.test_a;
+        delete PROMPT_TEMPLATES.test_b;
+    });
+    assert.throws(() => getPromptTemplate('test_a'), /inheritance cycle at "test_a"/);
+});
+
+test('extending an unknown template is an error', (t) => {
+    PROMPT_TEMPLATES.test_orphan = { extends: 'missing' };
+    t.after(() => delete PROMPT_TEMPLATES.test_orphan);
+    assert.throws(() => getPromptTemplate('test_orphan'), /extends unknown template "missing"/);
+});
+
+test('fillTemplate fills known placeholders', () => {
+    assert.equal(fillTemplate('A {{garment}} in {{primary}}', { garment: 'jersey', primary: '#000000' }), 'A jersey in #000000');
+});
+
+test('fillTemplate throws on an unknown placeholder', () => {
+    assert.throws(() => fillTemplate('A {{garmnet}}', { garment: 'jersey' }), /placeholder "garmnet" has no value/);
+});
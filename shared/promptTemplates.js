@@ -0,0 +1,203 @@
+// --- PROMPT TEMPLATES ---
+
+/*
+  One prompt template per sport, keyed by jersey type (see JERSEY_TYPES in ./designSpec.js).
+  A template describes the garment so the model doesn't default to a generic T-shirt:
+
+    {
+      extends: 'base',                 // parent template; its fields are inherited
+      garment: 'sweater',              // the noun used in the prompt
+      fabric: 'heavyweight knit mesh',
+      anatomy: ['laced V-neck collar'],// construction details the render must show
+      garmentOptions: { neckline: ['v_neck'], ... }, // allowed garment choices, default first (see ./garmentOptions.js)
+      logoZones: ['center_chest', ...],              // where logos can go on this garment (see LOGO_ZONES)
+      numberPlacement: 'large on the back and on both sleeves',
+      namePlacement: 'across the upper back, centered above the number',
+      negatives: ['a slim or short-sleeve cut'],
+      text: '... {{placeholder}} ...', // the prompt body (normally only on the base template)
+    }
+
+  A child's fields replace its parent's, except `negatives`, which accumulate down the chain.
+  `{{name}}` placeholders in `text` are filled by fillTemplate; an unknown name is an error,
+  so a typo in a template fails loudly instead of leaking braces into the prompt.
+*/
+
+export const PROMPT_TEMPLATES = {
+    base: {
+        garment: 'jersey',
+        fabric: 'modern synthetic fabric',
+        anatomy: ['neatly stitched seams', 'hemmed sleeve cuffs and waist'],
+        garmentOptions: { neckline: ['crew', 'v_neck'], sleeve: ['short', 'long'], fit: ['athletic', 'slim', 'relaxed'], fabric: ['sublimated', 'mesh', 'knit', 'heathered'] },
+        logoZones: ['center_chest', 'left_chest', 'right_chest', 'full_front', 'front_sponsor', 'upper_back', 'lower_back', 'left_sleeve', 'right_sleeve', 'back_neck'],
+        numberPlacement: 'large on the back (and small on the front)',
+        namePlacement: 'across the upper back, centered above the number',
+        negatives: ['watermarks', 'people or mannequins wearing the garment', 'extra brand marks that were not requested'],
+        text: `
+            **CRITICAL COLOR AND TEXT ENFORCEMENT:** The {{garment}} MUST STRICTLY use these three hex colors: Primary: {{primary}}, Secondary: {{secondary}}, Accent: {{accent}}. AVOID ALL other prominent colors.
+
+            Render a highly detailed, photorealistic {{view}} of a team {{sport}} {{garment}},
+            hanging naturally with subtle fabric folds, made of {{fabric}}.
+
+            Garment: {{cut}}. It MUST clearly show: {{anatomy}}.
+            {{styleInstruction}}
+
+            Key Features:
+            - Main Fabric Color: {{primary}}
+            - Trim and Number Color: {{secondary}}
+            - Accent Color: {{accent}}
+            - {{logoInstructions}}
+            - {{numberInstruction}}
+            {{nameInstruction}}
+            - Text Quality: {{textQuality}} MUST be clean and correctly spelled. AVOID ALL GIBBERISH OR EXTRANEOUS TEXT ARTIFACTS on the {{garment}} or background.
+            {{designInstruction}}
+            {{referenceInstruction}}
+
+            Do NOT show: {{negatives}}.
+            Style: Soft studio lighting, hyper-realistic, 8k resolution, clean white background, no watermarks.
+        `,
+    },
+    baseball: {
+        extends: 'base',
+        anatomy: ['a button-front placket', 'contrast piping along the placket and sleeve ends', 'a dropped back tail'],
+        garmentOptions: { neckline: ['v_neck', 'henley'], sleeve: ['short', 'raglan', 'sleeveless'], fit: ['athletic', 'relaxed'], fabric: ['knit', 'mesh', 'sublimated', 'heathered'] },
+        numberPlacement: 'large on the back (and small on the lower left front, below the chest script)',
+        negatives: ['a crew-neck pullover T-shirt'],
+    },
+    softball: {
+        extends: 'baseball',
+        garmentOptions: { neckline: ['v_neck', 'henley', 'crew'], sleeve: ['short', 'raglan', 'sleeveless'], fit: ['athletic', 'slim', 'relaxed'], fabric: ['knit', 'mesh', 'sublimated', 'heathered'] },
+    },
+    basketball: {
+        extends: 'base',
+        anatomy: ['a sleeveless tank body with wide, deep armholes', 'ribbed binding around the neck and armholes', 'a longer, straight hem'],
+        garmentOptions: { neckline: ['v_neck', 'crew'], sleeve: ['sleeveless'], fit: ['athletic', 'relaxed'], fabric: ['mesh', 'sublimated', 'knit'] },
+        logoZones: ['center_chest', 'left_chest', 'right_chest', 'full_front', 'front_sponsor', 'upper_back', 'lower_back', 'back_neck'],
+        numberPlacement: 'large on both the front and the back',
+        negatives: ['sleeves of any length'],
+    },
+    cycling: {
+        extends: 'base',
+        fabric: 'lightweight aerodynamic technical fabric',
+        anatomy: ['a full-length front zipper with a short stand-up collar', 'three open cargo pockets across the lower back', 'a silicone gripper band at the waist hem'],
+        garmentOptions: { neckline: [], sleeve: ['short', 'long'], fit: ['slim'], fabric: ['sublimated'] },
+        numberPlacement: 'small on the left sleeve and on the lower back above the pockets',
+        namePlacement: 'across the upper back, above the rear pockets',
+        negatives: ['a loose T-shirt silhouette', 'a missing zipper or missing rear pockets'],
+    },
+    soccer: {
+        extends: 'base',
+        anatomy: ['a lightweight body', 'contrast trim at the collar and sleeve cuffs'],
+        garmentOptions: { neckline: ['crew', 'v_neck', 'polo'], sleeve: ['short', 'long', 'raglan'], fit: ['athletic', 'slim', 'relaxed'], fabric: ['sublimated', 'mesh', 'knit', 'heathered'] },
+        numberPlacement: 'large on the back (and small on the front chest)',
+    },
+    field_hockey: {
+        extends: 'soccer',
+        garmentOptions: { neckline: ['crew', 'v_neck', 'polo'], sleeve: ['short', 'sleeveless'], fit: ['athletic', 'slim'], fabric: ['sublimated', 'mesh', 'knit'] },
+    },
+    football: {
+        extends: 'base',
+        anatomy: ['cap sleeves cut wide enough to fit over shoulder pads', 'a reinforced V-neck collar', 'shoulder stripes or a contrast yoke panel', 'a long tail meant to be tucked in'],
+        garmentOptions: { neckline: ['v_neck'], sleeve: ['short'], fit: ['athletic'], fabric: ['mesh', 'sublimated', 'knit'] },
+        numberPlacement: 'large on the front and back (and small on both shoulders)',
+        negatives: ['a fitted soccer-style shirt', 'long sleeves'],
+    },
+    hockey: {
+        extends: 'base',
+        garment: 'sweater',
+        fabric: 'heavyweight knit mesh',
+        anatomy: ['an oversized body with long, wide sleeves', 'laces at the collar', 'a fight strap inside the back hem', 'stripes around the hem and sleeves'],
+        garmentOptions: { neckline: ['v_neck'], sleeve: ['long'], fit: ['relaxed'], fabric: ['knit', 'mesh', 'sublimated'] },
+        numberPlacement: 'large on the back and on both upper sleeves',
+        negatives: ['a slim or short-sleeve cut'],
+    },
+    lacrosse: {
+        extends: 'base',
+        garment: 'pinnie',
+        fabric: 'breathable athletic mesh',
+        anatomy: ['a sleeveless reversible mesh body', 'wide armholes', 'a loose, boxy fit'],
+        garmentOptions: { neckline: ['crew', 'v_neck'], sleeve: ['sleeveless'], fit: ['relaxed'], fabric: ['mesh'] },
+        logoZones: ['center_chest', 'left_chest', 'right_chest', 'full_front', 'front_sponsor', 'upper_back', 'lower_back', 'back_neck'],
+        numberPlacement: 'large on both the front and the back',
+        negatives: ['sleeves of any length'],
+    },
+    rugby: {
+        extends: 'base',
+        fabric: 'durable, tightly woven performance fabric',
+        anatomy: ['reinforced seams', 'a rubberized collar band'],
+        garmentOptions: { neckline: ['crew', 'polo', 'henley'], sleeve: ['short', 'long'], fit: ['slim', 'athletic'], fabric: ['knit', 'sublimated', 'heathered'] },
+    },
+    track_and_field: {
+        extends: 'base',
+        garment: 'singlet',
+        fabric: 'ultra-light vented mesh',
+        anatomy: ['a sleeveless racerback cut', 'a scoop neckline', 'a fitted, cropped-length body'],
+        garmentOptions: { neckline: [], sleeve: ['sleeveless'], fit: ['slim'], fabric: ['mesh', 'sublimated'] },
+        logoZones: ['center_chest', 'left_chest', 'front_sponsor', 'upper_back', 'back_neck'],
+        numberPlacement: 'small on the upper back (race bibs are pinned to the front, so keep the front clear)',
+        namePlacement: 'across the upper back, above the number',
+        negatives: ['sleeves', 'a loose T-shirt silhouette'],
+    },
+    volleyball: {
+        extends: 'base',
+        anatomy: ['stretchy fabric with flatlock seams'],
+        garmentOptions: { neckline: ['crew', 'v_neck'], sleeve: ['short', 'sleeveless', 'long'], fit: ['slim', 'athletic'], fabric: ['sublimated', 'mesh', 'knit'] },
+        numberPlacement: 'large on both the front and the back',
+    },
+    wrestling: {
+        extends: 'base',
+        garment: 'singlet',
+        fabric: 'stretch Lycra',
+        anatomy: ['ONE piece: a fitted top joined to attached shorts that end at mid-thigh', 'deep scooped armholes', 'a low-cut back'],
+        garmentOptions: { neckline: [], sleeve: ['sleeveless'], fit: ['slim'], fabric: ['sublimated', 'knit'] },
+        logoZones: ['center_chest', 'full_front', 'upper_back', 'lower_back', 'left_hip'],
+        numberPlacement: 'small on the left hip',
+        namePlacement: 'across the back, below the shoulder blades',
+        negatives: ['a shirt or a separate top and shorts', 'sleeves'],
+    },
+};
+
+/**
+ * Resolves a template with everything it inherits.
+ * @param {string} jerseyType A JERSEY_TYPES value; unknown types get the base template.
+ * @returns {object} The merged template (without `extends`).
+ */
+export const getPromptTemplate = (jerseyType) => {
+    const chain = [];
+    let key = PROMPT_TEMPLATES[jerseyType] ? jerseyType : 'base';
+    while (key) {
+        if (chain.some(entry => entry.key === key)) {
+            throw new Error(`Prompt template "${jerseyType}" has an inheritance cycle at "${key}".`);
+        }
+        const template = PROMPT_TEMPLATES[key];
+        if (!template) {
+            throw new Error(`Prompt template "${chain[chain.length - 1].key}" extends unknown template "${key}".`);
+        }
+        chain.push({ key, template });
+        key = template.extends;
+    }
+
+    // Apply from the root down so children win
+    return chain.reverse().reduce((merged, { key: name, template }) => {
+        const fields = { ...template };
+        delete fields.extends;
+        return {
+            ...merged,
+            ...fields,
+            name,
+            negatives: [...(merged.negatives || []), ...(fields.negatives || [])],
+        };
+    }, {});
+};
+
+/**
+ * Replaces `{{name}}` placeholders with values.
+ * @param {string} text The template text.
+ * @param {Object<string, string>} values Placeholder values.
+ * @returns {string}
+ */
+export const fillTemplate = (text, values) => text.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (!(name in values)) {
+        throw new Error(`Prompt template placeholder "${name}" has no value.`);
+    }
+    return values[name];
+});
@@ -4,38 +4,78 @@ import {
     Upload, FileText, Dribbble, Goal, TrendingUp,
     Trophy, // Used for Baseball/Softball
     Shield, // Used for Football/Hockey/Rugby/Lacrosse
-    Layers, Server, Wifi // Icon for design elements
+    Layers, Server, Wifi, Cloud, Hash, Eye, Pipette, Download, Link, Grid, Sparkles, // Icon for design elements
+    Database, RefreshCw
 } from 'lucide-react';
+import {
+    JERSEY_TYPES as SPEC_JERSEY_TYPES, JERSEY_VIEWS, LOGO_SLOTS, MAX_SAMPLE_COUNT, PLAYER_NAME_MAX_LENGTH,
+    getLogoZones, validateDesignSpec
+} from '../shared/designSpec.js';
+import {
+    apiKeyProvided, appsScriptUrlProvided, formatFieldErrors, generateJerseyImage, generateJerseyImages,
+    getConnectionError
+} from './api/jerseyClient.js';
+import RosterPanel from './components/RosterPanel.jsx';
+import KitSetPanel from './components/KitSetPanel.jsx';
+import TurnaroundPanel from './components/TurnaroundPanel.jsx';
+import PromptInspector from './components/PromptInspector.jsx';
+import LogoOverlayEditor from './components/LogoOverlayEditor.jsx';
+import ColorFidelityReport from './components/ColorFidelityReport.jsx';
+import GalleryPanel from './components/GalleryPanel.jsx';
+import CandidateGrid from './components/CandidateGrid.jsx';
+import RefinePanel from './components/RefinePanel.jsx';
+import GarmentOptions from './components/GarmentOptions.jsx';
+import LogoSlots from './components/LogoSlots.jsx';
+import ExportPanel from './components/ExportPanel.jsx';
+import SvgJerseyPreview from './components/SvgJerseyPreview.jsx';
+import LogoPalettePanel from './components/LogoPalettePanel.jsx';
+import LegibilityPanel from './components/LegibilityPanel.jsx';
+import BrandKitPanel from './components/BrandKitPanel.jsx';
+import JobStatusList, { describeJobProgress } from './components/JobStatusList.jsx';
+import { analyzeColorFidelity, DEFAULT_FIDELITY_TOLERANCE } from './lib/colorFidelity.js';
+import { saveGeneration, setFavorite } from './lib/historyStore.js';
+import { formatPlayerName, formatTeamName } from './lib/brandKits.js';
+import { addVersion, checkoutVersion, createVersionTree, undoVersion } from './lib/versionTree.js';
+import { base64ToBytes } from './lib/zip.js';
+import { downloadBlob, slugify } from './lib/download.js';
+import { renderImageAs } from './lib/imageExport.js';
+import {
+    DESIGN_FILE_EXTENSION, decodeDesignHash, encodeDesignHash, migrateDesign, parseDesignFile, serializeDesignFile
+} from './lib/designFile.js';
+import { buildPrompt } from '../shared/promptBuilder.js';
+import { fitGarmentToSport } from '../shared/garmentOptions.js';
 
-// === IMPORTANT: PASTE YOUR API KEY HERE ===
-// This key must be present for the internal image generation path (Direct API Mode).
-// The previous "import.meta" syntax has been removed to resolve the compilation warning.
-const API_KEY = ""; 
-
-// === IMPORTANT: PASTE YOUR DEPLOYED APPS SCRIPT URL HERE ===
-// This is the public URL you copied from Step 2 of the deployment guide.
-const APPS_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbyaQpTsHvKYRbQq3XAANW9st55HJ2AyBbWftvPWQF6xCtyET1sBqUqIH0Uqm7mM7acu/exec'; 
-
-// **FIX:** Transparent 1x1 PNG Base64 Data. This forces the use of the better multimodal model.
-const BLANK_LOGO_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
-
-// List of available sports jersey types, sorted alphabetically
-const JERSEY_TYPES = [
-    { value: 'baseball', label: 'Baseball', icon: Trophy },
-    { value: 'basketball', label: 'Basketball', icon: Dribbble },
-    { value: 'cycling', label: 'Cycling', icon: TrendingUp },
-    { value: 'field_hockey', label: 'Field Hockey', icon: Goal },
-    { value: 'football', label: 'Football', icon: Shield },
-    { value: 'hockey', label: 'Hockey', icon: Shield },
-    { value: 'lacrosse', label: 'Lacrosse', icon: Shield },
-    { value: 'rugby', label: 'Rugby', icon: Shield },
-    { value: 'soccer', label: 'Soccer', icon: Goal },
-    { value: 'softball', label: 'Softball', icon: Trophy },
-    { value: 'track_and_field', label: 'Track & Field', icon: TrendingUp },
-    { value: 'volleyball', label: 'Volleyball', icon: Dribbble },
-    { value: 'wrestling', label: 'Wrestling', icon: User },
+// Icons for the sports jersey types defined in the shared design spec
+const JERSEY_ICONS = {
+    baseball: Trophy,
+    basketball: Dribbble,
+    cycling: TrendingUp,
+    field_hockey: Goal,
+    football: Shield,
+    hockey: Shield,
+    lacrosse: Shield,
+    rugby: Shield,
+    soccer: Goal,
+    softball: Trophy,
+    track_and_field: TrendingUp,
+    volleyball: Dribbble,
+    wrestling: User,
+};
+
+const JERSEY_TYPES = SPEC_JERSEY_TYPES.map(type => ({ ...type, icon: JERSEY_ICONS[type.value] }));
+
+// Available generation backends. The Netlify Function is the default because it keeps the key server-side.
+const CONNECTION_MODES = [
+    { value: 'netlify', label: 'Netlify Function (Recommended)', icon: Cloud, hint: 'Runs generation jobs through /.netlify/functions/generation-jobs. The API key stays on the server.' },
+    { value: 'appsScript', label: 'Deployed Apps Script', icon: Wifi, hint: 'Calls your Apps Script web app. The API key is stored in Script Properties.' },
+    { value: 'direct', label: 'Direct Client API (Requires Key)', icon: Zap, hint: 'Calls Gemini from the browser. For local testing only: the key is bundled into the app.' },
 ];
 
+// Finished jobs kept in the status list (running ones always stay)
+const MAX_FINISHED_JOBS = 5;
+
+const isJobActive = (job) => job.status === 'running' || job.status === 'cancelling';
+
 /**
  * Converts a File object (Image) into a Base64 string for the API payload.
  * @param {File} file The image file object.
@@ -53,6 +93,40 @@ const fileToBase64 = (file) => {
     });
 };
 
+/**
+ * Embeds a logo upload for the API payload. SVGs are rasterized to PNG first: image models
+ * only read raster images (and the server would otherwise have to sanitize the markup).
+ * @param {File} file The uploaded logo.
+ * @returns {Promise<{name: string, mimeType: string, data: string}>}
+ */
+const logoFileToImage = async (file) => {
+    if (file.type !== 'image/svg+xml') {
+        return { name: file.name, mimeType: file.type, data: await fileToBase64(file) };
+    }
+    const url = URL.createObjectURL(file);
+    try {
+        const { blob } = await renderImageAs(url, { format: 'png', maxSide: 1024 });
+        return { name: file.name, mimeType: 'image/png', data: await fileToBase64(blob) };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+/**
+ * Converts a Blob (e.g. a stored mockup) into a data URL.
+ * @param {Blob} blob The image data.
+ * @returns {Promise<string>} The data: URL.
+ */
+const blobToDataUrl = (blob) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.readAsDataURL(blob);
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = (error) => reject(error);
+    });
+};
+
+
 
 // Helper component for text inputs
 const InputGroup = ({ label, icon: Icon, value, onChange, placeholder, color }) => (
@@ -106,220 +180,453 @@ const App = () => {
     const [thirdColor, setThirdColor] = useState('#10B981'); // Green Accent
     const [designElements, setDesignElements] = useState('');
 
-    // State for Logo Management
-    const [logoFile, setLogoFile] = useState(null);
-    const [logoPreviewUrl, setLogoPreviewUrl] = useState('');
-    const [logoDescription, setLogoDescription] = useState('A clean text logo or simple design placed on the center chest.');
-    
-    const fileInputRef = useRef(null);
+    // State for the structured garment options and style preset
+    const [garment, setGarment] = useState(() => fitGarmentToSport('basketball'));
+    const [stylePreset, setStylePreset] = useState(null);
+
+    // State for Player Personalization (back of jersey)
+    const [playerName, setPlayerName] = useState('');
+    const [playerNumber, setPlayerNumber] = useState('');
+    const [jerseyView, setJerseyView] = useState('front_and_back');
+
+    // State for Logo Management: one entry per logo slot ({ file, previewUrl, description, zone })
+    const [logoSlots, setLogoSlots] = useState({});
+    // Pixel-exact placement of the original crest over the mockup (null until placed)
+    const [logoOverlay, setLogoOverlay] = useState(null);
+    const crest = logoSlots.crest || {};
+
+    // The brand kit the controls were filled from; its naming rules letter the team and player names
+    const [activeKit, setActiveKit] = useState(null);
 
     // --- State for Image Generation ---
     const [imageUrl, setImageUrl] = useState('');
-    const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
+    // Generation jobs, newest first ({ id, label, status, attempt, attempts, progress, error, candidates, controller });
+    // they run in the background so the design can keep being edited
+    const [jobs, setJobs] = useState([]);
+    const activeJobs = jobs.filter(isJobActive);
+    // The preview only shows a spinner while there is nothing else to show
+    const isLoading = !imageUrl && activeJobs.length > 0;
+
+    // State for Color Fidelity verification
+    const [fidelityReport, setFidelityReport] = useState(null);
+    const [fidelityTolerance, setFidelityTolerance] = useState(DEFAULT_FIDELITY_TOLERANCE);
+    const [autoRegenerate, setAutoRegenerate] = useState(false);
+    const [maxAttempts, setMaxAttempts] = useState(3);
+
+    // State for Multi-Candidate generation
+    const [variations, setVariations] = useState(1);
+    const [candidates, setCandidates] = useState([]);
+    const [selectedCandidateId, setSelectedCandidateId] = useState(null);
+    const [showComparison, setShowComparison] = useState(false);
+
+    // State for Iterative Refinement: a branchable tree of versions of the current mockup
+    const [versionTree, setVersionTree] = useState(null);
+    const [isRefining, setIsRefining] = useState(false);
+
+    // Bumped after each saved generation so the gallery reloads
+    const [historyVersion, setHistoryVersion] = useState(0);
     
-    // State to toggle between calling the Apps Script backend or the direct API (local testing)
-    const [useAppsScript, setUseAppsScript] = useState(true);
+    // Selected backend: 'netlify' (default), 'appsScript' or 'direct' (local testing)
+    const [connectionMode, setConnectionMode] = useState('netlify');
 
-    // Check if the API key is provided and not the placeholder from the development environment
-    const apiKeyProvided = API_KEY && API_KEY.length > 5 && API_KEY !== 'undefined';
-    const appsScriptUrlProvided = APPS_SCRIPT_URL && !APPS_SCRIPT_URL.includes('AKfycb...');
 
+    // Keeps the latest slots reachable from the unmount cleanup below
+    const logoSlotsRef = useRef(logoSlots);
+    logoSlotsRef.current = logoSlots;
 
-    // Cleanup object URL when component unmounts or logo changes
-    useEffect(() => {
-        return () => {
-            if (logoPreviewUrl) {
-                URL.revokeObjectURL(logoPreviewUrl);
-            }
-        };
-    }, [logoPreviewUrl]);
+    // Cleanup object URLs and stop running jobs when the component unmounts
+    const jobsRef = useRef(jobs);
+    jobsRef.current = jobs;
+    useEffect(() => () => {
+        Object.values(logoSlotsRef.current).forEach(slot => slot.previewUrl && URL.revokeObjectURL(slot.previewUrl));
+        jobsRef.current.forEach(job => job.controller?.abort());
+    }, []);
 
-    // Handler for logo file upload
-    const handleLogoUpload = (event) => {
-        const file = event.target.files[0];
-        if (file && file.type.startsWith('image/')) {
-            if (logoPreviewUrl) {
-                URL.revokeObjectURL(logoPreviewUrl);
-            }
-            setLogoFile(file);
-            const newUrl = URL.createObjectURL(file);
-            setLogoPreviewUrl(newUrl);
-            // Update prompt to focus on using the uploaded image
-            setLogoDescription(`Please use the attached logo file, named "${file.name}". Render this exact logo prominently placed on the center chest area.`);
-        } else {
-            setLogoFile(null);
-            setLogoPreviewUrl('');
-            setLogoDescription('A clean text logo or simple design placed on the center chest.');
+    const updateLogoSlot = (slot, changes) => {
+        setLogoSlots(prev => ({ ...prev, [slot]: { ...prev[slot], ...changes } }));
+    };
+
+    // Handler for logo slot uploads (file is null to remove the image)
+    const setLogoSlotFile = (slot, file) => {
+        const previous = logoSlots[slot]?.previewUrl;
+        if (previous) {
+            URL.revokeObjectURL(previous);
+        }
+        updateLogoSlot(slot, { file, previewUrl: file ? URL.createObjectURL(file) : '' });
+        if (slot === 'crest') {
+            setLogoOverlay(null);
         }
     };
 
+    // Collects the current controls into a raw (not yet validated) design spec, embedding the logos.
+    // Slots the current sport has no zone for are left out (but kept in state for switching back).
+    const createDesignSpec = useCallback(async () => ({
+        jerseyType,
+        teamName: activeKit ? formatTeamName(teamName, activeKit.kit.naming) : teamName,
+        colors: { primary: primaryColor, secondary: secondaryColor, accent: thirdColor },
+        designElements,
+        logos: await Promise.all(LOGO_SLOTS
+            .filter(({ value }) => logoSlots[value] && getLogoZones(jerseyType, value).length > 0)
+            .map(async ({ value }) => {
+                const slot = logoSlots[value];
+                const zones = getLogoZones(jerseyType, value);
+                return {
+                    slot: value,
+                    zone: zones.some(z => z.value === slot.zone) ? slot.zone : zones[0].value,
+                    description: slot.description || '',
+                    image: slot.file ? await logoFileToImage(slot.file) : null,
+                };
+            })),
+        playerName: activeKit ? formatPlayerName(playerName, activeKit.kit.naming) : playerName,
+        playerNumber,
+        view: jerseyView,
+        garment,
+        style: stylePreset,
+    }), [jerseyType, teamName, primaryColor, secondaryColor, thirdColor, designElements, logoSlots, playerName, playerNumber, jerseyView, garment, stylePreset, activeKit]);
 
-    // Exponential backoff retry function for API calls
-    const withRetry = useCallback(async (fn, retries = 3) => {
-        for (let i = 0; i < retries; i++) {
-            try {
-                return await fn();
-            } catch (err) {
-                if (i === retries - 1) throw err;
-                const delay = Math.pow(2, i) * 1000; // 1s, 2s, 4s
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
-        }
+    // Keep the garment choices valid for the selected sport
+    useEffect(() => {
+        setGarment(current => fitGarmentToSport(jerseyType, current));
+    }, [jerseyType]);
+
+    // Makes a candidate the current mockup (preview, overlay editor and fidelity report)
+    // and starts a fresh version tree for refinements
+    const selectCandidate = useCallback((candidate, attempts = 1) => {
+        const report = candidate.report ? { ...candidate.report, attempts, bestAttempt: candidate.attempt } : null;
+        setSelectedCandidateId(candidate.id);
+        setImageUrl(candidate.url);
+        setFidelityReport(report);
+        setVersionTree(createVersionTree({ url: candidate.url, base64Data: candidate.base64Data, report, label: 'Original' }));
     }, []);
 
-    // --- Dynamic Prompt Builder ---
-    const constructPrompt = useCallback((hasRealLogo) => {
-        const typeLabel = JERSEY_TYPES.find(t => t.value === jerseyType)?.label || 'Jersey';
-        
-        // Design Instruction: conditional inclusion of stripes, gradients, etc.
-        const designInstruction = designElements.trim() 
-            ? `- Pattern/Design: Incorporate the following design elements: ${designElements}.` 
-            : '';
-
-        let logoInstruction;
-
-        if (hasRealLogo) {
-            // Case 1: Real Logo Uploaded. Tell the AI to use the image.
-            logoInstruction = `Use the attached image as the logo. Place this exact logo on the center chest.`;
-        } else {
-            // Case 2: No Logo Uploaded. Tell the AI to IGNORE the blank image (forcing the multimodal path) 
-            // and instead create a text-based design.
-            logoInstruction = `**NO EXTERNAL LOGO IS PROVIDED.** Ignore the blank image input. Instead, the logo should be the team name, "${teamName.toUpperCase()}", rendered as a clean, sharp decal in the Secondary Color. Place this decal prominently on the center chest as the main graphic.`;
-        }
+    const updateJob = useCallback((id, changes) => {
+        setJobs(prev => prev.map(job => (job.id === id ? { ...job, ...changes } : job)));
+    }, []);
 
-        const detailPrompt = `
-            **CRITICAL COLOR AND TEXT ENFORCEMENT:** The jersey MUST STRICTLY use these three hex colors: Primary: ${primaryColor}, Secondary: ${secondaryColor}, Accent: ${thirdColor}. AVOID ALL other prominent colors.
-            
-            Render a highly detailed, photorealistic front and back mockup of a team ${typeLabel} jersey, 
-            hanging naturally with subtle fabric folds, made of modern synthetic fabric. 
-            
-            Key Features: 
-            - Main Fabric Color: ${primaryColor}
-            - Trim and Number Color: ${secondaryColor}
-            - Accent Color: ${thirdColor}
-            - ${logoInstruction}
-            - Numbers: Use a legible font for the numbers, rendered in the Secondary Color.
-            - Text Quality: The word "${teamName.toUpperCase()}" MUST be clean and correctly spelled. AVOID ALL GIBBERISH OR EXTRANEOUS TEXT ARTIFACTS on the jersey or background.
-            ${designInstruction}
-            
-            Style: Soft studio lighting, hyper-realistic, 8k resolution, clean white background, no watermarks.
-        `;
-        
-        return detailPrompt;
-    }, [jerseyType, teamName, primaryColor, secondaryColor, thirdColor, designElements]);
+    // Shows a job's candidates in the preview, best color match first
+    const showJobResult = useCallback((job) => {
+        const best = job.candidates.find(c => c.id === job.bestId) || job.candidates[0];
+        setError(null);
+        setCandidates(job.candidates);
+        setShowComparison(job.candidates.length > 1);
+        selectCandidate(best, job.attempt);
+    }, [selectCandidate]);
 
     // --- Image Generation Handler ---
-    const generateImage = useCallback(async () => {
-        setIsLoading(true);
+    // Runs one generation job. Callers don't wait for it: the job list tracks it, and its
+    // result replaces the preview when it finishes.
+    // `reference` (optional) feeds a previous render back to the model, e.g. for "more like this";
+    // `force` skips the Netlify Function's result cache
+    const generateImage = useCallback(async ({ reference = null, force = false } = {}) => {
         setError(null);
-        setImageUrl('');
         
-        const prompt = constructPrompt(!!logoFile);
-
-        if (useAppsScript && !appsScriptUrlProvided) {
-            setError("Apps Script URL is missing. Please paste your deployed URL into the code.");
-            setIsLoading(false);
+        const connectionError = getConnectionError(connectionMode);
+        if (connectionError) {
+            setError(connectionError);
             return;
         }
 
-        if (!useAppsScript && !apiKeyProvided) {
-            setError("API Key is missing for Direct Mode. Please paste your key into the code.");
-            setIsLoading(false);
+        // Snapshot the settings: the controls may change while the job runs
+        const attempts = autoRegenerate ? maxAttempts : 1;
+        const count = variations;
+        const tolerance = fidelityTolerance;
+        const mode = connectionMode;
+
+        let rawSpec;
+        let spec;
+        try {
+            // Build and validate the structured design spec shared with the Netlify Function
+            rawSpec = await createDesignSpec();
+            const result = validateDesignSpec({ ...rawSpec, reference });
+            if (!result.valid) {
+                setError(`Please fix the design: ${formatFieldErrors(result.errors)}`);
+                return;
+            }
+            spec = result.spec;
+        } catch (err) {
+            console.error("Image generation error:", err);
+            setError(`Failed to generate image. (${err.message})`);
             return;
         }
 
+        const jobId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        const controller = new AbortController();
+        setJobs(prev => [{
+            id: jobId,
+            label: [spec.teamName || 'Untitled design', reference && 'more like this'].filter(Boolean).join(' · '),
+            status: 'running',
+            attempt: 1,
+            attempts,
+            progress: { completed: 0, total: count },
+            error: null,
+            candidates: [],
+            bestId: null,
+            cache: null,
+            controller,
+        }, ...prev].filter((job, index, all) => (
+            isJobActive(job) || all.slice(0, index).filter(j => !isJobActive(j)).length < MAX_FINISHED_JOBS
+        )));
 
         try {
-            if (useAppsScript) {
-                // PATH 1: Call Deployed Apps Script Backend
-                const fetchFn = async () => {
-                    const response = await fetch(APPS_SCRIPT_URL, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ prompt: prompt }), // Apps Script only needs the prompt
+            // Regenerate until a candidate's colors are within tolerance (or attempts run out)
+            const generated = [];
+            let attempt = 0;
+
+            while (attempt < attempts) {
+                attempt++;
+                updateJob(jobId, { attempt, progress: { completed: 0, total: count } });
+
+                // A retry for color fidelity needs new images, not the cached ones that just failed
+                const batch = await generateJerseyImages(spec, mode, count, {
+                    force: force || attempt > 1,
+                    signal: controller.signal,
+                    onProgress: ({ completed, total }) => updateJob(jobId, { progress: { completed, total } }),
+                });
+                const analyzed = await Promise.all(batch.images.map(async (base64Data, index) => {
+                    const url = `data:image/png;base64,${base64Data}`;
+                    // Verification is advisory: a failed analysis must not throw away a good image
+                    const report = await analyzeColorFidelity(url, spec.colors, tolerance).catch(err => {
+                        console.error("Color fidelity analysis error:", err);
+                        return null;
                     });
-                    
-                    if (!response.ok) {
-                        throw new Error(`Server status: ${response.status}`);
-                    }
-                    
-                    const result = await response.json();
-                    
-                    if (result.status === 'success' && result.image) {
-                        return result.image;
-                    } else {
-                        throw new Error(result.message || 'Image generation failed on the Apps Script server.');
-                    }
-                };
+                    return { id: `${jobId}-${attempt}-${index}`, base64Data, url, report, attempt, historyId: null, cache: batch.cache };
+                }));
+                generated.push(...analyzed);
 
-                const base64Data = await withRetry(fetchFn);
-                setImageUrl(`data:image/png;base64,${base64Data}`);
+                if (analyzed.some(c => !c.report || c.report.passed)) break;
+            }
 
-            } else {
-                // PATH 2: Direct Client-Side API Call (for local development/testing)
-                const modelName = 'gemini-2.5-flash-image-preview';
-                const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${API_KEY}`;
-                
-                let base64ImageToUse = BLANK_LOGO_BASE64;
-                let mimeTypeToUse = 'image/png';
-                
-                if (logoFile) {
-                    base64ImageToUse = await fileToBase64(logoFile);
-                    mimeTypeToUse = logoFile.type;
-                }
+            // The closest color match is shown first; every candidate stays available for comparison
+            const best = generated.reduce((winner, c) => (
+                c.report && winner.report && c.report.score < winner.report.score ? c : winner
+            ));
 
-                const payload = {
-                    contents: [{
-                        parts: [
-                            { text: prompt },
-                            {
-                                inlineData: {
-                                    mimeType: mimeTypeToUse,
-                                    data: base64ImageToUse
-                                }
-                            }
-                        ]
-                    }],
-                    generationConfig: {
-                        responseModalities: ['TEXT', 'IMAGE']
-                    },
-                };
-                
-                const fetchFn = async () => {
-                    const response = await fetch(apiUrl, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify(payload)
-                    });
-                    if (!response.ok) {
-                        const errorBody = await response.json();
-                        throw new Error(errorBody.error?.message || `API call failed with status: ${response.status}`);
-                    }
-                    return response.json();
-                };
+            const finished = { status: 'succeeded', attempt, candidates: generated, bestId: best.id, cache: generated[0].cache, controller: null };
+            updateJob(jobId, finished);
+            showJobResult(finished);
 
-                const result = await withRetry(fetchFn);
-                
-                const base64Data = result?.candidates?.[0]?.content?.parts?.find(p => p.inlineData)?.inlineData?.data;
-                
-                if (base64Data) {
-                    setImageUrl(`data:image/png;base64,${base64Data}`);
-                } else {
-                    setError("Image generation failed to return data. The AI may be struggling with complex instructions.");
+            // Keep every result in the local history; a storage failure must not hide the images
+            generated.forEach(candidate => {
+                saveGeneration({
+                    mode,
+                    prompt: buildPrompt(spec),
+                    params: rawSpec,
+                    image: new Blob([base64ToBytes(candidate.base64Data)], { type: 'image/png' }),
+                    fidelity: candidate.report,
+                })
+                    .then(record => {
+                        const withHistoryId = c => (c.id === candidate.id ? { ...c, historyId: record.id } : c);
+                        setCandidates(prev => prev.map(withHistoryId));
+                        setJobs(prev => prev.map(job => (job.id === jobId ? { ...job, candidates: job.candidates.map(withHistoryId) } : job)));
+                        setHistoryVersion(v => v + 1);
+                    })
+                    .catch(err => console.error("Could not save design history:", err));
+            });
+        } catch (err) {
+            if (err.cancelled) {
+                updateJob(jobId, { status: 'cancelled', controller: null });
+                return;
+            }
+            console.error("Image generation error:", err);
+            updateJob(jobId, { status: 'failed', error: err.message, controller: null });
+        }
+    }, [createDesignSpec, connectionMode, autoRegenerate, maxAttempts, fidelityTolerance, variations, updateJob, showJobResult]); 
+
+    const cancelJob = useCallback((job) => {
+        updateJob(job.id, { status: 'cancelling' });
+        job.controller?.abort();
+    }, [updateJob]);
+
+    // Picking a candidate makes it the current mockup and favorites it in the history
+    const pickCandidate = useCallback((candidate) => {
+        selectCandidate(candidate);
+        setShowComparison(false);
+        if (candidate.historyId) {
+            setFavorite(candidate.historyId, true)
+                .then(() => setHistoryVersion(v => v + 1))
+                .catch(err => console.error("Could not favorite design:", err));
+        }
+    }, [selectCandidate]);
+
+    // --- Iterative Refinement: send the current version back with an edit instruction ---
+    // Resolves to whether a new version was made (errors are shown in the preview, not thrown)
+    const refineImage = useCallback(async (instruction) => {
+        const current = versionTree.nodes[versionTree.currentId];
+        setIsRefining(true);
+        setError(null);
+
+        try {
+            const rawSpec = await createDesignSpec();
+            const { valid, errors, spec } = validateDesignSpec({
+                ...rawSpec,
+                reference: { mode: 'edit', instruction, image: { mimeType: 'image/png', data: current.base64Data } },
+            });
+            if (!valid) {
+                setError(`Please fix the design: ${formatFieldErrors(errors)}`);
+                return false;
+            }
+
+            const base64Data = await generateJerseyImage(spec, connectionMode);
+            const url = `data:image/png;base64,${base64Data}`;
+            const report = await analyzeColorFidelity(url, spec.colors, fidelityTolerance).catch(() => null);
+
+            setVersionTree(tree => addVersion(tree, current.id, { url, base64Data, report, label: spec.reference.instruction }));
+            setImageUrl(url);
+            setFidelityReport(report);
+
+            saveGeneration({
+                mode: connectionMode,
+                prompt: buildPrompt(spec),
+                params: rawSpec,
+                image: new Blob([base64ToBytes(base64Data)], { type: 'image/png' }),
+                fidelity: report,
+            })
+                .then(() => setHistoryVersion(v => v + 1))
+                .catch(err => console.error("Could not save design history:", err));
+            return true;
+        } catch (err) {
+            console.error("Refinement error:", err);
+            setError(`Failed to refine image. (${err.message})`);
+            return false;
+        } finally {
+            setIsRefining(false);
+        }
+    }, [versionTree, createDesignSpec, connectionMode, fidelityTolerance]);
+
+    // Shows a version from the tree in the preview
+    const showVersion = useCallback((tree) => {
+        const node = tree.nodes[tree.currentId];
+        setVersionTree(tree);
+        setImageUrl(node.url);
+        setFidelityReport(node.report || null);
+    }, []);
+
+    const generateMoreLike = useCallback((candidate) => {
+        // Asking for variations again should give new ones
+        generateImage({ reference: { mode: 'variation', image: { mimeType: 'image/png', data: candidate.base64Data } }, force: true });
+    }, [generateImage]);
+
+    // Replaces every logo slot with the given spec logos, decoding embedded images into files.
+    // Object URLs are created and revoked here, not in a state updater: updaters must stay pure (StrictMode runs them twice).
+    const replaceLogoSlots = useCallback((logos) => {
+        Object.values(logoSlotsRef.current).forEach(slot => slot.previewUrl && URL.revokeObjectURL(slot.previewUrl));
+        const next = Object.fromEntries(logos.map(logo => {
+            const file = logo.image
+                ? new File([base64ToBytes(logo.image.data)], logo.image.name || logo.slot, { type: logo.image.mimeType })
+                : null;
+            return [logo.slot, { file, previewUrl: file ? URL.createObjectURL(file) : '', description: logo.description || '', zone: logo.zone }];
+        }));
+        // Keep the ref current so a second replace before the next render revokes these, not the old ones
+        logoSlotsRef.current = next;
+        setLogoSlots(next);
+    }, []);
+
+    // Applies a saved parameter set (raw design spec) to the controls, including the embedded logo
+    const applyDesign = useCallback((params) => {
+        setJerseyType(params.jerseyType);
+        setTeamName(params.teamName);
+        setPrimaryColor(params.colors.primary);
+        setSecondaryColor(params.colors.secondary);
+        setThirdColor(params.colors.accent);
+        setDesignElements(params.designElements || '');
+        setPlayerName(params.playerName || '');
+        setPlayerNumber(params.playerNumber || '');
+        setJerseyView(params.view || 'front_and_back');
+        setGarment(fitGarmentToSport(params.jerseyType, params.garment || {}));
+        setStylePreset(params.style || null);
+        replaceLogoSlots(params.logos || []);
+        setLogoOverlay(params.logoOverlay || null);
+    }, [replaceLogoSlots]);
+
+    // Fills the controls from a brand kit (colors, logos, design elements, sport, team lettering)
+    const applyBrandKit = useCallback((record) => {
+        const { kit } = record;
+        setJerseyType(kit.jerseyType);
+        setPrimaryColor(kit.colors.primary);
+        setSecondaryColor(kit.colors.secondary);
+        setThirdColor(kit.colors.accent);
+        setDesignElements(kit.designElements);
+        if (kit.naming.teamName) {
+            setTeamName(formatTeamName(kit.naming.teamName, kit.naming));
+        }
+        replaceLogoSlots(kit.logos);
+        setLogoOverlay(null);
+        setActiveKit(record);
+    }, [replaceLogoSlots]);
+
+    // --- Design Files & Share Links ---
+    const designFileInputRef = useRef(null);
+    const [designFileMessage, setDesignFileMessage] = useState(null);
+
+    // Open a design from the URL hash on load, and whenever a pasted link changes the hash
+    useEffect(() => {
+        const openFromHash = () => {
+            try {
+                const design = decodeDesignHash(window.location.hash);
+                if (design) {
+                    applyDesign(design);
+                    setDesignFileMessage({ type: 'success', text: 'Design loaded from link.' });
                 }
+            } catch (err) {
+                setDesignFileMessage({ type: 'error', text: err.message });
             }
+        };
+        openFromHash();
+        window.addEventListener('hashchange', openFromHash);
+        return () => window.removeEventListener('hashchange', openFromHash);
+    }, [applyDesign]);
+
+    const exportDesignFile = async () => {
+        const design = { ...(await createDesignSpec()), logoOverlay };
+        const blob = new Blob([serializeDesignFile(design)], { type: 'application/json' });
+        downloadBlob(blob, `${slugify(teamName)}-${jerseyType}${DESIGN_FILE_EXTENSION}`);
+    };
+
+    const importDesignFile = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            applyDesign(parseDesignFile(await file.text()));
+            setDesignFileMessage({ type: 'success', text: `Opened "${file.name}".` });
         } catch (err) {
-            console.error("Image generation error:", err);
-            setError(`Failed to generate image. (${err.message})`);
+            setDesignFileMessage({ type: 'error', text: err.message });
         } finally {
-            setIsLoading(false);
+            designFileInputRef.current.value = '';
+        }
+    };
+
+    const copyShareLink = async () => {
+        const hash = encodeDesignHash(await createDesignSpec());
+        const url = `${window.location.origin}${window.location.pathname}${hash}`;
+        window.history.replaceState(null, '', hash);
+        try {
+            await navigator.clipboard.writeText(url);
+            setDesignFileMessage({ type: 'success', text: `Link copied${Object.values(logoSlots).some(slot => slot.file) ? ' (logo images are not included in links; export a design file to share it)' : ''}.` });
+        } catch {
+            setDesignFileMessage({ type: 'error', text: `Copy failed. Share this link instead: ${url}` });
         }
-    }, [constructPrompt, withRetry, logoFile, apiKeyProvided, useAppsScript, appsScriptUrlProvided]); 
+    };
+
+    // Restores a gallery entry: its settings go back into the controls and its image into the preview
+    const restoreGeneration = useCallback(async (record) => {
+        // Entries saved before logo slots existed carry a single `logo`
+        applyDesign(record.params.logos ? record.params : migrateDesign(record.params, 1));
+        setError(null);
+        setCandidates([]);
+        setShowComparison(false);
+        const url = await blobToDataUrl(record.image);
+        setImageUrl(url);
+        setFidelityReport(record.fidelity || null);
+        setVersionTree(createVersionTree({ url, base64Data: url.split(',')[1], report: record.fidelity || null, label: 'Restored from history' }));
+    }, [applyDesign]);
 
     // Find the current icon based on the selected jersey type
     const currentJerseyType = JERSEY_TYPES.find(t => t.value === jerseyType);
     const IconComponent = currentJerseyType?.icon || Shirt;
+    const currentConnectionMode = CONNECTION_MODES.find(m => m.value === connectionMode);
+    const ConnectionIcon = currentConnectionMode?.icon || Server;
+    const selectedCandidate = candidates.find(c => c.id === selectedCandidateId);
 
 
     return (
@@ -330,18 +637,18 @@ const App = () => {
             </h1>
 
             {/* Warning for Apps Script URL */}
-            {!appsScriptUrlProvided && useAppsScript && (
+            {!appsScriptUrlProvided && connectionMode === 'appsScript' && (
                  <div className="bg-orange-600/20 border-l-4 border-orange-500 text-orange-100 p-4 mb-6 rounded-lg max-w-6xl mx-auto" role="alert">
                     <p className="font-bold">DEPLOYMENT WARNING</p>
-                    <p>The **Apps Script URL is missing**. Please deploy your Apps Script and paste the URL into the `const APPS_SCRIPT_URL = '...';` line in the code to use the deployed backend.</p>
+                    <p>The **Apps Script URL is missing**. Please deploy your Apps Script and paste the URL into the `const APPS_SCRIPT_URL = '...';` line in `src/api/jerseyClient.js` to use the deployed backend.</p>
                 </div>
             )}
             
             {/* Warning for Direct API Key */}
-            {!apiKeyProvided && !useAppsScript && (
+            {!apiKeyProvided && connectionMode === 'direct' && (
                 <div className="bg-red-600/20 border-l-4 border-red-500 text-red-100 p-4 mb-6 rounded-lg max-w-6xl mx-auto" role="alert">
                     <p className="font-bold">CRITICAL SETUP WARNING (Direct Mode)</p>
-                    <p>The **API Key is missing**. Please paste your valid Google AI key into the `const API_KEY = ""...` line in the code if you wish to use the direct API call path.</p>
+                    <p>The **API Key is missing**. Please paste your valid Google AI key into the `const API_KEY = ""...` line in `src/api/jerseyClient.js` if you wish to use the direct API call path.</p>
                 </div>
             )}
 
@@ -356,37 +663,78 @@ const App = () => {
                     
                     <div className="space-y-5">
 
-                        {/* Connection Mode Toggle */}
+                        {/* Connection Mode Selector */}
                         <div className="flex flex-col space-y-2 p-3 bg-gray-700/50 rounded-lg">
                             <label className="text-sm font-medium text-gray-300 flex items-center mb-2">
                                 <Server className="w-4 h-4 mr-2 text-pink-400" />
                                 Connection Mode
                             </label>
-                            <button
-                                onClick={() => setUseAppsScript(prev => !prev)}
-                                className={`flex items-center justify-center px-4 py-2 rounded-lg text-sm font-semibold transition duration-150 ${
-                                    useAppsScript
-                                        ? 'bg-green-600 hover:bg-green-700 text-white'
-                                        : 'bg-yellow-600 hover:bg-yellow-700 text-gray-900'
-                                }`}
-                            >
-                                {useAppsScript ? (
-                                    <>
-                                        <Wifi className="w-4 h-4 mr-2" />
-                                        Using Deployed Apps Script (Recommended)
-                                    </>
-                                ) : (
-                                    <>
-                                        <Zap className="w-4 h-4 mr-2" />
-                                        Using Direct Client API (Requires Key)
-                                    </>
-                                )}
-                            </button>
+                            <div className="relative">
+                                <ConnectionIcon className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-pink-300 pointer-events-none" />
+                                <select
+                                    value={connectionMode}
+                                    onChange={(e) => setConnectionMode(e.target.value)}
+                                    className="w-full p-3 pl-9 border border-gray-700 rounded-lg focus:ring-2 focus:ring-purple-500 bg-gray-700 text-white appearance-none cursor-pointer"
+                                >
+                                    {CONNECTION_MODES.map(mode => (
+                                        <option key={mode.value} value={mode.value}>{mode.label}</option>
+                                    ))}
+                                </select>
+                            </div>
                             <p className="text-xs text-gray-500 mt-1">
-                                Use Apps Script for secure key handling, or Direct API for quick testing.
+                                {currentConnectionMode?.hint}
                             </p>
                         </div>
                         
+                        {/* Design File: export, import and share */}
+                        <div className="flex flex-col space-y-2 p-3 bg-gray-700/50 rounded-lg">
+                            <label className="text-sm font-medium text-gray-300 flex items-center mb-1">
+                                <FileText className="w-4 h-4 mr-2 text-blue-400" />
+                                Design File
+                            </label>
+                            <div className="grid grid-cols-3 gap-2">
+                                <button
+                                    onClick={exportDesignFile}
+                                    className="flex items-center justify-center px-2 py-2 rounded-lg text-xs font-semibold bg-gray-600 hover:bg-gray-500 text-white"
+                                >
+                                    <Download className="w-4 h-4 mr-1" />
+                                    Export
+                                </button>
+                                <label className="flex items-center justify-center px-2 py-2 rounded-lg text-xs font-semibold bg-gray-600 hover:bg-gray-500 text-white cursor-pointer">
+                                    <Upload className="w-4 h-4 mr-1" />
+                                    Import
+                                    <input
+                                        type="file"
+                                        accept={`${DESIGN_FILE_EXTENSION},application/json`}
+                                        onChange={importDesignFile}
+                                        ref={designFileInputRef}
+                                        className="hidden"
+                                    />
+                                </label>
+                                <button
+                                    onClick={copyShareLink}
+                                    className="flex items-center justify-center px-2 py-2 rounded-lg text-xs font-semibold bg-gray-600 hover:bg-gray-500 text-white"
+                                >
+                                    <Link className="w-4 h-4 mr-1" />
+                                    Share Link
+                                </button>
+                            </div>
+                            {designFileMessage && (
+                                <p className={`text-xs ${designFileMessage.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>
+                                    {designFileMessage.text}
+                                </p>
+                            )}
+                        </div>
+
+                        {/* Brand Kit: saved club profiles */}
+                        <BrandKitPanel
+                            createDesignSpec={createDesignSpec}
+                            teamName={teamName}
+                            activeKit={activeKit}
+                            onApplyKit={applyBrandKit}
+                            onActiveKitChange={setActiveKit}
+                        />
+
                         {/* 1. Jersey Type */}
                         <div className="flex flex-col space-y-2">
                             <label className="text-sm font-medium text-gray-300 flex items-center">
@@ -404,6 +752,15 @@ const App = () => {
                             </select>
                         </div>
                         
+                        {/* Garment Options & Style Presets */}
+                        <GarmentOptions
+                            jerseyType={jerseyType}
+                            garment={garment}
+                            onGarmentChange={setGarment}
+                            style={stylePreset}
+                            onStyleChange={setStylePreset}
+                        />
+
                         {/* 2. Team Name */}
                         <InputGroup 
                             label="Team Name/Text (Max 15 Chars)"
@@ -414,6 +771,45 @@ const App = () => {
                             color="text-green-400"
                         />
                         
+                        {/* Player Name & Number */}
+                        <div className="grid grid-cols-3 gap-3">
+                            <div className="col-span-2">
+                                <InputGroup 
+                                    label="Player Name"
+                                    icon={User}
+                                    value={playerName}
+                                    onChange={(e) => setPlayerName(e.target.value.toUpperCase().slice(0, PLAYER_NAME_MAX_LENGTH))}
+                                    placeholder="e.g., SMITH"
+                                    color="text-green-400"
+                                />
+                            </div>
+                            <InputGroup 
+                                label="Number"
+                                icon={Hash}
+                                value={playerNumber}
+                                onChange={(e) => setPlayerNumber(e.target.value.replace(/\D/g, '').slice(0, 2))}
+                                placeholder="23"
+                                color="text-green-400"
+                            />
+                        </div>
+
+                        {/* Jersey View */}
+                        <div className="flex flex-col space-y-2">
+                            <label className="text-sm font-medium text-gray-300 flex items-center">
+                                <Eye className="w-4 h-4 mr-2 text-green-400" />
+                                Mockup View
+                            </label>
+                            <select
+                                value={jerseyView}
+                                onChange={(e) => setJerseyView(e.target.value)}
+                                className="p-3 border border-gray-700 rounded-lg focus:ring-2 focus:ring-purple-500 bg-gray-700 text-white appearance-none cursor-pointer"
+                            >
+                                {JERSEY_VIEWS.map(view => (
+                                    <option key={view.value} value={view.value}>{view.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        
                         {/* 3. Primary Color */}
                         <ColorPickerGroup 
                             label="Primary Color (Body)"
@@ -438,6 +834,19 @@ const App = () => {
                             color="text-yellow-400"
                         />
 
+                        {/* Team colors proposed from the uploaded crest */}
+                        {crest.previewUrl && (
+                            <LogoPalettePanel
+                                logoUrl={crest.previewUrl}
+                                colors={{ primary: primaryColor, secondary: secondaryColor, accent: thirdColor }}
+                                onApply={(colors) => {
+                                    setPrimaryColor(colors.primary);
+                                    setSecondaryColor(colors.secondary);
+                                    setThirdColor(colors.accent);
+                                }}
+                            />
+                        )}
+
                         {/* Specific Design Elements */}
                          <div className="flex flex-col space-y-2">
                             <label className="text-sm font-medium text-gray-300 flex items-center">
@@ -456,76 +865,90 @@ const App = () => {
                             </p>
                         </div>
 
-                        {/* 6. Logo Upload & Description */}
+                        {/* 6. Logo Slots: upload, zone & description per slot */}
                         <div className="flex flex-col space-y-2">
                             <label className="text-sm font-medium text-gray-300 flex items-center">
                                 <Upload className="w-4 h-4 mr-2 text-purple-400" />
-                                Logo File Upload
+                                Logos
                             </label>
-                            <input
-                                type="file"
-                                accept="image/*"
-                                onChange={handleLogoUpload}
-                                ref={fileInputRef}
-                                className="block w-full text-sm text-gray-400
-                                    file:mr-4 file:py-2 file:px-4
-                                    file:rounded-full file:border-0
-                                    file:text-sm file:font-semibold
-                                    file:bg-purple-500 file:text-white
-                                    hover:file:bg-purple-600 cursor-pointer
-                                "
+                            <LogoSlots
+                                jerseyType={jerseyType}
+                                slots={logoSlots}
+                                onSlotChange={updateLogoSlot}
+                                onSlotFile={setLogoSlotFile}
                             />
-                            
-                            {logoPreviewUrl && (
-                                <div className="mt-4 p-3 bg-gray-700 rounded-lg flex items-center space-x-3">
-                                    <img src={logoPreviewUrl} alt="Logo Preview" className="w-10 h-10 object-contain rounded" />
-                                    <span className="text-xs text-gray-300 truncate">{logoFile.name}</span>
-                                    <button 
-                                        onClick={() => {
-                                            setLogoFile(null);
-                                            setLogoPreviewUrl('');
-                                            setLogoDescription('A clean text logo or simple design placed on the center chest.');
-                                            fileInputRef.current.value = ''; // Reset file input
-                                        }}
-                                        className="text-red-400 hover:text-red-500 text-xs ml-auto"
-                                    >
-                                        Remove
-                                    </button>
-                                </div>
-                            )}
+                        </div>
 
-                            <label className="text-sm font-medium text-gray-300 flex items-center pt-4">
-                                <FileText className="w-4 h-4 mr-2 text-purple-400" />
-                                Logo Placement Description (For AI Rendering)
+                        {/* Variations */}
+                        <div className="flex items-center justify-between">
+                            <label className="text-sm font-medium text-gray-300 flex items-center">
+                                <Grid className="w-4 h-4 mr-2 text-purple-400" />
+                                Variations
                             </label>
-                            <textarea
-                                rows="2"
-                                value={logoDescription}
-                                onChange={(e) => setLogoDescription(e.target.value)}
-                                className="w-full p-3 border border-gray-700 rounded-lg focus:ring-2 focus:ring-purple-500 bg-gray-700 text-white resize-none"
-                                placeholder="Describe the logo you uploaded (e.g., A fierce red dragon head)"
-                            />
-                            <p className="text-xs text-gray-500">
-                                When a logo is uploaded, the AI uses the **image file itself** along with this text description for best results. If no logo is uploaded, it generates a text design.
-                            </p>
+                            <select
+                                value={variations}
+                                onChange={(e) => setVariations(Number(e.target.value))}
+                                className="p-2 border border-gray-700 rounded-lg bg-gray-700 text-white"
+                            >
+                                {Array.from({ length: MAX_SAMPLE_COUNT }, (_, i) => i + 1).map(n => (
+                                    <option key={n} value={n}>{n === 1 ? '1 (single)' : n}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {/* Color Fidelity Settings */}
+                        <div className="flex flex-col space-y-2 p-3 bg-gray-700/50 rounded-lg">
+                            <label className="text-sm font-medium text-gray-300 flex items-center">
+                                <Pipette className="w-4 h-4 mr-2 text-cyan-400" />
+                                Color Fidelity
+                            </label>
+                            <label className="text-xs text-gray-300 flex items-center justify-between">
+                                Tolerance (ΔE 2000)
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="50"
+                                    value={fidelityTolerance}
+                                    onChange={(e) => setFidelityTolerance(Math.min(50, Math.max(1, Number(e.target.value) || 1)))}
+                                    className="p-1 w-16 border border-gray-700 rounded bg-gray-700 text-white text-right font-mono"
+                                />
+                            </label>
+                            <label className="text-xs text-gray-300 flex items-center">
+                                <input
+                                    type="checkbox"
+                                    checked={autoRegenerate}
+                                    onChange={(e) => setAutoRegenerate(e.target.checked)}
+                                    className="mr-2"
+                                />
+                                Regenerate until within tolerance
+                            </label>
+                            {autoRegenerate && (
+                                <label className="text-xs text-gray-300 flex items-center justify-between">
+                                    Maximum attempts
+                                    <select
+                                        value={maxAttempts}
+                                        onChange={(e) => setMaxAttempts(Number(e.target.value))}
+                                        className="p-1 border border-gray-700 rounded bg-gray-700 text-white"
+                                    >
+                                        {[2, 3, 4, 5].map(n => <option key={n} value={n}>{n}</option>)}
+                                    </select>
+                                </label>
+                            )}
                         </div>
 
                         {/* Generate Button */}
                         <button
-                            onClick={generateImage}
-                            disabled={isLoading || (useAppsScript && !appsScriptUrlProvided) || (!useAppsScript && !apiKeyProvided)}
+                            onClick={() => generateImage()}
+                            disabled={(connectionMode === 'appsScript' && !appsScriptUrlProvided) || (connectionMode === 'direct' && !apiKeyProvided)}
                             className="w-full flex items-center justify-center px-6 py-3 border border-transparent text-base font-medium rounded-xl text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-4 focus:ring-purple-500 focus:ring-opacity-50 transition duration-150 ease-in-out shadow-lg disabled:opacity-50 mt-6"
                         >
-                            {isLoading ? (
-                                <>
-                                    <Loader className="animate-spin w-5 h-5 mr-3" />
-                                    Rendering Mockup...
-                                </>
-                            ) : (
-                                <>
-                                    <Zap className="w-5 h-5 mr-2" />
-                                    Generate High-Quality Mockup
-                                </>
+                            <Zap className="w-5 h-5 mr-2" />
+                            Generate High-Quality Mockup
+                            {activeJobs.length > 0 && (
+                                <span className="flex items-center ml-3 text-sm text-purple-200">
+                                    <Loader className="animate-spin w-4 h-4 mr-1" />
+                                    {activeJobs.length} running
+                                </span>
                             )}
                         </button>
                     </div>
@@ -537,34 +960,149 @@ const App = () => {
                         <IconComponent className="w-6 h-6 mr-2 text-yellow-400" />
                         {currentJerseyType?.label || 'Jersey'} Preview
                     </h2>
-                    <div className="w-full h-full aspect-square bg-gray-700 flex items-center justify-center rounded-xl overflow-hidden p-8">
-                        {error && (
-                            <div className="text-red-400 p-6 bg-red-900/50 rounded-lg w-full text-center">
-                                **Generation Error:** {error}
-                            </div>
-                        )}
-                        {isLoading && (
-                            <div className="flex flex-col items-center justify-center text-purple-400">
-                                <Loader className="animate-spin w-16 h-16 mb-4" />
-                                <p className="text-lg font-medium">AI is generating your custom jersey...</p>
-                            </div>
-                        )}
-                        {imageUrl && !isLoading && (
-                            <img 
-                                src={imageUrl} 
-                                alt="AI Generated Team Jersey Mockup" 
-                                className="w-full h-auto rounded-lg shadow-2xl transition-transform duration-500"
-                            />
-                        )}
-                        {!imageUrl && !isLoading && !error && (
-                            <div className="text-gray-500 dark:text-gray-400 text-center p-6">
-                                <Image className="w-16 h-16 mx-auto mb-3" />
-                                <p>Customize your design and click 'Generate High-Quality Mockup' to see the result here.</p>
-                            </div>
-                        )}
+                    <div className="w-full flex flex-col md:flex-row gap-4">
+                        <div className="flex-1 aspect-square bg-gray-700 flex items-center justify-center rounded-xl overflow-hidden p-8">
+                            {error && (
+                                <div className="text-red-400 p-6 bg-red-900/50 rounded-lg w-full text-center">
+                                    **Generation Error:** {error}
+                                </div>
+                            )}
+                            {isLoading && (
+                                <div className="flex flex-col items-center justify-center text-purple-400">
+                                    <Loader className="animate-spin w-16 h-16 mb-4" />
+                                    <p className="text-lg font-medium">AI is generating your custom jersey...</p>
+                                    {describeJobProgress(activeJobs[0]) && <p className="text-sm text-gray-400 mt-1">{describeJobProgress(activeJobs[0])}</p>}
+                                </div>
+                            )}
+                            {showComparison && !isLoading && (
+                                <CandidateGrid
+                                    candidates={candidates}
+                                    selectedId={selectedCandidateId}
+                                    onPick={pickCandidate}
+                                    onMoreLikeThis={generateMoreLike}
+                                    disabled={isLoading}
+                                />
+                            )}
+                            {imageUrl && !isLoading && !showComparison && (
+                                <LogoOverlayEditor
+                                    imageUrl={imageUrl}
+                                    logoUrl={crest.previewUrl || ''}
+                                    overlay={logoOverlay}
+                                    onOverlayChange={setLogoOverlay}
+                                    fileName={`${slugify(teamName)}-${jerseyType}-mockup.png`}
+                                />
+                            )}
+                            {!imageUrl && !isLoading && !error && (
+                                <div className="text-gray-500 dark:text-gray-400 text-center p-6">
+                                    <Image className="w-16 h-16 mx-auto mb-3" />
+                                    <p>Customize your design and click 'Generate High-Quality Mockup' to see the result here.</p>
+                                </div>
+                            )}
+                        </div>
+                        <SvgJerseyPreview
+                            jerseyType={jerseyType}
+                            colors={{ primary: primaryColor, secondary: secondaryColor, accent: thirdColor }}
+                            teamName={teamName}
+                            playerNumber={playerNumber}
+                            garment={garment}
+                            crestFile={crest.file || null}
+                            crestZone={crest.zone || getLogoZones(jerseyType, 'crest')[0]?.value}
+                            fileBaseName={`${slugify(teamName)}-${jerseyType}`}
+                        />
                     </div>
+                    {candidates.length > 1 && !showComparison && !isLoading && (
+                        <div className="flex gap-2 mt-4">
+                            <button
+                                onClick={() => setShowComparison(true)}
+                                className="flex items-center px-3 py-2 rounded-lg text-xs font-semibold bg-gray-600 hover:bg-gray-500 text-white"
+                            >
+                                <Grid className="w-4 h-4 mr-2" />
+                                Compare All {candidates.length} Variations
+                            </button>
+                            <button
+                                onClick={() => generateMoreLike(selectedCandidate)}
+                                className="flex items-center px-3 py-2 rounded-lg text-xs font-semibold bg-purple-600 hover:bg-purple-700 text-white"
+                            >
+                                <Sparkles className="w-4 h-4 mr-2" />
+                                More Like This
+                            </button>
+                        </div>
+                    )}
+                    {selectedCandidate?.cache?.status === 'hit' && selectedCandidate.url === imageUrl && !isLoading && !showComparison && (
+                        <div className="flex items-center gap-3 mt-4 px-3 py-2 rounded-lg bg-gray-700/50 text-xs text-gray-300">
+                            <Database className="w-4 h-4 text-teal-400" />
+                            <span>
+                                Served from cache: the same design was generated {new Date(selectedCandidate.cache.cachedAt).toLocaleString()}.
+                            </span>
+                            <button
+                                onClick={() => generateImage({ force: true })}
+                                className="flex items-center px-2 py-1 rounded-lg font-semibold bg-gray-600 hover:bg-gray-500 text-white"
+                            >
+                                <RefreshCw className="w-3 h-3 mr-1" />
+                                Generate Fresh
+                            </button>
+                        </div>
+                    )}
+                    {jobs.length > 0 && (
+                        <JobStatusList
+                            jobs={jobs}
+                            onCancel={cancelJob}
+                            onShow={showJobResult}
+                            onDismiss={(job) => setJobs(prev => prev.filter(j => j.id !== job.id))}
+                        />
+                    )}
+                    {versionTree && imageUrl && !isLoading && !showComparison && (
+                        <RefinePanel
+                            versionTree={versionTree}
+                            onRefine={refineImage}
+                            onCheckout={(id) => showVersion(checkoutVersion(versionTree, id))}
+                            onUndo={() => showVersion(undoVersion(versionTree))}
+                            isRefining={isRefining}
+                        />
+                    )}
+                    {fidelityReport && !isLoading && !showComparison && <ColorFidelityReport report={fidelityReport} />}
+                    <LegibilityPanel
+                        colors={{ primary: primaryColor, secondary: secondaryColor, accent: thirdColor }}
+                        onColorChange={(role, hex) => ({ primary: setPrimaryColor, secondary: setSecondaryColor, accent: setThirdColor }[role](hex))}
+                        imageUrl={!isLoading && !showComparison ? imageUrl : ''}
+                    />
+                    {imageUrl && !isLoading && !showComparison && (
+                        <ExportPanel
+                            imageUrl={imageUrl}
+                            createDesignSpec={createDesignSpec}
+                            fileBaseName={`${slugify(teamName)}-${jerseyType}`}
+                        />
+                    )}
                 </div>
             </div>
+
+            {/* Design History: every generation, saved locally */}
+            <GalleryPanel refreshKey={historyVersion} onRestore={restoreGeneration} />
+
+            {/* Turnaround Sheet: front, back and side of the same garment */}
+            <TurnaroundPanel
+                createDesignSpec={createDesignSpec}
+                connectionMode={connectionMode}
+                teamName={teamName}
+            />
+
+            {/* Kit Set: home, away and alternate from the same design */}
+            <KitSetPanel
+                createDesignSpec={createDesignSpec}
+                connectionMode={connectionMode}
+                teamName={teamName}
+            />
+
+            {/* Roster Mode: one mockup per player */}
+            <RosterPanel
+                createDesignSpec={createDesignSpec}
+                connectionMode={connectionMode}
+                teamName={teamName}
+                formatPlayerName={activeKit ? (name) => formatPlayerName(name, activeKit.kit.naming) : undefined}
+            />
+
+            {/* Prompt Inspector: the exact prompt for the current design (development builds only) */}
+            {import.meta.env.DEV && <PromptInspector createDesignSpec={createDesignSpec} />}
         </div>
     );
 };
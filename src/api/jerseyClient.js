@@ -0,0 +1,324 @@
+// --- JERSEY GENERATION CLIENT ---
+
+/*
+  Browser-side calls to the three generation backends. Every feature that renders a
+  mockup (single design, roster batches, ...) goes through generateJerseyImage so the
+  backends, retries and error messages behave the same everywhere.
+*/
+
+import { buildPrompt, buildReferenceImages } from '../../shared/promptBuilder.js';
+
+// === IMPORTANT: PASTE YOUR API KEY HERE ===
+// This key must be present for the internal image generation path (Direct API Mode).
+// The previous "import.meta" syntax has been removed to resolve the compilation warning.
+const API_KEY = ""; 
+
+// === IMPORTANT: PASTE YOUR DEPLOYED APPS SCRIPT URL HERE ===
+// This is the public URL you copied from Step 2 of the deployment guide.
+const APPS_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbyaQpTsHvKYRbQq3XAANW9st55HJ2AyBbWftvPWQF6xCtyET1sBqUqIH0Uqm7mM7acu/exec'; 
+
+const DIRECT_MODEL = 'gemini-2.5-flash-image-preview';
+
+// Check if the API key is provided and not the placeholder from the development environment
+export const apiKeyProvided = !!API_KEY && API_KEY.length > 5 && API_KEY !== 'undefined';
+export const appsScriptUrlProvided = !!APPS_SCRIPT_URL && !APPS_SCRIPT_URL.includes('AKfycb...');
+
+/**
+ * Returns the setup problem preventing a connection mode from being used, if any.
+ * @param {string} mode 'netlify', 'appsScript' or 'direct'.
+ * @returns {string|null} The error message, or null when the mode is usable.
+ */
+export const getConnectionError = (mode) => {
+    if (mode === 'appsScript' && !appsScriptUrlProvided) {
+        return "Apps Script URL is missing. Please paste your deployed URL into the code.";
+    }
+    if (mode === 'direct' && !apiKeyProvided) {
+        return "API Key is missing for Direct Mode. Please paste your key into the code.";
+    }
+    return null;
+};
+
+/**
+ * Formats field-level design spec validation errors for the error panel.
+ * @param {Array<{field: string, message: string}>} fields Validation errors.
+ * @returns {string} A single readable line.
+ */
+export const formatFieldErrors = (fields) => fields.map(f => `${f.field}: ${f.message}`).join(' ');
+
+// Server-requested waits longer than this (e.g. a spent daily quota) fail right away instead of blocking the UI
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+/**
+ * Reads a Retry-After header (seconds or an HTTP date).
+ * @param {string|null} value The header value.
+ * @returns {number|null} The wait in milliseconds, or null when absent or unreadable.
+ */
+export const parseRetryAfter = (value) => {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff retry function for API calls.
+ * Errors flagged with `retryable === false` are rethrown immediately. Errors carrying
+ * `retryAfterMs` (from a 429's Retry-After) wait that long instead of backing off, or are
+ * rethrown when the wait is over a minute.
+ * @param {() => Promise<any>} fn The call to attempt.
+ * @param {number} retries Maximum number of attempts.
+ * @returns {Promise<any>} The first successful result.
+ */
+export const withRetry = async (fn, retries = 3) => {
+    for (let i = 0; i < retries; i++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (i === retries - 1 || err.retryable === false || err.retryAfterMs > MAX_RETRY_AFTER_MS) throw err;
+            const delay = err.retryAfterMs ?? Math.pow(2, i) * 1000; // 1s, 2s, 4s
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+};
+
+// PATH 1: Call Deployed Apps Script Backend
+// Apps Script error codes where the same request may succeed later (see apps-script/generateImage.js)
+const APPS_SCRIPT_RETRYABLE_CODES = ['RATE_LIMITED', 'UPSTREAM_ERROR'];
+
+const callAppsScript = async (spec) => {
+    const response = await fetch(APPS_SCRIPT_URL, {
+        method: 'POST',
+        // text/plain keeps this a "simple" request: Apps Script web apps don't answer CORS preflights
+        headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+        body: JSON.stringify({ prompt: buildPrompt(spec), images: buildReferenceImages(spec) }),
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Server status: ${response.status}`);
+    }
+    
+    const result = await response.json();
+    
+    if (result.status === 'success' && result.image) {
+        return result.image;
+    } else {
+        const error = new Error(result.message || 'Image generation failed on the Apps Script server.');
+        // The web app always answers 200, so the envelope's code decides whether a retry can help
+        error.code = result.code;
+        error.retryable = APPS_SCRIPT_RETRYABLE_CODES.includes(result.code);
+        throw error;
+    }
+};
+
+// PATH 2: Netlify generation jobs (key held server-side in GEMINI_API_KEY, prompt built server-side).
+// A job fans out the candidates in a background function; the browser polls it for progress and
+// partial results, and cancels it by DELETE. Cached results come back as an already finished job
+// (`force` skips the cache).
+const NETLIFY_JOBS_URL = '/.netlify/functions/generation-jobs';
+
+const JOB_POLL_INTERVAL_MS = 1500;
+
+// Background functions are stopped after 15 minutes; a job still unfinished by then never will be
+const MAX_JOB_WAIT_MS = 15 * 60 * 1000;
+
+// Statuses the job can still leave (see netlify/functions/jobs/jobs.js)
+const ACTIVE_JOB_STATUSES = ['queued', 'running', 'cancelling'];
+
+const cancelledError = () => {
+    const error = new Error('Generation cancelled.');
+    error.cancelled = true;
+    error.retryable = false;
+    return error;
+};
+
+// Resolves after `ms`, or rejects with the cancelled error as soon as `signal` aborts
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(cancelledError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const jobRequest = async (method, { query = '', body } = {}) => {
+    const response = await fetch(`${NETLIFY_JOBS_URL}${query}`, {
+        method,
+        ...(body ? { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : {}),
+    });
+
+    // The function answers with JSON for both success and failure; tolerate HTML error pages.
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const message = result.fields
+            ? `${result.error} ${formatFieldErrors(result.fields)}`
+            : result.error;
+        const error = new Error(message || `Netlify Function failed with status: ${response.status}`);
+        // Client errors (bad spec, unknown provider) will fail the same way on every retry;
+        // the function may also rule a retry out itself (e.g. a job that was already charged)
+        error.retryable = typeof result.retryable === 'boolean'
+            ? result.retryable
+            : response.status >= 500 || response.status === 429;
+        // Rate limited: the function says how long to wait
+        if (response.status === 429) {
+            error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+        }
+        throw error;
+    }
+    return result;
+};
+
+const runNetlifyJob = async (spec, sampleCount, { force = false, signal, onProgress } = {}) => {
+    if (signal?.aborted) throw cancelledError();
+    let job = await withRetry(() => jobRequest('POST', { body: { spec, sampleCount, ...(force ? { force } : {}) } }));
+    let images = job.images;
+    onProgress?.({ completed: job.progress.completed, total: job.progress.total, images });
+    const deadline = Date.now() + MAX_JOB_WAIT_MS;
+
+    while (ACTIVE_JOB_STATUSES.includes(job.status)) {
+        // Stop the worker too; the job is left to expire if the request doesn't get through
+        const cancelJob = () => jobRequest('DELETE', { query: `?id=${job.id}` }).catch(() => {});
+        if (Date.now() > deadline) {
+            cancelJob();
+            const error = new Error(`The generation job did not finish within ${MAX_JOB_WAIT_MS / 60000} minutes and was cancelled.`);
+            error.retryable = false;
+            throw error;
+        }
+        try {
+            await wait(JOB_POLL_INTERVAL_MS, signal);
+        } catch (err) {
+            cancelJob();
+            throw err;
+        }
+        // Only ask for the images we don't have yet
+        job = await withRetry(() => jobRequest('GET', { query: `?id=${job.id}&after=${images.length}` }));
+        if (job.images.length > 0) {
+            images = [...images, ...job.images];
+        }
+        onProgress?.({ completed: job.progress.completed, total: job.progress.total, images });
+    }
+
+    if (job.status === 'cancelled') {
+        throw cancelledError();
+    }
+    if (job.status === 'failed' || images.length === 0) {
+        const error = new Error(job.error || 'Image generation failed on the Netlify Function.');
+        error.retryable = false;
+        throw error;
+    }
+    return { images, cache: job.cache || null };
+};
+
+// PATH 3: Direct Client-Side API Call (for local development/testing)
+const callGeminiDirect = async (spec) => {
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${DIRECT_MODEL}:generateContent?key=${API_KEY}`;
+
+    // The multimodal model always gets an image part: the logo, or the blank placeholder.
+    const payload = {
+        contents: [{
+            parts: [
+                { text: buildPrompt(spec) },
+                ...buildReferenceImages(spec).map(image => ({ inlineData: image }))
+            ]
+        }],
+        generationConfig: {
+            responseModalities: ['TEXT', 'IMAGE']
+        },
+    };
+    
+    const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+        const errorBody = await response.json();
+        throw new Error(errorBody.error?.message || `API call failed with status: ${response.status}`);
+    }
+    const result = await response.json();
+    
+    const base64Data = result?.candidates?.[0]?.content?.parts?.find(p => p.inlineData)?.inlineData?.data;
+    
+    if (!base64Data) {
+        const error = new Error("Image generation failed to return data. The AI may be struggling with complex instructions.");
+        error.retryable = false;
+        throw error;
+    }
+    return base64Data;
+};
+
+// Backends that return a single image per request; candidates are fanned out from the browser
+const SINGLE_IMAGE_CALLERS = {
+    appsScript: callAppsScript,
+    direct: callGeminiDirect,
+};
+
+/**
+ * Generates several candidate mockups for a validated design spec through the selected backend.
+ * The Netlify backend runs a generation job and polls it; the other backends get parallel requests.
+ * Partial failures are tolerated as long as one candidate comes back.
+ * @param {object} spec A normalized design spec (see shared/designSpec.js).
+ * @param {string} mode 'netlify', 'appsScript' or 'direct'.
+ * @param {number} [count=1] Number of candidates (1 to MAX_SAMPLE_COUNT).
+ * @param {object} [options]
+ * @param {boolean} [options.force] Skip the Netlify Function's result cache.
+ * @param {AbortSignal} [options.signal] Cancels the run (and the Netlify job); the promise then
+ *   rejects with an error flagged `cancelled`.
+ * @param {(progress: {completed: number, total: number, images: string[]}) => void} [options.onProgress]
+ *   Called as candidates arrive.
+ * @returns {Promise<{images: string[], cache: {status: string, cachedAt?: string}|null}>} Base64 PNG
+ *   data (no data: prefix), one entry per candidate, and the result cache status (null for
+ *   backends without a cache).
+ */
+export const generateJerseyImages = async (spec, mode, count = 1, { force = false, signal, onProgress } = {}) => {
+    const connectionError = getConnectionError(mode);
+    if (connectionError) {
+        throw new Error(connectionError);
+    }
+
+    if (mode === 'netlify') {
+        return runNetlifyJob(spec, count, { force, signal, onProgress });
+    }
+
+    const call = SINGLE_IMAGE_CALLERS[mode];
+    if (!call) {
+        throw new Error(`Unknown connection mode "${mode}".`);
+    }
+    if (signal?.aborted) throw cancelledError();
+
+    // These backends can't stop a request in flight: cancelling just stops waiting for them
+    const images = [];
+    let completed = 0;
+    const requests = Array.from({ length: count }, () => withRetry(() => call(spec)).then(image => {
+        images.push(image);
+        return image;
+    }).finally(() => {
+        completed += 1;
+        if (!signal?.aborted) onProgress?.({ completed, total: count, images: [...images] });
+    }));
+    const cancelled = new Promise((resolve, reject) => {
+        signal?.addEventListener('abort', () => reject(cancelledError()), { once: true });
+    });
+
+    const results = await Promise.race([Promise.allSettled(requests), cancelled]);
+    if (images.length === 0) {
+        throw results[0].reason;
+    }
+    return { images, cache: null };
+};
+
+/**
+ * Generates one jersey mockup for a validated design spec through the selected backend.
+ * @param {object} spec A normalized design spec (see shared/designSpec.js).
+ * @param {string} mode 'netlify', 'appsScript' or 'direct'.
+ * @returns {Promise<string>} Base64 PNG data (no data: prefix).
+ */
+export const generateJerseyImage = async (spec, mode) => (await generateJerseyImages(spec, mode, 1)).images[0];
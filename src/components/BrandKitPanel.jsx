@@ -0,0 +1,202 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Briefcase, Save, Plus, Trash2, Download, Upload, History } from 'lucide-react';
+import {
+    BRAND_KIT_FILE_EXTENSION, LETTER_CASES, PLAYER_NAME_FORMATS, DEFAULT_NAMING,
+    deleteBrandKit, importBrandKits, listBrandKits, saveBrandKit, serializeBrandKits,
+} from '../lib/brandKits.js';
+import { downloadBlob } from '../lib/download.js';
+
+const selectClass = 'p-2 border border-gray-700 rounded-lg bg-gray-700 text-white text-xs';
+const buttonClass = 'flex items-center justify-center px-2 py-2 rounded-lg text-xs font-semibold bg-gray-600 hover:bg-gray-500 text-white disabled:opacity-50';
+
+const formatChange = (change) => (change.from === null
+    ? `${change.label}: ${change.to || '(empty)'}`
+    : `${change.label}: ${change.from || '(empty)'} → ${change.to || '(empty)'}`);
+
+/**
+ * Brand kits: saved club profiles (colors, logos, default design elements, sport and naming
+ * rules). Picking a kit fills the controls; saving the current controls into a kit records a
+ * revision with what changed.
+ * @param {object} props
+ * @param {() => Promise<object>} props.createDesignSpec Returns the current raw design spec.
+ * @param {string} props.teamName The team name as typed (the spec's copy is already lettered by the active kit).
+ * @param {object|null} props.activeKit The kit record the controls were filled from.
+ * @param {(record: object) => void} props.onApplyKit Fills the controls from a kit and makes it active.
+ * @param {(record: object|null) => void} props.onActiveKitChange Updates the active kit without touching the controls.
+ */
+const BrandKitPanel = ({ createDesignSpec, teamName, activeKit, onApplyKit, onActiveKitChange }) => {
+    const [kits, setKits] = useState([]);
+    const [name, setName] = useState('');
+    const [naming, setNaming] = useState(DEFAULT_NAMING);
+    const [showHistory, setShowHistory] = useState(false);
+    const [message, setMessage] = useState(null);
+    const importInputRef = useRef(null);
+
+    const refresh = useCallback(async () => {
+        try {
+            setKits(await listBrandKits());
+        } catch (err) {
+            setMessage({ type: 'error', text: `Brand kits are unavailable. (${err.message})` });
+        }
+    }, []);
+
+    useEffect(() => { refresh(); }, [refresh]);
+
+    // The form follows the active kit
+    useEffect(() => {
+        setName(activeKit?.name || '');
+        setNaming(activeKit ? activeKit.kit.naming : DEFAULT_NAMING);
+    }, [activeKit]);
+
+    const selectKit = (id) => {
+        setMessage(null);
+        const record = kits.find(k => k.id === id);
+        if (record) {
+            onApplyKit(record);
+        } else {
+            onActiveKitChange(null);
+        }
+    };
+
+    const saveKit = async (asNew) => {
+        setMessage(null);
+        try {
+            const spec = await createDesignSpec();
+            const record = await saveBrandKit({
+                id: asNew ? undefined : activeKit?.id,
+                name,
+                kit: {
+                    jerseyType: spec.jerseyType,
+                    colors: spec.colors,
+                    designElements: spec.designElements,
+                    logos: spec.logos.filter(logo => logo.image || logo.description),
+                    naming: { ...naming, teamName },
+                },
+            });
+            await refresh();
+            onActiveKitChange(record);
+            const unchanged = !asNew && record.revisions.length === activeKit.revisions.length;
+            setMessage({ type: 'success', text: unchanged ? 'No changes to save.' : `Saved "${record.name}" (revision ${record.revisions.length}).` });
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+        }
+    };
+
+    const removeKit = async () => {
+        if (!activeKit || !window.confirm(`Delete the brand kit "${activeKit.name}" and its history?`)) return;
+        await deleteBrandKit(activeKit.id);
+        onActiveKitChange(null);
+        await refresh();
+    };
+
+    const exportKits = () => {
+        const blob = new Blob([serializeBrandKits(kits)], { type: 'application/json' });
+        downloadBlob(blob, `brand-kits-${new Date().toISOString().slice(0, 10)}${BRAND_KIT_FILE_EXTENSION}`);
+    };
+
+    const importKits = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const { added, updated } = await importBrandKits(await file.text());
+            await refresh();
+            setMessage({ type: 'success', text: `Imported ${added} new kit(s), updated ${updated}.` });
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+        } finally {
+            importInputRef.current.value = '';
+        }
+    };
+
+    return (
+        <div className="flex flex-col space-y-2 p-3 bg-gray-700/50 rounded-lg">
+            <label className="text-sm font-medium text-gray-300 flex items-center mb-1">
+                <Briefcase className="w-4 h-4 mr-2 text-orange-400" />
+                Brand Kit
+            </label>
+
+            <select value={activeKit?.id || ''} onChange={(e) => selectKit(e.target.value)} className={selectClass}>
+                <option value="">No kit (free design)</option>
+                {kits.map(kit => <option key={kit.id} value={kit.id}>{kit.name}</option>)}
+            </select>
+
+            <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Kit name, e.g. St. Mary's FC"
+                className="p-2 border border-gray-700 rounded-lg bg-gray-700 text-white text-xs"
+            />
+            <div className="grid grid-cols-2 gap-2">
+                <select value={naming.letterCase} onChange={(e) => setNaming({ ...naming, letterCase: e.target.value })} className={selectClass} title="Lettering case">
+                    {LETTER_CASES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                </select>
+                <select value={naming.playerNameFormat} onChange={(e) => setNaming({ ...naming, playerNameFormat: e.target.value })} className={selectClass} title="Player names">
+                    {PLAYER_NAME_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                </select>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2">
+                <button onClick={() => saveKit(true)} className={buttonClass}>
+                    <Plus className="w-4 h-4 mr-1" />
+                    New
+                </button>
+                <button onClick={() => saveKit(false)} disabled={!activeKit} className={buttonClass}>
+                    <Save className="w-4 h-4 mr-1" />
+                    Update
+                </button>
+                <button onClick={removeKit} disabled={!activeKit} className={buttonClass}>
+                    <Trash2 className="w-4 h-4 mr-1" />
+                    Delete
+                </button>
+                <button onClick={exportKits} disabled={kits.length === 0} className={buttonClass}>
+                    <Download className="w-4 h-4 mr-1" />
+                    Export
+                </button>
+                <label className={`${buttonClass} cursor-pointer`}>
+                    <Upload className="w-4 h-4 mr-1" />
+                    Import
+                    <input
+                        type="file"
+                        accept={`${BRAND_KIT_FILE_EXTENSION},application/json`}
+                        onChange={importKits}
+                        ref={importInputRef}
+                        className="hidden"
+                    />
+                </label>
+                <button onClick={() => setShowHistory(!showHistory)} disabled={!activeKit} className={buttonClass}>
+                    <History className="w-4 h-4 mr-1" />
+                    History
+                </button>
+            </div>
+
+            {message && (
+                <p className={`text-xs ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}>{message.text}</p>
+            )}
+
+            {showHistory && activeKit && (
+                <ol className="text-xs text-gray-300 space-y-2 max-h-48 overflow-y-auto">
+                    {[...activeKit.revisions].reverse().map(revision => (
+                        <li key={revision.revision} className="border-l-2 border-gray-600 pl-2">
+                            <span className="font-semibold">Rev {revision.revision}</span>
+                            <span className="text-gray-500"> · {new Date(revision.savedAt).toLocaleString()}{revision.note && ` · ${revision.note}`}</span>
+                            {revision.changes.length > 0 && (
+                                <ul className="text-gray-400">
+                                    {revision.changes.map(change => <li key={change.field}>{formatChange(change)}</li>)}
+                                </ul>
+                            )}
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            <p className="text-xs text-gray-500">
+                {activeKit
+                    ? 'Team and player lettering follow this kit\'s naming rules. Update saves the current controls as a new revision.'
+                    : 'Save the current colors, logos, design elements and sport as a kit to reuse them for this club.'}
+            </p>
+        </div>
+    );
+};
+
+export default BrandKitPanel;
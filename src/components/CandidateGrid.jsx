@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { ZoomIn, CheckCircle, Sparkles, X } from 'lucide-react';
+
+/**
+ * Side-by-side comparison of candidate mockups with zoom, pick-a-favorite and "more like this".
+ * @param {object} props
+ * @param {Array<{id: string, url: string, report: object|null}>} props.candidates The candidates to compare.
+ * @param {string|null} props.selectedId The currently picked candidate.
+ * @param {(candidate: object) => void} props.onPick Called when a candidate is picked.
+ * @param {(candidate: object) => void} props.onMoreLikeThis Called to generate variations of a candidate.
+ * @param {boolean} props.disabled Disables the generation action while a request is running.
+ */
+const CandidateGrid = ({ candidates, selectedId, onPick, onMoreLikeThis, disabled }) => {
+    const [zoomed, setZoomed] = useState(null);
+    const columns = candidates.length <= 4 ? 'grid-cols-2' : 'grid-cols-3';
+
+    return (
+        <div className="w-full">
+            <div className={`grid ${columns} gap-3`}>
+                {candidates.map((candidate, index) => {
+                    const isSelected = candidate.id === selectedId;
+                    return (
+                        <div
+                            key={candidate.id}
+                            className={`relative rounded-lg overflow-hidden bg-gray-800 border-2 ${isSelected ? 'border-purple-500' : 'border-transparent'}`}
+                        >
+                            <img src={candidate.url} alt={`Candidate ${index + 1}`} className="w-full aspect-square object-cover" />
+                            <span className="absolute top-1 left-1 text-xs font-semibold bg-gray-900/80 text-white px-2 py-0.5 rounded">
+                                #{index + 1}
+                                {candidate.report && (
+                                    <span className={candidate.report.passed ? 'text-green-300' : 'text-red-300'}>
+                                        {' '}ΔE {candidate.report.score.toFixed(1)}
+                                    </span>
+                                )}
+                            </span>
+                            <div className="absolute bottom-0 inset-x-0 flex justify-between bg-gray-900/80 px-2 py-1">
+                                <button onClick={() => setZoomed(candidate)} title="Zoom" className="text-gray-300 hover:text-white">
+                                    <ZoomIn className="w-4 h-4" />
+                                </button>
+                                <button
+                                    onClick={() => onPick(candidate)}
+                                    title="Pick this one"
+                                    className={`flex items-center text-xs font-semibold ${isSelected ? 'text-purple-300' : 'text-gray-300 hover:text-white'}`}
+                                >
+                                    <CheckCircle className="w-4 h-4 mr-1" />
+                                    {isSelected ? 'Picked' : 'Pick'}
+                                </button>
+                                <button
+                                    onClick={() => onMoreLikeThis(candidate)}
+                                    disabled={disabled}
+                                    title="Generate more like this"
+                                    className="text-gray-300 hover:text-white disabled:opacity-50"
+                                >
+                                    <Sparkles className="w-4 h-4" />
+                                </button>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {zoomed && (
+                <div
+                    className="fixed inset-0 z-50 bg-gray-900/90 flex items-center justify-center p-8 cursor-zoom-out"
+                    onClick={() => setZoomed(null)}
+                >
+                    <img src={zoomed.url} alt="Zoomed candidate" className="max-w-full max-h-full rounded-lg shadow-2xl" />
+                    <button className="absolute top-4 right-4 text-white" title="Close">
+                        <X className="w-8 h-8" />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CandidateGrid;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { CheckCircle, XCircle, AlertTriangle, Pipette } from 'lucide-react';
+
+const STATUS_ICONS = {
+    pass: { icon: CheckCircle, className: 'text-green-400' },
+    fail: { icon: XCircle, className: 'text-red-400' },
+    background: { icon: AlertTriangle, className: 'text-yellow-400' },
+};
+
+const Swatch = ({ hex, title }) => (
+    <span
+        className="inline-block w-5 h-5 rounded border border-gray-600 align-middle"
+        style={{ backgroundColor: hex || 'transparent' }}
+        title={title || hex}
+    />
+);
+
+/**
+ * Shows how closely the generated mockup matches the requested colors (Delta-E 2000 per color).
+ * @param {object} props
+ * @param {object} props.report The result of analyzeColorFidelity, plus `attempts` and `bestAttempt`.
+ */
+const ColorFidelityReport = ({ report }) => (
+    <div className="w-full mt-6 p-4 bg-gray-700/50 rounded-xl text-sm">
+        <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold text-white flex items-center">
+                <Pipette className="w-4 h-4 mr-2 text-cyan-400" />
+                Color Fidelity
+            </h3>
+            <span className={`text-xs font-semibold px-2 py-1 rounded ${report.passed ? 'bg-green-600/30 text-green-300' : 'bg-red-600/30 text-red-300'}`}>
+                {report.passed ? 'Within tolerance' : 'Out of tolerance'} (ΔE ≤ {report.tolerance})
+            </span>
+        </div>
+
+        <table className="w-full text-left">
+            <thead className="text-xs text-gray-400">
+                <tr>
+                    <th className="pb-2">Color</th>
+                    <th className="pb-2">Requested</th>
+                    <th className="pb-2">Closest in image</th>
+                    <th className="pb-2">ΔE 2000</th>
+                    <th className="pb-2">Coverage</th>
+                </tr>
+            </thead>
+            <tbody>
+                {report.checks.map(check => {
+                    const { icon: StatusIcon, className } = STATUS_ICONS[check.status];
+                    return (
+                        <tr key={check.key} className="border-t border-gray-600/50">
+                            <td className="py-2">
+                                <span className="flex items-center">
+                                    <StatusIcon className={`w-4 h-4 mr-2 ${className}`} />
+                                    {check.label}
+                                </span>
+                            </td>
+                            <td className="py-2"><Swatch hex={check.requested} /> <span className="font-mono text-xs ml-1">{check.requested}</span></td>
+                            <td className="py-2">
+                                {check.matched
+                                    ? <><Swatch hex={check.matched} /> <span className="font-mono text-xs ml-1">{check.matched}</span></>
+                                    : <span className="text-xs text-gray-400">Same as background</span>}
+                            </td>
+                            <td className="py-2 font-mono">{check.deltaE === null ? '—' : check.deltaE.toFixed(1)}</td>
+                            <td className="py-2 font-mono">{Math.round(check.share * 100)}%</td>
+                        </tr>
+                    );
+                })}
+            </tbody>
+        </table>
+
+        <div className="flex items-center flex-wrap gap-2 mt-3 text-xs text-gray-400">
+            Dominant colors:
+            {report.palette.map(entry => (
+                <Swatch key={entry.hex} hex={entry.hex} title={`${entry.hex} (${Math.round(entry.share * 100)}%)`} />
+            ))}
+        </div>
+
+        {report.extraneous.length > 0 && (
+            <p className="text-xs text-yellow-300 mt-2">
+                Off-palette colors detected: {report.extraneous.map(entry => entry.hex).join(', ')}
+            </p>
+        )}
+
+        {report.attempts > 1 && (
+            <p className="text-xs text-gray-400 mt-2">
+                Showing attempt {report.bestAttempt} of {report.attempts} (closest match).
+            </p>
+        )}
+    </div>
+);
+
+export default ColorFidelityReport;
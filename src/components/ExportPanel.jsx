@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Download, FileText, Loader } from 'lucide-react';
+import { validateDesignSpec } from '../../shared/designSpec.js';
+import { formatFieldErrors } from '../api/jerseyClient.js';
+import { EXPORT_SIZES, IMAGE_FORMATS, renderImageAs } from '../lib/imageExport.js';
+import { buildTechPack } from '../lib/techPack.js';
+import { downloadBlob } from '../lib/download.js';
+
+const PAGE_SIZE_OPTIONS = [
+    { value: 'a4', label: 'A4' },
+    { value: 'letter', label: 'Letter' },
+];
+
+/**
+ * Export options for the current mockup: a plain image download (format and size) and a
+ * PDF tech pack for the vendor.
+ * @param {object} props
+ * @param {string} props.imageUrl The mockup shown in the preview.
+ * @param {() => Promise<object>} props.createDesignSpec Returns the current raw design spec.
+ * @param {string} props.fileBaseName File name without extension, e.g. "victory-basketball".
+ */
+const ExportPanel = ({ imageUrl, createDesignSpec, fileBaseName }) => {
+    const [format, setFormat] = useState('png');
+    const [size, setSize] = useState(0);
+    const [notes, setNotes] = useState('');
+    const [pageSize, setPageSize] = useState('a4');
+    const [busy, setBusy] = useState(null);
+    const [error, setError] = useState(null);
+
+    const run = async (task, action) => {
+        setBusy(task);
+        setError(null);
+        try {
+            await action();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const downloadImage = () => run('image', async () => {
+        const { blob } = await renderImageAs(imageUrl, { format, maxSide: size });
+        downloadBlob(blob, `${fileBaseName}${size ? `-${size}` : ''}.${format === 'jpeg' ? 'jpg' : format}`);
+    });
+
+    const downloadTechPack = () => run('pdf', async () => {
+        const { valid, errors, spec } = validateDesignSpec(await createDesignSpec());
+        if (!valid) {
+            throw new Error(formatFieldErrors(errors));
+        }
+        const revisionDate = new Date();
+        const pdf = await buildTechPack({ spec, mockupUrl: imageUrl, notes, revisionDate, pageSize });
+        downloadBlob(pdf, `${fileBaseName}-tech-pack-${revisionDate.toISOString().slice(0, 10)}.pdf`);
+    });
+
+    const selectClass = 'p-2 border border-gray-700 rounded-lg bg-gray-700 text-white text-sm';
+
+    return (
+        <div className="w-full mt-6 p-4 bg-gray-700/50 rounded-xl text-sm space-y-4">
+            <h3 className="font-semibold text-white flex items-center">
+                <Download className="w-4 h-4 mr-2 text-green-400" />
+                Export
+            </h3>
+
+            <div className="flex flex-wrap items-center gap-2">
+                <select value={format} onChange={(e) => setFormat(e.target.value)} className={selectClass}>
+                    {IMAGE_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                </select>
+                <select value={size} onChange={(e) => setSize(Number(e.target.value))} className={selectClass}>
+                    {EXPORT_SIZES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                </select>
+                <button
+                    onClick={downloadImage}
+                    disabled={Boolean(busy)}
+                    className="flex items-center px-4 py-2 rounded-lg font-semibold bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                >
+                    {busy === 'image' ? <Loader className="animate-spin w-4 h-4 mr-2" /> : <Download className="w-4 h-4 mr-2" />}
+                    Download Image
+                </button>
+            </div>
+
+            <div className="space-y-2">
+                <textarea
+                    rows="2"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    placeholder="Production notes for the vendor (sizes, quantities, deadlines...)"
+                    className="w-full p-2 border border-gray-700 rounded-lg bg-gray-700 text-white resize-none"
+                />
+                <div className="flex items-center gap-2">
+                    <select value={pageSize} onChange={(e) => setPageSize(e.target.value)} className={selectClass}>
+                        {PAGE_SIZE_OPTIONS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+                    </select>
+                    <button
+                        onClick={downloadTechPack}
+                        disabled={Boolean(busy)}
+                        className="flex items-center px-4 py-2 rounded-lg font-semibold bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50"
+                    >
+                        {busy === 'pdf' ? <Loader className="animate-spin w-4 h-4 mr-2" /> : <FileText className="w-4 h-4 mr-2" />}
+                        Download Tech Pack (PDF)
+                    </button>
+                </div>
+                <p className="text-xs text-gray-500">
+                    The tech pack lists each color as HEX, RGB and CMYK with the nearest spot color, plus the garment spec, logo placements and your notes.
+                </p>
+            </div>
+
+            {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+    );
+};
+
+export default ExportPanel;
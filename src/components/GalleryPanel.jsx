@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, Star, Trash2, RotateCcw, Loader } from 'lucide-react';
+import { deleteGeneration, listGenerations, setFavorite } from '../lib/historyStore.js';
+
+const MODE_LABELS = {
+    netlify: 'Netlify',
+    appsScript: 'Apps Script',
+    direct: 'Direct',
+};
+
+/**
+ * Browses the locally saved generation history.
+ * @param {object} props
+ * @param {number} props.refreshKey Changing this reloads the list (e.g. after a new generation is saved).
+ * @param {(record: object) => void} props.onRestore Called with a record to restore its settings and image.
+ */
+const GalleryPanel = ({ refreshKey, onRestore }) => {
+    const [records, setRecords] = useState([]);
+    const [thumbnails, setThumbnails] = useState({});
+    const [favoritesOnly, setFavoritesOnly] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const reload = useCallback(async () => {
+        try {
+            setRecords(await listGenerations());
+            setError(null);
+        } catch (err) {
+            setError(`Could not load design history. (${err.message})`);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        reload();
+    }, [reload, refreshKey]);
+
+    // Object URLs for the stored image Blobs, released whenever the list changes
+    useEffect(() => {
+        const urls = Object.fromEntries(records.map(record => [record.id, URL.createObjectURL(record.image)]));
+        setThumbnails(urls);
+        return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+    }, [records]);
+
+    const toggleFavorite = async (record) => {
+        await setFavorite(record.id, !record.favorite);
+        reload();
+    };
+
+    const remove = async (record) => {
+        await deleteGeneration(record.id);
+        reload();
+    };
+
+    const visible = favoritesOnly ? records.filter(record => record.favorite) : records;
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-2xl shadow-2xl max-w-6xl mx-auto mt-8">
+            <div className="flex items-center justify-between mb-4 border-b pb-2 border-gray-700">
+                <h2 className="text-2xl font-semibold text-white flex items-center">
+                    <History className="w-5 h-5 mr-2 text-blue-400" />
+                    Design History
+                </h2>
+                <label className="text-sm text-gray-300 flex items-center">
+                    <input
+                        type="checkbox"
+                        checked={favoritesOnly}
+                        onChange={(e) => setFavoritesOnly(e.target.checked)}
+                        className="mr-2"
+                    />
+                    Favorites only
+                </label>
+            </div>
+
+            {error && <div className="text-red-400 p-3 bg-red-900/50 rounded-lg text-sm mb-4">{error}</div>}
+
+            {isLoading ? (
+                <div className="flex justify-center text-purple-400 py-6"><Loader className="animate-spin w-6 h-6" /></div>
+            ) : visible.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-6">
+                    {favoritesOnly ? 'No favorites yet.' : 'Generated mockups are saved here automatically.'}
+                </p>
+            ) : (
+                <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4">
+                    {visible.map(record => (
+                        <div key={record.id} className="bg-gray-700 rounded-xl overflow-hidden flex flex-col">
+                            <img src={thumbnails[record.id]} alt={`${record.params.teamName} ${record.params.jerseyType}`} className="w-full aspect-square object-cover" />
+                            <div className="p-2 text-xs text-gray-300 space-y-1">
+                                <p className="font-semibold truncate">{record.params.teamName || 'Untitled'} · {record.params.jerseyType}</p>
+                                <p className="text-gray-400">{new Date(record.createdAt).toLocaleString()}</p>
+                                <p className="text-gray-500">{MODE_LABELS[record.mode] || record.mode}</p>
+                                <div className="flex items-center justify-between pt-1">
+                                    <button onClick={() => toggleFavorite(record)} title={record.favorite ? 'Unfavorite' : 'Favorite'}>
+                                        <Star className={`w-4 h-4 ${record.favorite ? 'text-yellow-400 fill-yellow-400' : 'text-gray-400 hover:text-yellow-300'}`} />
+                                    </button>
+                                    <button onClick={() => onRestore(record)} title="Restore these settings" className="text-purple-300 hover:text-purple-200 flex items-center">
+                                        <RotateCcw className="w-4 h-4 mr-1" /> Restore
+                                    </button>
+                                    <button onClick={() => remove(record)} title="Delete">
+                                        <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GalleryPanel;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { Scissors, Sparkles } from 'lucide-react';
+import { GARMENT_OPTIONS, STYLE_PRESETS, fitGarmentToSport, getGarmentChoices } from '../../shared/garmentOptions.js';
+
+/**
+ * Structured garment controls (neckline, sleeves, fit, fabric finish) limited to what the
+ * selected sport allows, plus one-click style presets.
+ * @param {object} props
+ * @param {string} props.jerseyType The selected jersey type.
+ * @param {object} props.garment The current choices ({ neckline, sleeve, fit, fabric }).
+ * @param {(garment: object) => void} props.onGarmentChange
+ * @param {string|null} props.style The selected style preset.
+ * @param {(style: string|null) => void} props.onStyleChange
+ */
+const GarmentOptions = ({ jerseyType, garment, onGarmentChange, style, onStyleChange }) => {
+    const choices = getGarmentChoices(jerseyType);
+
+    // A preset sets its look and whichever of its garment choices this sport allows
+    const applyPreset = (preset) => {
+        if (style === preset.value) {
+            onStyleChange(null);
+            return;
+        }
+        onStyleChange(preset.value);
+        onGarmentChange(fitGarmentToSport(jerseyType, { ...garment, ...preset.garment }));
+    };
+
+    return (
+        <div className="flex flex-col space-y-3">
+            <label className="text-sm font-medium text-gray-300 flex items-center">
+                <Scissors className="w-4 h-4 mr-2 text-yellow-400" />
+                Garment
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+                {GARMENT_OPTIONS.filter(option => choices[option.key].length > 0).map(option => (
+                    <label key={option.key} className="text-xs text-gray-400 flex flex-col space-y-1">
+                        {option.label}
+                        <select
+                            value={garment[option.key] || ''}
+                            onChange={(e) => onGarmentChange({ ...garment, [option.key]: e.target.value })}
+                            disabled={choices[option.key].length === 1}
+                            className="p-2 border border-gray-700 rounded-lg focus:ring-2 focus:ring-purple-500 bg-gray-700 text-white text-sm disabled:opacity-60"
+                        >
+                            {choices[option.key].map(choice => (
+                                <option key={choice.value} value={choice.value}>{choice.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                ))}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+                <Sparkles className="w-4 h-4 text-yellow-400" />
+                {STYLE_PRESETS.map(preset => (
+                    <button
+                        key={preset.value}
+                        type="button"
+                        onClick={() => applyPreset(preset)}
+                        title={preset.prompt}
+                        className={`px-3 py-1 rounded-full text-xs font-semibold transition ${style === preset.value ? 'bg-purple-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                    >
+                        {preset.label}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default GarmentOptions;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { ListChecks, Loader, CheckCircle, XCircle, Ban, StopCircle, Eye, X } from 'lucide-react';
+
+const STATUS_ICONS = {
+    running: <Loader className="w-4 h-4 animate-spin text-purple-400" />,
+    cancelling: <Loader className="w-4 h-4 animate-spin text-gray-400" />,
+    succeeded: <CheckCircle className="w-4 h-4 text-green-400" />,
+    failed: <XCircle className="w-4 h-4 text-red-400" />,
+    cancelled: <Ban className="w-4 h-4 text-gray-400" />,
+};
+
+/**
+ * Describes where a generation job is, e.g. "Attempt 2 of 3 · 1/4 candidates".
+ * @param {object} job A job entry from the app state.
+ * @returns {string}
+ */
+export const describeJobProgress = (job) => {
+    const parts = [];
+    if (job.attempts > 1) parts.push(`Attempt ${job.attempt} of ${job.attempts}`);
+    if (job.progress.total > 1) parts.push(`${job.progress.completed}/${job.progress.total} candidates`);
+    if (job.status === 'cancelling') parts.push('Cancelling...');
+    return parts.join(' · ');
+};
+
+/**
+ * Live list of generation jobs under the preview. Jobs run while the design keeps being
+ * edited; finished ones can be reopened or dismissed.
+ * @param {object} props
+ * @param {Array<object>} props.jobs Job entries ({ id, label, status, attempt, attempts, progress, error, candidates }), newest first.
+ * @param {(job: object) => void} props.onCancel Cancels a running job.
+ * @param {(job: object) => void} props.onShow Shows a finished job's candidates in the preview.
+ * @param {(job: object) => void} props.onDismiss Removes a finished job from the list.
+ */
+const JobStatusList = ({ jobs, onCancel, onShow, onDismiss }) => (
+    <div className="w-full mt-6 p-4 bg-gray-700/50 rounded-xl text-sm">
+        <h3 className="font-semibold text-white flex items-center mb-3">
+            <ListChecks className="w-4 h-4 mr-2 text-purple-400" />
+            Generation Jobs
+        </h3>
+        <ul className="space-y-2">
+            {jobs.map(job => {
+                const active = job.status === 'running' || job.status === 'cancelling';
+                const progress = describeJobProgress(job);
+                return (
+                    <li key={job.id} className="flex items-center gap-3 px-3 py-2 rounded-lg bg-gray-800">
+                        {STATUS_ICONS[job.status]}
+                        <div className="flex-1 min-w-0">
+                            <p className="text-white truncate">{job.label}</p>
+                            {active && progress && <p className="text-xs text-gray-400">{progress}</p>}
+                            {job.status === 'succeeded' && (
+                                <p className="text-xs text-gray-400">
+                                    {job.candidates.length} {job.candidates.length === 1 ? 'candidate' : 'candidates'}
+                                    {job.cache?.status === 'hit' && ' · from cache'}
+                                </p>
+                            )}
+                            {job.status === 'failed' && <p className="text-xs text-red-300">{job.error}</p>}
+                            {job.status === 'cancelled' && <p className="text-xs text-gray-400">Cancelled</p>}
+                        </div>
+                        {job.status === 'running' && (
+                            <button
+                                onClick={() => onCancel(job)}
+                                title="Cancel this job"
+                                className="flex items-center px-2 py-1 rounded-lg text-xs font-semibold bg-gray-600 hover:bg-gray-500 text-white"
+                            >
+                                <StopCircle className="w-3 h-3 mr-1" />
+                                Cancel
+                            </button>
+                        )}
+                        {job.status === 'succeeded' && (
+                            <button
+                                onClick={() => onShow(job)}
+                                title="Show this job's candidates"
+                                className="flex items-center px-2 py-1 rounded-lg text-xs font-semibold bg-gray-600 hover:bg-gray-500 text-white"
+                            >
+                                <Eye className="w-3 h-3 mr-1" />
+                                Show
+                            </button>
+                        )}
+                        {!active && (
+                            <button onClick={() => onDismiss(job)} title="Dismiss" className="text-gray-400 hover:text-white">
+                                <X className="w-4 h-4" />
+                            </button>
+                        )}
+                    </li>
+                );
+            })}
+        </ul>
+    </div>
+);
+
+export default JobStatusList;
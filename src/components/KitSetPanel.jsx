@@ -0,0 +1,209 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { Layers, Play, Download, Loader, CheckCircle, XCircle, Clock } from 'lucide-react';
+import { validateDesignSpec } from '../../shared/designSpec.js';
+import { formatFieldErrors, generateJerseyImage } from '../api/jerseyClient.js';
+import { COLOR_KEYS, DEFAULT_SWAP_RULES, KIT_ROLES, SWAP_PRESETS, applySwapRule } from '../lib/kitSet.js';
+import { canvasToBlob, renderPresentationSheet } from '../lib/presentationSheet.js';
+import { downloadBlob, slugify } from '../lib/download.js';
+
+const STATUS_STYLES = {
+    pending: { icon: Clock, className: 'text-gray-400', label: 'Waiting' },
+    running: { icon: Loader, className: 'text-purple-400 animate-spin', label: 'Rendering' },
+    done: { icon: CheckCircle, className: 'text-green-400', label: 'Done' },
+    error: { icon: XCircle, className: 'text-red-400', label: 'Failed' },
+};
+
+const emptyKits = () => Object.fromEntries(KIT_ROLES.map(kit => [kit.value, { status: 'pending', image: null, error: null }]));
+
+/**
+ * Kit set mode: renders the home kit from the current design, then the away and alternate kits
+ * with their colors swapped by the chosen rules and the home render attached as a reference so
+ * the pattern, cut and crest stay the same. The three are shown (and exported) as one lineup sheet.
+ * @param {object} props
+ * @param {() => Promise<object>} props.createDesignSpec Returns the current raw design spec.
+ * @param {string} props.connectionMode The selected backend.
+ * @param {string} props.teamName Used as the sheet title and to name the download.
+ */
+const KitSetPanel = ({ createDesignSpec, connectionMode, teamName }) => {
+    const [swapRules, setSwapRules] = useState(DEFAULT_SWAP_RULES);
+    const [kits, setKits] = useState(emptyKits);
+    const [kitColors, setKitColors] = useState(null);
+    const [sheetBlob, setSheetBlob] = useState(null);
+    const [sheetUrl, setSheetUrl] = useState(null);
+    const [isRunning, setIsRunning] = useState(false);
+    const [error, setError] = useState(null);
+
+    const updateKit = (kit, changes) => {
+        setKits(prev => ({ ...prev, [kit]: { ...prev[kit], ...changes } }));
+    };
+
+    const setRule = (kit, role, source) => {
+        setSwapRules(prev => ({ ...prev, [kit]: { ...prev[kit], [role]: source } }));
+    };
+
+    const generateKitSet = useCallback(async () => {
+        setIsRunning(true);
+        setError(null);
+        setSheetBlob(null);
+        setKits(emptyKits());
+
+        try {
+            const baseSpec = await createDesignSpec();
+            const colorsByKit = Object.fromEntries(KIT_ROLES.map(kit => [kit.value, applySwapRule(baseSpec.colors, swapRules[kit.value])]));
+            setKitColors(colorsByKit);
+
+            const renderKit = async (kit, reference) => {
+                const { valid, errors, spec } = validateDesignSpec({ ...baseSpec, colors: colorsByKit[kit], reference });
+                if (!valid) {
+                    throw new Error(formatFieldErrors(errors));
+                }
+                updateKit(kit, { status: 'running', error: null });
+                try {
+                    const base64Data = await generateJerseyImage(spec, connectionMode);
+                    updateKit(kit, { status: 'done', image: base64Data });
+                    return base64Data;
+                } catch (err) {
+                    updateKit(kit, { status: 'error', error: err.message });
+                    throw err;
+                }
+            };
+
+            // 1. Home first: it is the reference for the rest of the set
+            const home = await renderKit('home', null);
+
+            // 2. Away and alternate in parallel, both matched to the home render
+            const reference = { mode: 'kit_match', image: { mimeType: 'image/png', data: home } };
+            await Promise.allSettled(KIT_ROLES.filter(kit => kit.value !== 'home').map(kit => renderKit(kit.value, reference)));
+        } catch (err) {
+            setError(`Kit set generation failed. (${err.message})`);
+        } finally {
+            setIsRunning(false);
+        }
+    }, [createDesignSpec, connectionMode, swapRules]);
+
+    // 3. Rebuild the lineup sheet from the finished kits once the run is over
+    useEffect(() => {
+        const done = KIT_ROLES.filter(kit => kits[kit.value].status === 'done');
+        if (isRunning || done.length === 0 || !kitColors) return;
+
+        let cancelled = false;
+        renderPresentationSheet({
+            title: teamName || 'Kit Set',
+            subtitle: done.map(kit => kit.label).join(' / '),
+            panels: done.map(kit => ({
+                label: kit.label,
+                imageUrl: `data:image/png;base64,${kits[kit.value].image}`,
+                colors: COLOR_KEYS.map(key => kitColors[kit.value][key.value]),
+            })),
+        })
+            .then(canvas => canvasToBlob(canvas))
+            .then(blob => { if (!cancelled) setSheetBlob(blob); })
+            .catch(err => { if (!cancelled) setError(`Could not build the lineup sheet. (${err.message})`); });
+
+        return () => { cancelled = true; };
+    }, [kits, kitColors, isRunning, teamName]);
+
+    // Object URL for the preview, released when the sheet changes
+    useEffect(() => {
+        if (!sheetBlob) {
+            setSheetUrl(null);
+            return undefined;
+        }
+        const url = URL.createObjectURL(sheetBlob);
+        setSheetUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [sheetBlob]);
+
+    const downloadSheet = () => downloadBlob(sheetBlob, `${slugify(teamName)}-kit-set.png`);
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-2xl shadow-2xl max-w-6xl mx-auto mt-8">
+            <h2 className="text-2xl font-semibold mb-4 border-b pb-2 border-gray-700 text-white flex items-center">
+                <Layers className="w-5 h-5 mr-2 text-green-400" />
+                Kit Set
+            </h2>
+            <p className="text-xs text-gray-500 mb-4">
+                Renders home, away and alternate kits from the current design. The away and alternate kits reuse the home render as a reference so only the colors change.
+            </p>
+
+            <div className="flex flex-wrap items-center gap-3 mb-4">
+                <label className="text-sm text-gray-300 flex items-center">
+                    Swap preset
+                    <select
+                        value={SWAP_PRESETS.find(preset => JSON.stringify(preset.rules) === JSON.stringify(swapRules))?.value || ''}
+                        onChange={(e) => setSwapRules(SWAP_PRESETS.find(preset => preset.value === e.target.value).rules)}
+                        disabled={isRunning}
+                        className="ml-2 p-2 border border-gray-700 rounded-lg bg-gray-700 text-white"
+                    >
+                        <option value="" disabled>Custom</option>
+                        {SWAP_PRESETS.map(preset => <option key={preset.value} value={preset.value}>{preset.label}</option>)}
+                    </select>
+                </label>
+                <button
+                    onClick={generateKitSet}
+                    disabled={isRunning}
+                    className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50"
+                >
+                    {isRunning ? <Loader className="animate-spin w-4 h-4 mr-2" /> : <Play className="w-4 h-4 mr-2" />}
+                    Generate Kit Set
+                </button>
+                <button
+                    onClick={downloadSheet}
+                    disabled={!sheetBlob || isRunning}
+                    className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                >
+                    <Download className="w-4 h-4 mr-2" />
+                    Download Lineup
+                </button>
+            </div>
+
+
+            {/* Swap rules: which team color fills each role of each kit */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                {KIT_ROLES.filter(kit => kit.value !== 'home').map(kit => (
+                    <div key={kit.value} className="bg-gray-900 p-3 rounded-lg">
+                        <p className="text-sm font-semibold text-gray-300 mb-2">{kit.label} kit</p>
+                        <div className="grid grid-cols-3 gap-2">
+                            {COLOR_KEYS.map(role => (
+                                <label key={role.value} className="text-xs text-gray-400">
+                                    {role.label}
+                                    <select
+                                        value={swapRules[kit.value][role.value]}
+                                        onChange={(e) => setRule(kit.value, role.value, e.target.value)}
+                                        disabled={isRunning}
+                                        className="mt-1 w-full p-1 border border-gray-700 rounded bg-gray-700 text-white"
+                                    >
+                                        {COLOR_KEYS.map(source => <option key={source.value} value={source.value}>{source.label}</option>)}
+                                    </select>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex flex-wrap gap-4 text-sm mb-4">
+                {KIT_ROLES.map(kit => {
+                    const status = STATUS_STYLES[kits[kit.value].status];
+                    const StatusIcon = status.icon;
+                    return (
+                        <span key={kit.value} className="flex items-center" title={kits[kit.value].error || status.label}>
+                            <StatusIcon className={`w-4 h-4 mr-2 ${status.className}`} />
+                            {kit.label}: {status.label}
+                        </span>
+                    );
+                })}
+            </div>
+
+            {error && (
+                <div className="text-red-400 p-3 bg-red-900/50 rounded-lg text-sm mb-4">{error}</div>
+            )}
+
+            {sheetUrl && (
+                <img src={sheetUrl} alt={`${teamName} kit set lineup`} className="w-full rounded-lg border border-gray-700" />
+            )}
+        </div>
+    );
+};
+
+export default KitSetPanel;
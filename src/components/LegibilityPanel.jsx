@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { CheckCircle, XCircle, AlertTriangle, Eye, Loader } from 'lucide-react';
+import { CONTRAST_THRESHOLDS, VISION_MODES, analyzeLegibility, simulateColorVision, simulateImageColorVision } from '../lib/legibility.js';
+
+const STATUS_ICONS = {
+    pass: { icon: CheckCircle, className: 'text-green-400', label: 'Readable' },
+    warn: { icon: AlertTriangle, className: 'text-yellow-400', label: 'Hard at distance' },
+    fail: { icon: XCircle, className: 'text-red-400', label: 'Unreadable' },
+};
+
+// The text inputs can hold a half-typed color; skip the analysis until all three parse
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const formatRatio = (ratio) => `${ratio.toFixed(1)}:1`;
+
+// A number sample in the pair's colors, as seen with one vision mode
+const NumberSample = ({ foreground, background, mode, ratio }) => (
+    <div className="flex flex-col items-center" title={`${VISION_MODES.find(m => m.value === mode).label}: ${formatRatio(ratio)}`}>
+        <span
+            className="w-10 h-10 rounded flex items-center justify-center font-black text-lg border border-gray-600"
+            style={{ backgroundColor: simulateColorVision(background, mode), color: simulateColorVision(foreground, mode) }}
+        >
+            23
+        </span>
+        <span className="text-[10px] text-gray-400 mt-1">{formatRatio(ratio)}</span>
+    </div>
+);
+
+/**
+ * Legibility check for numbers and lettering: WCAG contrast of each color pair with normal
+ * vision and simulated protanopia, deuteranopia and tritanopia, a one-click fix for failing
+ * pairs, and the generated mockup viewed through each simulation.
+ * @param {object} props
+ * @param {{primary: string, secondary: string, accent: string}} props.colors The current colors.
+ * @param {(role: string, hex: string) => void} props.onColorChange Sets one color role.
+ * @param {string} [props.imageUrl] The generated mockup, if any.
+ */
+const LegibilityPanel = ({ colors, onColorChange, imageUrl }) => {
+    const [imageMode, setImageMode] = useState('normal');
+    const [simulatedUrl, setSimulatedUrl] = useState(null);
+    const [isSimulating, setIsSimulating] = useState(false);
+
+    const colorsValid = Object.values(colors).every(hex => HEX_COLOR_PATTERN.test(hex));
+    const results = colorsValid ? analyzeLegibility(colors) : [];
+
+    useEffect(() => {
+        if (!imageUrl || imageMode === 'normal') {
+            setSimulatedUrl(null);
+            return undefined;
+        }
+        let cancelled = false;
+        setIsSimulating(true);
+        simulateImageColorVision(imageUrl, imageMode)
+            .then(url => { if (!cancelled) setSimulatedUrl(url); })
+            .catch(() => { if (!cancelled) setSimulatedUrl(null); })
+            .finally(() => { if (!cancelled) setIsSimulating(false); });
+        return () => { cancelled = true; };
+    }, [imageUrl, imageMode]);
+
+    return (
+        <div className="w-full mt-6 p-4 bg-gray-700/50 rounded-xl text-sm space-y-4">
+            <h3 className="font-semibold text-white flex items-center">
+                <Eye className="w-4 h-4 mr-2 text-cyan-400" />
+                Legibility & Color Vision
+            </h3>
+
+            {!colorsValid && <p className="text-xs text-gray-400">Enter all three colors as #RRGGBB to check legibility.</p>}
+
+            {results.map(result => {
+                const { icon: StatusIcon, className, label } = STATUS_ICONS[result.worst.status];
+                return (
+                    <div key={result.key} className="border-t border-gray-600/50 pt-3 space-y-2">
+                        <div className="flex items-center justify-between">
+                            <span className="flex items-center text-gray-200">
+                                <StatusIcon className={`w-4 h-4 mr-2 ${className}`} />
+                                {result.label}
+                            </span>
+                            <span className={`text-xs ${className}`}>
+                                {label}
+                                {result.worst.status !== result.status && ` (${VISION_MODES.find(m => m.value === result.worst.mode).shortLabel})`}
+                            </span>
+                        </div>
+                        <div className="flex gap-3">
+                            {VISION_MODES.map(mode => (
+                                <NumberSample
+                                    key={mode.value}
+                                    foreground={result.foreground}
+                                    background={result.background}
+                                    mode={mode.value}
+                                    ratio={result.vision[mode.value].ratio}
+                                />
+                            ))}
+                        </div>
+                        {result.suggestion && (
+                            <button
+                                onClick={() => onColorChange(result.adjust, result.suggestion.hex)}
+                                className="flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-purple-500 hover:bg-purple-600 text-white"
+                            >
+                                <span className="inline-block w-3 h-3 rounded-sm mr-2 border border-white/50" style={{ backgroundColor: result.suggestion.hex }} />
+                                Use {result.suggestion.hex} for {result.adjust} (reaches {formatRatio(result.suggestion.target)})
+                            </button>
+                        )}
+                        {!result.suggestion && result.worst.status !== 'pass' && (
+                            <p className="text-xs text-gray-400">No lightness of the {result.adjust} color passes on this body; try a different hue.</p>
+                        )}
+                    </div>
+                );
+            })}
+
+            {imageUrl && (
+                <div className="border-t border-gray-600/50 pt-3 space-y-2">
+                    <div className="flex flex-wrap gap-2">
+                        {VISION_MODES.map(mode => (
+                            <button
+                                key={mode.value}
+                                onClick={() => setImageMode(mode.value)}
+                                title={mode.label}
+                                className={`px-3 py-1 rounded-full text-xs font-semibold ${imageMode === mode.value ? 'bg-cyan-600 text-white' : 'bg-gray-600 text-gray-200 hover:bg-gray-500'}`}
+                            >
+                                {mode.shortLabel}
+                            </button>
+                        ))}
+                    </div>
+                    {imageMode !== 'normal' && (
+                        <div className="relative">
+                            {isSimulating && <Loader className="animate-spin w-6 h-6 text-cyan-400 absolute top-2 left-2" />}
+                            {simulatedUrl && (
+                                <img src={simulatedUrl} alt={`Mockup with ${imageMode}`} className="w-full rounded-lg border border-gray-700" />
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <p className="text-xs text-gray-500">
+                Ratios are WCAG contrast. Below {CONTRAST_THRESHOLDS.minimum}:1 numbers are unreadable; {CONTRAST_THRESHOLDS.recommended}:1 or more is what referees and broadcast cameras need from a distance. Each pair is rated by its worst vision mode.
+            </p>
+        </div>
+    );
+};
+
+export default LegibilityPanel;
@@ -0,0 +1,299 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Move, RotateCw, Maximize2, Download, Layers, Loader } from 'lucide-react';
+import { quadCenter, quadToCssMatrix } from '../lib/homography.js';
+import { compositeLogo, loadImage } from '../lib/compositing.js';
+import { downloadBlob } from '../lib/download.js';
+
+// Default placement: 20% of the image width, centered horizontally on the chest
+const DEFAULT_LOGO_WIDTH = 0.2;
+const DEFAULT_LOGO_CENTER = { x: 0.5, y: 0.35 };
+// Distance in pixels between the quad and the rotate/scale handles
+const HANDLE_OFFSET = 24;
+
+/**
+ * Creates the initial overlay placement for a logo of the given aspect ratio.
+ * Corners are normalized to [0, 1] relative to the mockup, in the order TL, TR, BR, BL.
+ * @param {number} logoAspect Logo height / width.
+ * @param {number} imageAspect Mockup width / height.
+ * @returns {{enabled: boolean, opacity: number, corners: Array<{x: number, y: number}>}}
+ */
+export const createDefaultOverlay = (logoAspect = 1, imageAspect = 1) => {
+    const halfW = DEFAULT_LOGO_WIDTH / 2;
+    const halfH = (DEFAULT_LOGO_WIDTH * logoAspect * imageAspect) / 2;
+    const { x, y } = DEFAULT_LOGO_CENTER;
+    return {
+        enabled: true,
+        opacity: 1,
+        corners: [
+            { x: x - halfW, y: y - halfH },
+            { x: x + halfW, y: y - halfH },
+            { x: x + halfW, y: y + halfH },
+            { x: x - halfW, y: y + halfH },
+        ],
+    };
+};
+
+const rotatePoint = (p, center, angle) => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = p.x - center.x;
+    const dy = p.y - center.y;
+    return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+};
+
+// Pushes `p` away from `center` by `distance` pixels (used to place handles outside the quad)
+const offsetFrom = (p, center, distance) => {
+    const dx = p.x - center.x;
+    const dy = p.y - center.y;
+    const len = Math.hypot(dx, dy) || 1;
+    return { x: p.x + (dx / len) * distance, y: p.y + (dy / len) * distance };
+};
+
+/**
+ * Shows the generated mockup and, when enabled, overlays the original uploaded logo with
+ * drag, scale, rotate and per-corner perspective handles. The result can be flattened to a PNG.
+ * @param {object} props
+ * @param {string} props.imageUrl The generated mockup (data URL).
+ * @param {string} props.logoUrl The uploaded logo (object URL), or '' when none.
+ * @param {object|null} props.overlay The saved placement, or null when the logo has not been placed yet.
+ * @param {(overlay: object|null) => void} props.onOverlayChange Called with the new placement.
+ * @param {string} props.fileName Name for the exported PNG.
+ */
+const LogoOverlayEditor = ({ imageUrl, logoUrl, overlay, onOverlayChange, fileName }) => {
+    const containerRef = useRef(null);
+    const dragRef = useRef(null);
+    const [size, setSize] = useState({ width: 0, height: 0 });
+    const [logoSize, setLogoSize] = useState({ width: 100, height: 100 });
+    const [isExporting, setIsExporting] = useState(false);
+    const [exportError, setExportError] = useState(null);
+
+    // Track the rendered size of the mockup so normalized corners can be converted to pixels
+    useEffect(() => {
+        const element = containerRef.current;
+        if (!element) return undefined;
+        const observer = new ResizeObserver(([entry]) => {
+            setSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+        });
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, []);
+
+    useEffect(() => {
+        if (!logoUrl) return;
+        loadImage(logoUrl)
+            .then(img => setLogoSize({ width: img.naturalWidth || 100, height: img.naturalHeight || 100 }))
+            .catch(() => setLogoSize({ width: 100, height: 100 }));
+    }, [logoUrl]);
+
+    const showOverlay = !!(logoUrl && overlay?.enabled && size.width > 0);
+    const quad = showOverlay
+        ? overlay.corners.map(p => ({ x: p.x * size.width, y: p.y * size.height }))
+        : [];
+    const center = showOverlay ? quadCenter(quad) : null;
+    const rotateHandle = showOverlay
+        ? offsetFrom({ x: (quad[0].x + quad[1].x) / 2, y: (quad[0].y + quad[1].y) / 2 }, center, HANDLE_OFFSET)
+        : null;
+    const scaleHandle = showOverlay ? offsetFrom(quad[2], center, HANDLE_OFFSET) : null;
+
+    const toLocal = (event) => {
+        const rect = containerRef.current.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    };
+
+    const startDrag = (mode, index) => (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        containerRef.current.setPointerCapture(event.pointerId);
+        dragRef.current = { mode, index, start: toLocal(event), quad, center };
+    };
+
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+
+        const point = toLocal(event);
+        let next;
+
+        if (drag.mode === 'move') {
+            const dx = point.x - drag.start.x;
+            const dy = point.y - drag.start.y;
+            next = drag.quad.map(p => ({ x: p.x + dx, y: p.y + dy }));
+        } else if (drag.mode === 'corner') {
+            next = drag.quad.map((p, i) => (i === drag.index ? point : p));
+        } else if (drag.mode === 'scale') {
+            const startDistance = Math.hypot(drag.start.x - drag.center.x, drag.start.y - drag.center.y) || 1;
+            const factor = Math.max(0.05, Math.hypot(point.x - drag.center.x, point.y - drag.center.y) / startDistance);
+            next = drag.quad.map(p => ({
+                x: drag.center.x + (p.x - drag.center.x) * factor,
+                y: drag.center.y + (p.y - drag.center.y) * factor,
+            }));
+        } else if (drag.mode === 'rotate') {
+            const startAngle = Math.atan2(drag.start.y - drag.center.y, drag.start.x - drag.center.x);
+            const angle = Math.atan2(point.y - drag.center.y, point.x - drag.center.x) - startAngle;
+            next = drag.quad.map(p => rotatePoint(p, drag.center, angle));
+        }
+
+        onOverlayChange({
+            ...overlay,
+            corners: next.map(p => ({ x: p.x / size.width, y: p.y / size.height })),
+        });
+    };
+
+    const endDrag = (event) => {
+        if (dragRef.current && containerRef.current.hasPointerCapture(event.pointerId)) {
+            containerRef.current.releasePointerCapture(event.pointerId);
+        }
+        dragRef.current = null;
+    };
+
+    const toggleOverlay = () => {
+        if (overlay) {
+            onOverlayChange({ ...overlay, enabled: !overlay.enabled });
+        } else {
+            const imageAspect = size.height > 0 ? size.width / size.height : 1;
+            onOverlayChange(createDefaultOverlay(logoSize.height / logoSize.width, imageAspect));
+        }
+    };
+
+    const resetOverlay = () => {
+        const imageAspect = size.height > 0 ? size.width / size.height : 1;
+        onOverlayChange(createDefaultOverlay(logoSize.height / logoSize.width, imageAspect));
+    };
+
+    const exportPng = async () => {
+        setIsExporting(true);
+        setExportError(null);
+        try {
+            const blob = await compositeLogo(imageUrl, logoUrl, overlay);
+            downloadBlob(blob, fileName);
+        } catch (err) {
+            setExportError(`Export failed. (${err.message})`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const handleStyle = (p, extra = '') => ({
+        className: `absolute w-4 h-4 -ml-2 -mt-2 border-2 border-white shadow touch-none ${extra}`,
+        style: { left: p.x, top: p.y },
+    });
+
+    return (
+        <div className="w-full flex flex-col items-center">
+            <div
+                ref={containerRef}
+                className="relative w-full select-none"
+                onPointerMove={handlePointerMove}
+                onPointerUp={endDrag}
+                onPointerCancel={endDrag}
+            >
+                <img 
+                    src={imageUrl} 
+                    alt="AI Generated Team Jersey Mockup" 
+                    className="w-full h-auto rounded-lg shadow-2xl transition-transform duration-500"
+                    draggable={false}
+                />
+
+                {showOverlay && (
+                    <>
+                        <img
+                            src={logoUrl}
+                            alt="Logo overlay"
+                            draggable={false}
+                            className="absolute left-0 top-0 pointer-events-none"
+                            style={{
+                                width: logoSize.width,
+                                height: logoSize.height,
+                                maxWidth: 'none',
+                                transformOrigin: '0 0',
+                                transform: quadToCssMatrix(quad, logoSize.width, logoSize.height),
+                                opacity: overlay.opacity ?? 1,
+                            }}
+                        />
+                        <svg className="absolute inset-0 w-full h-full overflow-visible pointer-events-none">
+                            <polygon
+                                points={quad.map(p => `${p.x},${p.y}`).join(' ')}
+                                className="fill-transparent stroke-purple-400 cursor-move pointer-events-auto"
+                                strokeDasharray="4 3"
+                                strokeWidth="1.5"
+                                onPointerDown={startDrag('move')}
+                            />
+                            <line x1={center.x} y1={center.y} x2={rotateHandle.x} y2={rotateHandle.y} className="stroke-purple-400/60" />
+                        </svg>
+                        {quad.map((p, i) => (
+                            <div
+                                key={i}
+                                title="Drag to warp (perspective)"
+                                onPointerDown={startDrag('corner', i)}
+                                {...handleStyle(p, 'bg-purple-500 cursor-crosshair')}
+                            />
+                        ))}
+                        <div
+                            title="Drag to rotate"
+                            onPointerDown={startDrag('rotate')}
+                            {...handleStyle(rotateHandle, 'bg-pink-500 rounded-full cursor-grab')}
+                        />
+                        <div
+                            title="Drag to scale"
+                            onPointerDown={startDrag('scale')}
+                            {...handleStyle(scaleHandle, 'bg-cyan-500 rotate-45 cursor-nwse-resize')}
+                        />
+                    </>
+                )}
+            </div>
+
+            <div className="flex flex-wrap items-center justify-center gap-2 mt-4">
+                <button
+                    onClick={toggleOverlay}
+                    disabled={!logoUrl}
+                    title={logoUrl ? '' : 'Upload a logo to overlay it'}
+                    className="flex items-center px-3 py-2 rounded-lg text-xs font-semibold bg-gray-600 hover:bg-gray-500 text-white disabled:opacity-50"
+                >
+                    <Layers className="w-4 h-4 mr-2" />
+                    {overlay?.enabled ? 'Hide Logo Overlay' : 'Overlay Original Logo'}
+                </button>
+                {showOverlay && (
+                    <>
+                        <button
+                            onClick={resetOverlay}
+                            className="flex items-center px-3 py-2 rounded-lg text-xs font-semibold bg-gray-600 hover:bg-gray-500 text-white"
+                        >
+                            <Move className="w-4 h-4 mr-2" />
+                            Reset Placement
+                        </button>
+                        <label className="flex items-center text-xs text-gray-300">
+                            Opacity
+                            <input
+                                type="range"
+                                min="0.2"
+                                max="1"
+                                step="0.05"
+                                value={overlay.opacity ?? 1}
+                                onChange={(e) => onOverlayChange({ ...overlay, opacity: Number(e.target.value) })}
+                                className="ml-2 w-20"
+                            />
+                        </label>
+                    </>
+                )}
+                <button
+                    onClick={exportPng}
+                    disabled={isExporting}
+                    className="flex items-center px-3 py-2 rounded-lg text-xs font-semibold bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                >
+                    {isExporting ? <Loader className="animate-spin w-4 h-4 mr-2" /> : <Download className="w-4 h-4 mr-2" />}
+                    Export Flattened PNG
+                </button>
+            </div>
+            {showOverlay && (
+                <p className="text-xs text-gray-500 mt-2 flex items-center">
+                    <Move className="w-3 h-3 mr-1" /> drag logo
+                    <RotateCw className="w-3 h-3 ml-3 mr-1" /> pink: rotate
+                    <Maximize2 className="w-3 h-3 ml-3 mr-1" /> cyan: scale · purple corners: perspective
+                </p>
+            )}
+            {exportError && <p className="text-xs text-red-400 mt-2">{exportError}</p>}
+        </div>
+    );
+};
+
+export default LogoOverlayEditor;
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import { Pipette, Loader, Check } from 'lucide-react';
+import { assignLogoColors, buildHarmonies, extractLogoPalette } from '../lib/logoPalette.js';
+
+const ROLES = ['primary', 'secondary', 'accent'];
+
+const sameColors = (a, b) => ROLES.every(role => a[role].toUpperCase() === b[role].toUpperCase());
+
+/**
+ * Team colors proposed from the crest: the crest's own colors assigned to primary/secondary/accent,
+ * plus complementary, analogous and triadic alternatives, each applied with one click.
+ * @param {object} props
+ * @param {string} props.logoUrl The crest preview URL.
+ * @param {{primary: string, secondary: string, accent: string}} props.colors The current colors.
+ * @param {(colors: {primary: string, secondary: string, accent: string}) => void} props.onApply
+ */
+const LogoPalettePanel = ({ logoUrl, colors, onApply }) => {
+    const [palette, setPalette] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setPalette(null);
+        setError(null);
+        extractLogoPalette(logoUrl)
+            .then(result => { if (!cancelled) setPalette(result); })
+            .catch(err => { if (!cancelled) setError(err.message); });
+        return () => { cancelled = true; };
+    }, [logoUrl]);
+
+    const fromLogo = palette && assignLogoColors(palette);
+    const options = fromLogo
+        ? [{ value: 'logo', label: 'From Crest', colors: fromLogo }, ...buildHarmonies(fromLogo.primary)]
+        : [];
+
+    return (
+        <div className="p-3 bg-gray-700/50 rounded-lg space-y-3 text-sm">
+            <h3 className="font-semibold text-white flex items-center">
+                <Pipette className="w-4 h-4 mr-2 text-pink-400" />
+                Colors from Crest
+            </h3>
+
+            {!palette && !error && (
+                <p className="flex items-center text-xs text-gray-400">
+                    <Loader className="animate-spin w-3 h-3 mr-2" />
+                    Reading crest colors...
+                </p>
+            )}
+            {error && <p className="text-xs text-red-400">Could not read the crest colors. ({error})</p>}
+            {palette && !fromLogo && (
+                <p className="text-xs text-gray-400">The crest has no colors besides white or transparency.</p>
+            )}
+
+            {palette && palette.length > 0 && (
+                <div className="flex items-center gap-1" title="Crest colors by coverage">
+                    {palette.map(color => (
+                        <span
+                            key={color.hex}
+                            className="h-4 rounded-sm border border-gray-600"
+                            style={{ backgroundColor: color.hex, width: `${Math.max(8, color.share * 100)}%` }}
+                            title={`${color.hex} · ${Math.round(color.share * 100)}%`}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {options.map(option => {
+                const applied = sameColors(option.colors, colors);
+                return (
+                    <div key={option.value} className="flex items-center gap-2">
+                        <span className="text-xs text-gray-300 w-24">{option.label}</span>
+                        <div className="flex flex-1 gap-1">
+                            {ROLES.map(role => (
+                                <span
+                                    key={role}
+                                    className="w-6 h-6 rounded border border-gray-600"
+                                    style={{ backgroundColor: option.colors[role] }}
+                                    title={`${role}: ${option.colors[role]}`}
+                                />
+                            ))}
+                        </div>
+                        <button
+                            onClick={() => onApply(option.colors)}
+                            disabled={applied}
+                            className="flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-purple-500 hover:bg-purple-600 text-white disabled:bg-gray-600 disabled:opacity-70"
+                        >
+                            {applied && <Check className="w-3 h-3 mr-1" />}
+                            {applied ? 'Applied' : 'Apply'}
+                        </button>
+                    </div>
+                );
+            })}
+
+            <p className="text-xs text-gray-500">
+                Transparent and near-white background pixels are ignored. The harmonies keep the crest's main color as the body.
+            </p>
+        </div>
+    );
+};
+
+export default LogoPalettePanel;
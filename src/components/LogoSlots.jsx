@@ -0,0 +1,79 @@
+import React from 'react';
+import { Upload } from 'lucide-react';
+import { LOGO_DESCRIPTION_MAX_LENGTH, LOGO_SLOTS, getLogoZones } from '../../shared/designSpec.js';
+
+/**
+ * Logo slots (crest, sponsor, sleeve patches, back-neck mark), each with its own upload,
+ * description and placement zone. Only the slots the selected sport has a zone for are shown.
+ * @param {object} props
+ * @param {string} props.jerseyType The selected jersey type.
+ * @param {Object<string, {file: File|null, previewUrl: string, description: string, zone?: string}>} props.slots
+ *   Slot state keyed by slot value; missing slots are empty.
+ * @param {(slot: string, changes: object) => void} props.onSlotChange Merges changes into one slot.
+ * @param {(slot: string, file: File|null) => void} props.onSlotFile Sets (or clears) a slot's image.
+ */
+const LogoSlots = ({ jerseyType, slots, onSlotChange, onSlotFile }) => (
+    <div className="space-y-3">
+        {LOGO_SLOTS.map(slotDef => {
+            const zones = getLogoZones(jerseyType, slotDef.value);
+            if (zones.length === 0) return null;
+            const slot = slots[slotDef.value] || {};
+            const zone = zones.some(z => z.value === slot.zone) ? slot.zone : zones[0].value;
+
+            return (
+                <div key={slotDef.value} className="p-3 bg-gray-700/50 rounded-lg space-y-2">
+                    <div className="flex items-center gap-3">
+                        <span className="text-sm font-semibold text-gray-200 flex-1">{slotDef.label}</span>
+                        {slot.previewUrl && (
+                            <>
+                                <img src={slot.previewUrl} alt={`${slotDef.label} preview`} className="w-8 h-8 object-contain rounded bg-gray-800" />
+                                <button
+                                    onClick={() => onSlotFile(slotDef.value, null)}
+                                    className="text-red-400 hover:text-red-500 text-xs"
+                                >
+                                    Remove
+                                </button>
+                            </>
+                        )}
+                        <label className="flex items-center px-3 py-1 rounded-full text-xs font-semibold bg-purple-500 hover:bg-purple-600 text-white cursor-pointer">
+                            <Upload className="w-3 h-3 mr-1" />
+                            {slot.file ? 'Replace' : 'Upload'}
+                            <input
+                                type="file"
+                                accept="image/*"
+                                onChange={(e) => {
+                                    const file = e.target.files[0];
+                                    if (file && file.type.startsWith('image/')) onSlotFile(slotDef.value, file);
+                                    e.target.value = '';
+                                }}
+                                className="hidden"
+                            />
+                        </label>
+                    </div>
+                    <div className="flex gap-2">
+                        <select
+                            value={zone}
+                            onChange={(e) => onSlotChange(slotDef.value, { zone: e.target.value })}
+                            disabled={zones.length === 1}
+                            className="p-2 border border-gray-700 rounded-lg bg-gray-700 text-white text-xs disabled:opacity-60"
+                        >
+                            {zones.map(z => <option key={z.value} value={z.value}>{z.label}</option>)}
+                        </select>
+                        <input
+                            type="text"
+                            value={slot.description || ''}
+                            onChange={(e) => onSlotChange(slotDef.value, { description: e.target.value.slice(0, LOGO_DESCRIPTION_MAX_LENGTH) })}
+                            placeholder={slotDef.value === 'crest' ? 'e.g., A fierce red dragon head' : 'Describe it, or upload an image'}
+                            className="flex-1 p-2 border border-gray-700 rounded-lg bg-gray-700 text-white text-xs"
+                        />
+                    </div>
+                </div>
+            );
+        })}
+        <p className="text-xs text-gray-500">
+            Each uploaded image is sent to the model as its own attachment, with its zone and description. A slot with only a description is drawn from the text. Without a crest image, the team name becomes the crest.
+        </p>
+    </div>
+);
+
+export default LogoSlots;
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { Code, Copy } from 'lucide-react';
+import { validateDesignSpec } from '../../shared/designSpec.js';
+import { buildPrompt, buildReferenceImages } from '../../shared/promptBuilder.js';
+import { getPromptTemplate } from '../../shared/promptTemplates.js';
+import { formatFieldErrors } from '../api/jerseyClient.js';
+
+/**
+ * Developer panel: shows the exact prompt (and template) the current design produces.
+ * The Netlify Function builds the same prompt on the server from the same shared code.
+ * @param {object} props
+ * @param {() => Promise<object>} props.createDesignSpec Returns the current raw design spec.
+ */
+const PromptInspector = ({ createDesignSpec }) => {
+    const [preview, setPreview] = useState(null);
+
+    // Rebuild whenever any control changes (createDesignSpec changes with them)
+    useEffect(() => {
+        let cancelled = false;
+        createDesignSpec().then((rawSpec) => {
+            if (cancelled) return;
+            const { valid, errors, spec } = validateDesignSpec(rawSpec);
+            if (!valid) {
+                setPreview({ error: formatFieldErrors(errors) });
+                return;
+            }
+            setPreview({
+                template: getPromptTemplate(spec.jerseyType).name,
+                prompt: buildPrompt(spec).split('\n').map(line => line.trim()).join('\n').trim(),
+                imageCount: buildReferenceImages(spec).length,
+            });
+        });
+        return () => { cancelled = true; };
+    }, [createDesignSpec]);
+
+    if (!preview) return null;
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-2xl shadow-2xl max-w-6xl mx-auto mt-8">
+            <div className="flex items-center justify-between mb-4 border-b pb-2 border-gray-700">
+                <h2 className="text-2xl font-semibold text-white flex items-center">
+                    <Code className="w-5 h-5 mr-2 text-green-400" />
+                    Prompt Inspector
+                    <span className="ml-3 text-xs font-normal text-gray-500">dev only</span>
+                </h2>
+                {preview.prompt && (
+                    <button
+                        onClick={() => navigator.clipboard.writeText(preview.prompt)}
+                        className="flex items-center px-3 py-1 rounded-lg text-xs font-semibold bg-gray-700 hover:bg-gray-600"
+                    >
+                        <Copy className="w-3 h-3 mr-1" />
+                        Copy
+                    </button>
+                )}
+            </div>
+
+            {preview.error ? (
+                <p className="text-sm text-red-400">{preview.error}</p>
+            ) : (
+                <>
+                    <p className="text-xs text-gray-400 mb-2">
+                        Template: <span className="font-mono text-gray-200">{preview.template}</span>
+                        {' · '}Attached images: {preview.imageCount}
+                    </p>
+                    <pre className="text-xs text-gray-300 bg-gray-900 p-4 rounded-lg whitespace-pre-wrap max-h-96 overflow-y-auto">{preview.prompt}</pre>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PromptInspector;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { MessageSquare, Loader, Undo2, GitBranch, Send } from 'lucide-react';
+import { EDIT_INSTRUCTION_MAX_LENGTH } from '../../shared/designSpec.js';
+import { flattenVersions } from '../lib/versionTree.js';
+
+const EXAMPLE_INSTRUCTIONS = ['Make the stripes thinner', 'Move the crest left', 'Add a darker collar'];
+
+/**
+ * Refine box under the preview: sends the current version back with an edit instruction,
+ * and shows the branchable version tree with undo.
+ * @param {object} props
+ * @param {object} props.versionTree The version tree (see lib/versionTree.js).
+ * @param {(instruction: string) => Promise<boolean>} props.onRefine Refines the current version; resolves to
+ *   whether it worked (the instruction is kept for another try when it didn't).
+ * @param {(id: string) => void} props.onCheckout Switches to another version.
+ * @param {() => void} props.onUndo Goes back to the parent of the current version.
+ * @param {boolean} props.isRefining Whether a refinement is running.
+ */
+const RefinePanel = ({ versionTree, onRefine, onCheckout, onUndo, isRefining }) => {
+    const [instruction, setInstruction] = useState('');
+    const current = versionTree.nodes[versionTree.currentId];
+    const rows = flattenVersions(versionTree);
+
+    const submit = async (event) => {
+        event.preventDefault();
+        if (!instruction.trim()) return;
+        if (await onRefine(instruction.trim())) {
+            setInstruction('');
+        }
+    };
+
+    return (
+        <div className="w-full mt-6 p-4 bg-gray-700/50 rounded-xl text-sm">
+            <h3 className="font-semibold text-white flex items-center mb-3">
+                <MessageSquare className="w-4 h-4 mr-2 text-purple-400" />
+                Refine This Mockup
+            </h3>
+
+            <form onSubmit={submit} className="flex gap-2">
+                <input
+                    type="text"
+                    value={instruction}
+                    onChange={(e) => setInstruction(e.target.value.slice(0, EDIT_INSTRUCTION_MAX_LENGTH))}
+                    placeholder={`e.g., ${EXAMPLE_INSTRUCTIONS.join(', ')}`}
+                    disabled={isRefining}
+                    className="flex-1 p-2 border border-gray-700 rounded-lg focus:ring-2 focus:ring-purple-500 bg-gray-700 text-white disabled:opacity-50"
+                />
+                <button
+                    type="submit"
+                    disabled={isRefining || !instruction.trim()}
+                    className="flex items-center px-3 py-2 rounded-lg text-xs font-semibold bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50"
+                >
+                    {isRefining ? <Loader className="animate-spin w-4 h-4 mr-1" /> : <Send className="w-4 h-4 mr-1" />}
+                    Refine
+                </button>
+                <button
+                    type="button"
+                    onClick={onUndo}
+                    disabled={isRefining || !current?.parentId}
+                    title="Undo (back to the previous version)"
+                    className="flex items-center px-3 py-2 rounded-lg text-xs font-semibold bg-gray-600 hover:bg-gray-500 text-white disabled:opacity-50"
+                >
+                    <Undo2 className="w-4 h-4" />
+                </button>
+            </form>
+
+            {rows.length > 1 && (
+                <div className="mt-3">
+                    <p className="text-xs text-gray-400 flex items-center mb-1">
+                        <GitBranch className="w-3 h-3 mr-1" />
+                        Versions (refining an older version starts a new branch)
+                    </p>
+                    <ul className="space-y-1">
+                        {rows.map(({ node, depth }) => (
+                            <li key={node.id} style={{ paddingLeft: depth * 16 }}>
+                                <button
+                                    onClick={() => onCheckout(node.id)}
+                                    disabled={isRefining}
+                                    className={`flex items-center w-full text-left text-xs px-2 py-1 rounded ${node.id === versionTree.currentId ? 'bg-purple-600/40 text-white' : 'text-gray-300 hover:bg-gray-600/50'}`}
+                                >
+                                    <img src={node.url} alt="" className="w-6 h-6 rounded object-cover mr-2" />
+                                    <span className="truncate">{node.label}</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RefinePanel;
@@ -0,0 +1,231 @@
+import React, { useState, useCallback, useRef } from 'react';
+import { Users, Upload, Play, RotateCcw, Download, Loader, CheckCircle, XCircle, Clock } from 'lucide-react';
+import { validateDesignSpec } from '../../shared/designSpec.js';
+import { formatFieldErrors, generateJerseyImage } from '../api/jerseyClient.js';
+import { formatCsvRow, parseRosterCsv } from '../lib/csv.js';
+import { runWithConcurrency } from '../lib/taskQueue.js';
+import { base64ToBytes, createZip, uniqueFileNames } from '../lib/zip.js';
+import { downloadBlob, slugify } from '../lib/download.js';
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4];
+
+const STATUS_STYLES = {
+    pending: { icon: Clock, className: 'text-gray-400', label: 'Queued' },
+    running: { icon: Loader, className: 'text-purple-400 animate-spin', label: 'Rendering' },
+    done: { icon: CheckCircle, className: 'text-green-400', label: 'Done' },
+    error: { icon: XCircle, className: 'text-red-400', label: 'Failed' },
+};
+
+/**
+ * Roster mode: imports a name/number/size CSV and renders one back-view mockup per player
+ * through a concurrency-limited queue, using the current design for everything else.
+ * @param {object} props
+ * @param {() => Promise<object>} props.createDesignSpec Returns the current raw design spec.
+ * @param {string} props.connectionMode The selected backend.
+ * @param {string} props.teamName Used to name the zip download.
+ * @param {(name: string) => string} [props.formatPlayerName] Letters each roster name (brand kit naming rules).
+ */
+const RosterPanel = ({ createDesignSpec, connectionMode, teamName, formatPlayerName = (name) => name }) => {
+    const [rows, setRows] = useState([]);
+    const [concurrency, setConcurrency] = useState(2);
+    const [isRunning, setIsRunning] = useState(false);
+    const [importError, setImportError] = useState(null);
+    const csvInputRef = useRef(null);
+
+    const updateRow = (id, changes) => {
+        setRows(prev => prev.map(row => (row.id === id ? { ...row, ...changes } : row)));
+    };
+
+    // Handler for roster CSV upload
+    const handleCsvUpload = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        setImportError(null);
+        try {
+            const players = parseRosterCsv(await file.text());
+            if (players.length === 0) {
+                setImportError('No players found. Expected columns: name, number, size.');
+                return;
+            }
+            setRows(players.map((player, index) => ({
+                id: `${index}-${player.number}-${player.name}`,
+                ...player,
+                status: 'pending',
+                image: null,
+                error: null,
+            })));
+        } catch (err) {
+            setImportError(`Could not read the CSV file. (${err.message})`);
+        } finally {
+            csvInputRef.current.value = '';
+        }
+    };
+
+    // Renders the given rows; each row is validated as its own back-view spec first
+    const processRows = useCallback(async (targetRows) => {
+        if (targetRows.length === 0) return;
+        setIsRunning(true);
+
+        try {
+            const baseSpec = await createDesignSpec();
+            const tasks = targetRows.map(row => async () => {
+                const { valid, errors, spec } = validateDesignSpec({
+                    ...baseSpec,
+                    playerName: formatPlayerName(row.name),
+                    playerNumber: row.number,
+                    view: 'back',
+                });
+                if (!valid) {
+                    throw new Error(formatFieldErrors(errors));
+                }
+                return generateJerseyImage(spec, connectionMode);
+            });
+
+            await runWithConcurrency(tasks, {
+                concurrency,
+                onStart: (i) => updateRow(targetRows[i].id, { status: 'running', error: null }),
+                onSuccess: (i, base64Data) => updateRow(targetRows[i].id, { status: 'done', image: base64Data }),
+                onError: (i, err) => updateRow(targetRows[i].id, { status: 'error', error: err.message }),
+            });
+        } catch (err) {
+            setImportError(`Roster generation failed. (${err.message})`);
+        } finally {
+            setIsRunning(false);
+        }
+    }, [createDesignSpec, connectionMode, concurrency, formatPlayerName]);
+
+    const generateAll = () => processRows(rows.filter(row => row.status !== 'done'));
+    const retryFailed = () => processRows(rows.filter(row => row.status === 'error'));
+
+    const downloadZip = () => {
+        const done = rows.filter(row => row.status === 'done');
+        // Two players with the same name and number would otherwise share one file
+        const names = uniqueFileNames(done.map(row => `${row.number || 'no-number'}-${slugify(row.name)}${row.size ? `-${slugify(row.size)}` : ''}.png`));
+        const files = done.map((row, i) => ({ name: names[i], data: base64ToBytes(row.image) }));
+        // A manifest so the vendor can match files to sizes without opening each one
+        const manifest = [
+            formatCsvRow(['file', 'name', 'number', 'size']),
+            ...done.map((row, i) => formatCsvRow([files[i].name, row.name, row.number, row.size])),
+        ].join('\n');
+        files.push({ name: 'roster.csv', data: manifest });
+        downloadBlob(createZip(files), `${slugify(teamName)}-roster.zip`);
+    };
+
+    const doneCount = rows.filter(row => row.status === 'done').length;
+    const failedCount = rows.filter(row => row.status === 'error').length;
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-2xl shadow-2xl max-w-6xl mx-auto mt-8">
+            <h2 className="text-2xl font-semibold mb-4 border-b pb-2 border-gray-700 text-white flex items-center">
+                <Users className="w-5 h-5 mr-2 text-green-400" />
+                Roster Mode
+            </h2>
+            <p className="text-xs text-gray-500 mb-4">
+                Import a CSV with <span className="font-mono">name,number,size</span> columns. Each player gets a back-view mockup using the current design.
+            </p>
+
+            <div className="flex flex-wrap items-center gap-3 mb-4">
+                <label className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-gray-700 hover:bg-gray-600 cursor-pointer">
+                    <Upload className="w-4 h-4 mr-2" />
+                    Import CSV
+                    <input type="file" accept=".csv,text/csv" onChange={handleCsvUpload} ref={csvInputRef} className="hidden" />
+                </label>
+                <label className="text-sm text-gray-300 flex items-center">
+                    Parallel requests
+                    <select
+                        value={concurrency}
+                        onChange={(e) => setConcurrency(Number(e.target.value))}
+                        disabled={isRunning}
+                        className="ml-2 p-2 border border-gray-700 rounded-lg bg-gray-700 text-white"
+                    >
+                        {CONCURRENCY_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                </label>
+                <button
+                    onClick={generateAll}
+                    disabled={isRunning || rows.length === 0 || doneCount === rows.length}
+                    className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50"
+                >
+                    {isRunning ? <Loader className="animate-spin w-4 h-4 mr-2" /> : <Play className="w-4 h-4 mr-2" />}
+                    Generate Roster ({doneCount}/{rows.length})
+                </button>
+                <button
+                    onClick={retryFailed}
+                    disabled={isRunning || failedCount === 0}
+                    className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-gray-700 hover:bg-gray-600 disabled:opacity-50"
+                >
+                    <RotateCcw className="w-4 h-4 mr-2" />
+                    Retry Failed ({failedCount})
+                </button>
+                <button
+                    onClick={downloadZip}
+                    disabled={doneCount === 0}
+                    className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                >
+                    <Download className="w-4 h-4 mr-2" />
+                    Download Zip
+                </button>
+            </div>
+
+            {importError && (
+                <div className="text-red-400 p-3 bg-red-900/50 rounded-lg text-sm mb-4">{importError}</div>
+            )}
+
+            {rows.length > 0 && (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left">
+                        <thead className="text-gray-400 border-b border-gray-700">
+                            <tr>
+                                <th className="py-2 pr-4">Status</th>
+                                <th className="py-2 pr-4">Name</th>
+                                <th className="py-2 pr-4">Number</th>
+                                <th className="py-2 pr-4">Size</th>
+                                <th className="py-2 pr-4">Mockup</th>
+                                <th className="py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => {
+                                const status = STATUS_STYLES[row.status];
+                                const StatusIcon = status.icon;
+                                return (
+                                    <tr key={row.id} className="border-b border-gray-700/50 align-middle">
+                                        <td className="py-2 pr-4">
+                                            <span className="flex items-center" title={row.error || status.label}>
+                                                <StatusIcon className={`w-4 h-4 mr-2 ${status.className}`} />
+                                                {status.label}
+                                            </span>
+                                            {row.error && <p className="text-xs text-red-400 mt-1 max-w-xs">{row.error}</p>}
+                                        </td>
+                                        <td className="py-2 pr-4">{row.name}</td>
+                                        <td className="py-2 pr-4 font-mono">{row.number}</td>
+                                        <td className="py-2 pr-4">{row.size}</td>
+                                        <td className="py-2 pr-4">
+                                            {row.image && (
+                                                <img src={`data:image/png;base64,${row.image}`} alt={`${row.name} mockup`} className="w-16 h-16 object-cover rounded" />
+                                            )}
+                                        </td>
+                                        <td className="py-2 text-right">
+                                            {row.status === 'error' && (
+                                                <button
+                                                    onClick={() => processRows([row])}
+                                                    disabled={isRunning}
+                                                    className="text-purple-400 hover:text-purple-300 text-xs disabled:opacity-50"
+                                                >
+                                                    Retry
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RosterPanel;
@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react';
+import { Download, Zap } from 'lucide-react';
+import { renderJerseySvg } from '../lib/svgJersey.js';
+import { downloadBlob } from '../lib/download.js';
+
+// The exported SVG has to carry the logo inline, so the crest file is read as a data URL
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+/**
+ * Instant flat jersey drawn from the current design state, shown next to the AI preview.
+ * Redraws on every change without a generation, and downloads as an SVG file.
+ * @param {object} props
+ * @param {string} props.jerseyType The selected jersey type.
+ * @param {{primary: string, secondary: string, accent: string}} props.colors Hex colors.
+ * @param {string} props.teamName Team name lettering.
+ * @param {string} props.playerNumber Player number, may be empty.
+ * @param {object} props.garment Garment options (neckline, sleeve, fit).
+ * @param {File|null} [props.crestFile] The uploaded crest image, if any.
+ * @param {string} [props.crestZone] The crest's LOGO_ZONES value.
+ * @param {string} props.fileBaseName File name without extension, e.g. "victory-basketball".
+ */
+const SvgJerseyPreview = ({ jerseyType, colors, teamName, playerNumber, garment, crestFile, crestZone, fileBaseName }) => {
+    const [crestUrl, setCrestUrl] = useState(null);
+
+    useEffect(() => {
+        if (!crestFile) {
+            setCrestUrl(null);
+            return undefined;
+        }
+        let cancelled = false;
+        readAsDataUrl(crestFile)
+            .then(url => { if (!cancelled) setCrestUrl(url); })
+            .catch(() => { if (!cancelled) setCrestUrl(null); });
+        return () => { cancelled = true; };
+    }, [crestFile]);
+
+    // Cheap enough to redraw on every render
+    const svg = renderJerseySvg({
+        jerseyType,
+        colors,
+        teamName,
+        playerNumber,
+        garment,
+        crest: crestUrl ? { url: crestUrl, zone: crestZone } : null,
+    });
+
+    const downloadSvg = () => downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${fileBaseName}-flat.svg`);
+
+    return (
+        <div className="w-full md:w-56 shrink-0 flex flex-col items-center">
+            <h3 className="text-sm font-semibold text-white flex items-center mb-2">
+                <Zap className="w-4 h-4 mr-1 text-yellow-400" />
+                Live Flat
+            </h3>
+            <div className="w-full bg-gray-700 rounded-xl p-3">
+                <img
+                    src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+                    alt={`${teamName} flat jersey preview`}
+                    className="w-full"
+                />
+            </div>
+            <button
+                onClick={downloadSvg}
+                className="flex items-center mt-3 px-3 py-2 rounded-lg text-xs font-semibold bg-green-600 hover:bg-green-700 text-white"
+            >
+                <Download className="w-4 h-4 mr-2" />
+                Download SVG
+            </button>
+            <p className="text-xs text-gray-500 mt-2 text-center">
+                Updates instantly as you edit. Use it to settle colors and lettering before spending a generation.
+            </p>
+        </div>
+    );
+};
+
+export default SvgJerseyPreview;
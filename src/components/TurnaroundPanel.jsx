@@ -0,0 +1,175 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { RotateCw, Play, Download, Loader, CheckCircle, XCircle, Clock } from 'lucide-react';
+import { JERSEY_TYPES, validateDesignSpec } from '../../shared/designSpec.js';
+import { formatFieldErrors, generateJerseyImage } from '../api/jerseyClient.js';
+import { canvasToBlob, renderPresentationSheet } from '../lib/presentationSheet.js';
+import { downloadBlob, slugify } from '../lib/download.js';
+
+// The front is rendered first and used as the reference for the other angles
+const TURNAROUND_VIEWS = [
+    { value: 'front', label: 'Front' },
+    { value: 'back', label: 'Back' },
+    { value: 'side', label: 'Side' },
+];
+
+const STATUS_STYLES = {
+    pending: { icon: Clock, className: 'text-gray-400', label: 'Waiting' },
+    running: { icon: Loader, className: 'text-purple-400 animate-spin', label: 'Rendering' },
+    done: { icon: CheckCircle, className: 'text-green-400', label: 'Done' },
+    error: { icon: XCircle, className: 'text-red-400', label: 'Failed' },
+};
+
+const emptyViews = () => Object.fromEntries(TURNAROUND_VIEWS.map(view => [view.value, { status: 'pending', image: null, error: null }]));
+
+/**
+ * Turnaround mode: renders the front, back and side of the current design as separate requests.
+ * The front goes first and is attached as a reference to the others so all angles show the
+ * same garment; the views are laid out on one presentation sheet with the team colors.
+ * @param {object} props
+ * @param {() => Promise<object>} props.createDesignSpec Returns the current raw design spec.
+ * @param {string} props.connectionMode The selected backend.
+ * @param {string} props.teamName Used as the sheet title and to name the download.
+ */
+const TurnaroundPanel = ({ createDesignSpec, connectionMode, teamName }) => {
+    const [views, setViews] = useState(emptyViews);
+    const [sheetSpec, setSheetSpec] = useState(null);
+    const [sheetBlob, setSheetBlob] = useState(null);
+    const [sheetUrl, setSheetUrl] = useState(null);
+    const [isRunning, setIsRunning] = useState(false);
+    const [error, setError] = useState(null);
+
+    const updateView = (view, changes) => {
+        setViews(prev => ({ ...prev, [view]: { ...prev[view], ...changes } }));
+    };
+
+    const generateTurnaround = useCallback(async () => {
+        setIsRunning(true);
+        setError(null);
+        setSheetBlob(null);
+        setViews(emptyViews());
+
+        try {
+            const baseSpec = await createDesignSpec();
+            setSheetSpec(baseSpec);
+
+            const renderView = async (view, reference) => {
+                const { valid, errors, spec } = validateDesignSpec({ ...baseSpec, view, reference });
+                if (!valid) {
+                    throw new Error(formatFieldErrors(errors));
+                }
+                updateView(view, { status: 'running', error: null });
+                try {
+                    const base64Data = await generateJerseyImage(spec, connectionMode);
+                    updateView(view, { status: 'done', image: base64Data });
+                    return base64Data;
+                } catch (err) {
+                    updateView(view, { status: 'error', error: err.message });
+                    throw err;
+                }
+            };
+
+            // 1. Front first: it is the reference for the other angles
+            const front = await renderView('front', null);
+
+            // 2. Back and side in parallel, both matched to the front render
+            const reference = { mode: 'turnaround', image: { mimeType: 'image/png', data: front } };
+            await Promise.allSettled(TURNAROUND_VIEWS.slice(1).map(view => renderView(view.value, reference)));
+        } catch (err) {
+            setError(`Turnaround generation failed. (${err.message})`);
+        } finally {
+            setIsRunning(false);
+        }
+    }, [createDesignSpec, connectionMode]);
+
+    // 3. Lay the finished views out on one sheet once the run is over
+    useEffect(() => {
+        const done = TURNAROUND_VIEWS.filter(view => views[view.value].status === 'done');
+        if (isRunning || done.length === 0 || !sheetSpec) return;
+
+        const sport = JERSEY_TYPES.find(t => t.value === sheetSpec.jerseyType)?.label || 'Jersey';
+        let cancelled = false;
+        renderPresentationSheet({
+            title: teamName || 'Turnaround',
+            subtitle: `${sport} turnaround${sheetSpec.playerName ? ` · ${sheetSpec.playerName} ${sheetSpec.playerNumber || ''}` : ''}`,
+            panels: done.map(view => ({
+                label: view.label,
+                imageUrl: `data:image/png;base64,${views[view.value].image}`,
+            })),
+            swatches: [
+                { label: 'Primary', hex: sheetSpec.colors.primary.toUpperCase() },
+                { label: 'Secondary', hex: sheetSpec.colors.secondary.toUpperCase() },
+                { label: 'Accent', hex: sheetSpec.colors.accent.toUpperCase() },
+            ],
+        })
+            .then(canvas => canvasToBlob(canvas))
+            .then(blob => { if (!cancelled) setSheetBlob(blob); })
+            .catch(err => { if (!cancelled) setError(`Could not build the turnaround sheet. (${err.message})`); });
+
+        return () => { cancelled = true; };
+    }, [views, sheetSpec, isRunning, teamName]);
+
+    // Object URL for the preview, released when the sheet changes
+    useEffect(() => {
+        if (!sheetBlob) {
+            setSheetUrl(null);
+            return undefined;
+        }
+        const url = URL.createObjectURL(sheetBlob);
+        setSheetUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [sheetBlob]);
+
+    const downloadSheet = () => downloadBlob(sheetBlob, `${slugify(teamName)}-turnaround.png`);
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-2xl shadow-2xl max-w-6xl mx-auto mt-8">
+            <h2 className="text-2xl font-semibold mb-4 border-b pb-2 border-gray-700 text-white flex items-center">
+                <RotateCw className="w-5 h-5 mr-2 text-green-400" />
+                Turnaround Sheet
+            </h2>
+            <p className="text-xs text-gray-500 mb-4">
+                Renders the front, back and side of the current design as separate views. The back and side reuse the front render as a reference so every angle shows the same garment.
+            </p>
+
+            <div className="flex flex-wrap items-center gap-3 mb-4">
+                <button
+                    onClick={generateTurnaround}
+                    disabled={isRunning}
+                    className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50"
+                >
+                    {isRunning ? <Loader className="animate-spin w-4 h-4 mr-2" /> : <Play className="w-4 h-4 mr-2" />}
+                    Generate Turnaround
+                </button>
+                <button
+                    onClick={downloadSheet}
+                    disabled={!sheetBlob || isRunning}
+                    className="flex items-center px-4 py-2 rounded-lg text-sm font-semibold bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                >
+                    <Download className="w-4 h-4 mr-2" />
+                    Download Sheet
+                </button>
+                {TURNAROUND_VIEWS.map(view => {
+                    const status = STATUS_STYLES[views[view.value].status];
+                    const StatusIcon = status.icon;
+                    return (
+                        <span key={view.value} className="flex items-center text-sm" title={views[view.value].error || status.label}>
+                            <StatusIcon className={`w-4 h-4 mr-2 ${status.className}`} />
+                            {view.label}: {status.label}
+                        </span>
+                    );
+                })}
+            </div>
+
+
+            {error && (
+                <div className="text-red-400 p-3 bg-red-900/50 rounded-lg text-sm mb-4">{error}</div>
+            )}
+
+            {sheetUrl && (
+                <img src={sheetUrl} alt={`${teamName} turnaround sheet`} className="w-full rounded-lg border border-gray-700" />
+            )}
+        </div>
+    );
+};
+
+export default TurnaroundPanel;
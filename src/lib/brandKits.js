@@ -0,0 +1,334 @@
+// --- BRAND KITS (INDEXEDDB) ---
+
+/*
+  A brand kit is a club's saved profile: the three colors, its logos, default design
+  elements, default sport and naming rules for lettering. Kits are stored locally and every
+  save that changes something adds a revision listing what changed, so the history shows
+  when a club switched colors or replaced its crest.
+
+  Record shape:
+    { id, name, createdAt, updatedAt, kit, revisions: [{ revision, savedAt, note, changes }] }
+  where kit = { jerseyType, colors, designElements, logos, naming } (logos as in the design
+  spec, with embedded images) and changes = [{ field, label, from, to }].
+
+  Kits export to a versioned JSON file (all kits, with logos and revision history).
+*/
+
+import { validateDesignSpec } from '../../shared/designSpec.js';
+import { createStoreRunner, requestToPromise } from './indexedDb.js';
+
+export const BRAND_KIT_FILE_FORMAT = 'jersey-brand-kits';
+export const BRAND_KIT_FILE_VERSION = 1;
+export const BRAND_KIT_FILE_EXTENSION = '.brandkits.json';
+
+const STORE = 'kits';
+
+const withStore = createStoreRunner({
+    dbName: 'jersey-designer-brand-kits',
+    version: 1,
+    storeName: STORE,
+    upgrade: (db) => {
+        db.createObjectStore(STORE, { keyPath: 'id' });
+    },
+});
+
+export const LETTER_CASES = [
+    { value: 'upper', label: 'UPPER CASE' },
+    { value: 'title', label: 'Title Case' },
+    { value: 'as_entered', label: 'As Entered' },
+];
+
+export const PLAYER_NAME_FORMATS = [
+    { value: 'last', label: 'Last Name' },
+    { value: 'initial_last', label: 'Initial + Last Name' },
+    { value: 'full', label: 'Full Name' },
+];
+
+export const DEFAULT_NAMING = { teamName: '', letterCase: 'upper', playerNameFormat: 'last' };
+
+const applyCase = (text, letterCase) => {
+    if (letterCase === 'upper') return text.toUpperCase();
+    if (letterCase === 'title') return text.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (match, sep, letter) => sep + letter.toUpperCase());
+    return text;
+};
+
+/**
+ * Letters a team name by a kit's naming rules.
+ * @param {string} name The team name.
+ * @param {{letterCase: string}} naming The kit's naming rules.
+ * @returns {string}
+ */
+export const formatTeamName = (name, naming) => applyCase(String(name).trim(), naming.letterCase);
+
+/**
+ * Letters a player name by a kit's naming rules, e.g. "Alex de Souza" -> "DE SOUZA" with
+ * upper case and last names.
+ * @param {string} name The player's full name.
+ * @param {{letterCase: string, playerNameFormat: string}} naming The kit's naming rules.
+ * @returns {string}
+ */
+export const formatPlayerName = (name, naming) => {
+    const words = String(name).trim().split(/\s+/).filter(Boolean);
+    if (words.length < 2 || naming.playerNameFormat === 'full') return applyCase(words.join(' '), naming.letterCase);
+
+    // Particles ("de", "van", "da") stay with the last name
+    let lastStart = words.length - 1;
+    while (lastStart > 1 && /^(da|de|del|der|di|du|la|le|van|von)$/i.test(words[lastStart - 1])) lastStart--;
+    const last = words.slice(lastStart).join(' ');
+    const formatted = naming.playerNameFormat === 'initial_last' ? `${words[0][0]}. ${last}` : last;
+    return applyCase(formatted, naming.letterCase);
+};
+
+// --- Revisions ---
+
+const logoSummary = (logos) => logos
+    .map(logo => `${logo.slot}: ${logo.image ? logo.image.name || 'image' : logo.description || 'text'} (${logo.zone})`)
+    .join(', ') || 'none';
+
+// Image data is compared by length and edges rather than in full; a re-upload of the same file is no change
+const logoSignature = (logos) => JSON.stringify(logos.map(logo => [
+    logo.slot, logo.zone, logo.description,
+    logo.image && [logo.image.name, logo.image.data.length, logo.image.data.slice(0, 64), logo.image.data.slice(-64)],
+]));
+
+const TRACKED_FIELDS = [
+    { field: 'jerseyType', label: 'Default sport', get: kit => kit.jerseyType },
+    { field: 'colors.primary', label: 'Primary color', get: kit => kit.colors.primary.toUpperCase() },
+    { field: 'colors.secondary', label: 'Secondary color', get: kit => kit.colors.secondary.toUpperCase() },
+    { field: 'colors.accent', label: 'Accent color', get: kit => kit.colors.accent.toUpperCase() },
+    { field: 'designElements', label: 'Design elements', get: kit => kit.designElements },
+    { field: 'naming.teamName', label: 'Team lettering', get: kit => kit.naming.teamName },
+    { field: 'naming.letterCase', label: 'Letter case', get: kit => kit.naming.letterCase },
+    { field: 'naming.playerNameFormat', label: 'Player names', get: kit => kit.naming.playerNameFormat },
+];
+
+/**
+ * Lists what differs between two versions of a kit.
+ * @param {object|null} before The previous kit (null for a new kit).
+ * @param {object} after The new kit.
+ * @returns {Array<{field: string, label: string, from: string|null, to: string}>}
+ */
+export const diffBrandKits = (before, after) => {
+    const changes = TRACKED_FIELDS
+        .filter(({ get }) => !before || get(before) !== get(after))
+        .map(({ field, label, get }) => ({ field, label, from: before ? get(before) : null, to: get(after) }));
+    if (!before || logoSignature(before.logos) !== logoSignature(after.logos)) {
+        changes.push({ field: 'logos', label: 'Logos', from: before ? logoSummary(before.logos) : null, to: logoSummary(after.logos) });
+    }
+    return changes;
+};
+
+// --- Validation ---
+
+/**
+ * Checks a kit's contents with the design spec rules (colors, sport, logos) plus the naming rules.
+ * @param {object} kit
+ * @returns {object} The kit, normalized.
+ * @throws {Error} Listing every invalid field.
+ */
+const normalizeKit = (kit) => {
+    const naming = { ...DEFAULT_NAMING, ...(kit?.naming || {}) };
+    const { valid, errors, spec } = validateDesignSpec({
+        jerseyType: kit?.jerseyType,
+        teamName: naming.teamName || 'KIT',
+        colors: kit?.colors,
+        designElements: kit?.designElements || '',
+        logos: kit?.logos || [],
+    });
+    if (!LETTER_CASES.some(c => c.value === naming.letterCase)) {
+        errors.push({ field: 'naming.letterCase', message: `Must be one of: ${LETTER_CASES.map(c => c.value).join(', ')}.` });
+    }
+    if (!PLAYER_NAME_FORMATS.some(f => f.value === naming.playerNameFormat)) {
+        errors.push({ field: 'naming.playerNameFormat', message: `Must be one of: ${PLAYER_NAME_FORMATS.map(f => f.value).join(', ')}.` });
+    }
+    if (!valid || errors.length > 0) {
+        throw new Error(`Invalid brand kit: ${errors.map(e => `${e.field}: ${e.message}`).join(' ')}`);
+    }
+    return {
+        jerseyType: spec.jerseyType,
+        colors: spec.colors,
+        designElements: spec.designElements,
+        // The spec always adds a crest (keep it only if the kit set one up) and drops file names (put them back)
+        logos: spec.logos
+            .map(logo => ({ logo, raw: (kit.logos || []).find(l => l.slot === logo.slot) }))
+            .filter(({ raw }) => raw)
+            .map(({ logo, raw }) => (logo.image ? { ...logo, image: { ...logo.image, name: raw.image.name || logo.slot } } : logo)),
+        naming: { teamName: String(naming.teamName).trim(), letterCase: naming.letterCase, playerNameFormat: naming.playerNameFormat },
+    };
+};
+
+// --- Storage ---
+
+/**
+ * Applies a save to a record: a new record, or the existing one with a revision listing what changed.
+ * @param {object|null} existing The stored record, or null for a new kit.
+ * @param {string} name The trimmed kit name.
+ * @param {object} kit The normalized kit.
+ * @param {string} note Shown in the revision history.
+ * @returns {object} The record to store (`existing` itself when nothing changed).
+ */
+const reviseRecord = (existing, name, kit, note) => {
+    const now = new Date().toISOString();
+    const changes = diffBrandKits(existing?.kit || null, kit);
+    if (existing && existing.name !== name) {
+        changes.unshift({ field: 'name', label: 'Name', from: existing.name, to: name });
+    }
+    if (existing && changes.length === 0) return existing;
+
+    const revisions = existing?.revisions || [];
+    return {
+        id: existing?.id || crypto.randomUUID(),
+        name,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        kit,
+        revisions: [...revisions, { revision: revisions.length + 1, savedAt: now, note, changes }],
+    };
+};
+
+/**
+ * Lists saved brand kits by name.
+ * @returns {Promise<Array<object>>}
+ */
+export const listBrandKits = async () => {
+    const records = await withStore('readonly', store => requestToPromise(store.getAll()));
+    return records.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Creates a kit, or saves a new revision of an existing one. Saving an unchanged kit adds no revision.
+ * @param {object} entry
+ * @param {string} [entry.id] The kit to update; omit to create one.
+ * @param {string} entry.name The kit's display name (e.g. the club name).
+ * @param {object} entry.kit { jerseyType, colors, designElements, logos, naming }.
+ * @param {string} [entry.note] Shown in the revision history.
+ * @returns {Promise<object>} The stored record.
+ * @throws {Error} When the kit is invalid.
+ */
+export const saveBrandKit = async ({ id, name, kit, note = '' }) => {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) {
+        throw new Error('Give the brand kit a name.');
+    }
+    const normalized = normalizeKit(kit);
+
+    return withStore('readwrite', async store => {
+        const existing = id ? await requestToPromise(store.get(id)) : null;
+        const record = reviseRecord(existing, trimmedName, normalized, note || (existing ? '' : 'Created'));
+        if (record !== existing) {
+            await requestToPromise(store.put(record));
+        }
+        return record;
+    });
+};
+
+/**
+ * Deletes a brand kit and its history.
+ * @param {string} id
+ */
+export const deleteBrandKit = (id) => withStore('readwrite', store => requestToPromise(store.delete(id)));
+
+// --- Import / export ---
+
+/**
+ * Serializes kits (with logos and revision history) for sharing between machines.
+ * @param {Array<object>} records Stored kit records.
+ * @returns {string} Pretty-printed JSON.
+ */
+export const serializeBrandKits = (records) => JSON.stringify({
+    format: BRAND_KIT_FILE_FORMAT,
+    version: BRAND_KIT_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    kits: records,
+}, null, 2);
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const textOrNull = (value) => (value === null || value === undefined ? null : String(value));
+
+/**
+ * Rebuilds an imported revision history from the fields it should have, dropping entries that
+ * aren't revisions and renumbering the rest. Falls back to a single "Imported" revision.
+ * @param {*} revisions The `revisions` from the file.
+ * @param {object} kit The normalized kit.
+ * @param {string} now ISO timestamp of the import.
+ * @returns {Array<object>}
+ */
+const importRevisions = (revisions, kit, now) => {
+    const kept = (Array.isArray(revisions) ? revisions : [])
+        .filter(entry => entry && isTimestamp(entry.savedAt) && Array.isArray(entry.changes))
+        .map((entry, i) => ({
+            revision: i + 1,
+            savedAt: new Date(entry.savedAt).toISOString(),
+            note: typeof entry.note === 'string' ? entry.note : '',
+            changes: entry.changes
+                .filter(change => change && typeof change.field === 'string' && typeof change.label === 'string')
+                .map(change => ({ field: change.field, label: change.label, from: textOrNull(change.from), to: textOrNull(change.to) })),
+        }));
+    return kept.length > 0 ? kept : [{ revision: 1, savedAt: now, note: 'Imported', changes: diffBrandKits(null, kit) }];
+};
+
+/**
+ * Imports a brand kit file. Kits that don't exist here are added with their history; kits that
+ * do (same id) get the imported contents as a new revision, so nothing local is lost.
+ * Every kit is validated first and all of them are written in one transaction: a bad file or a
+ * failed write imports nothing. Imported histories are rebuilt from their valid entries.
+ * @param {string} text The file contents.
+ * @returns {Promise<{added: number, updated: number}>}
+ * @throws {Error} When the file or one of its kits is invalid, or the write fails.
+ */
+export const importBrandKits = async (text) => {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (file?.format !== BRAND_KIT_FILE_FORMAT) {
+        throw new Error('This is not a brand kit file.');
+    }
+    if (!Number.isInteger(file.version) || file.version > BRAND_KIT_FILE_VERSION) {
+        throw new Error(`This brand kit file (version ${file.version}) was made by a newer version of the app.`);
+    }
+    if (!Array.isArray(file.kits)) {
+        throw new Error('The brand kit file has no kits.');
+    }
+
+    // Validate everything before writing anything
+    const incoming = file.kits.map((record, i) => {
+        if (typeof record?.name !== 'string' || !record.name.trim()) {
+            throw new Error(`Kit ${i + 1} has no name.`);
+        }
+        try {
+            return { id: typeof record.id === 'string' && record.id ? record.id : null, name: record.name.trim(), record, kit: normalizeKit(record.kit) };
+        } catch (err) {
+            throw new Error(`"${record.name}": ${err.message}`);
+        }
+    });
+
+    return withStore('readwrite', async store => {
+        const existing = new Map((await requestToPromise(store.getAll())).map(record => [record.id, record]));
+        const now = new Date().toISOString();
+        let added = 0;
+        let updated = 0;
+        // The puts are only queued: the store runner resolves once the transaction commits, and a
+        // failed put aborts the transaction, so either every kit is imported or none is
+        incoming.forEach(({ id, name, record, kit }) => {
+            if (id && existing.has(id)) {
+                updated++;
+                store.put(reviseRecord(existing.get(id), name, kit, 'Imported'));
+                return;
+            }
+            added++;
+            store.put({
+                id: id || crypto.randomUUID(),
+                name,
+                createdAt: isTimestamp(record.createdAt) ? new Date(record.createdAt).toISOString() : now,
+                updatedAt: isTimestamp(record.updatedAt) ? new Date(record.updatedAt).toISOString() : now,
+                kit,
+                revisions: importRevisions(record.revisions, kit, now),
+            });
+        });
+        return { added, updated };
+    });
+};
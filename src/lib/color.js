@@ -0,0 +1,220 @@
+// --- COLOR MATH ---
+
+/*
+  Conversions between hex, sRGB and CIELAB, plus the CIEDE2000 color difference.
+  Delta-E 2000 is the perceptual distance used everywhere we compare colors:
+  ~1 is barely noticeable, ~2-10 is "close but different", above ~10 reads as a different color.
+*/
+
+/**
+ * Parses "#RRGGBB" (or "RRGGBB") into 0-255 channels.
+ * @param {string} hex The hex color.
+ * @returns {{r: number, g: number, b: number}}
+ */
+export const hexToRgb = (hex) => {
+    const value = hex.replace('#', '');
+    return {
+        r: parseInt(value.slice(0, 2), 16),
+        g: parseInt(value.slice(2, 4), 16),
+        b: parseInt(value.slice(4, 6), 16),
+    };
+};
+
+/**
+ * Formats 0-255 channels as an upper-case "#RRGGBB" string.
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {string}
+ */
+export const rgbToHex = ({ r, g, b }) => (
+    '#' + [r, g, b].map(c => Math.round(Math.min(255, Math.max(0, c))).toString(16).padStart(2, '0')).join('').toUpperCase()
+);
+
+// sRGB companding
+const toLinear = (c) => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+
+const fromLinear = (v) => {
+    const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return c * 255;
+};
+
+/**
+ * Converts sRGB channels to linear-light values in [0, 1].
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {{r: number, g: number, b: number}}
+ */
+export const rgbToLinear = ({ r, g, b }) => ({ r: toLinear(r), g: toLinear(g), b: toLinear(b) });
+
+/**
+ * Converts linear-light values back to 0-255 sRGB channels.
+ * @param {{r: number, g: number, b: number}} linear
+ * @returns {{r: number, g: number, b: number}}
+ */
+export const linearToRgb = ({ r, g, b }) => ({ r: fromLinear(r), g: fromLinear(g), b: fromLinear(b) });
+
+// D65 reference white
+const XN = 0.95047;
+const YN = 1.0;
+const ZN = 1.08883;
+
+const labF = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+const labFInverse = (t) => (t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27));
+
+/**
+ * Converts sRGB channels to CIELAB (D65).
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {{l: number, a: number, b: number}}
+ */
+export const rgbToLab = (rgb) => {
+    const { r, g, b } = rgbToLinear(rgb);
+    const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / XN;
+    const y = (r * 0.2126729 + g * 0.7151522 + b * 0.0721750) / YN;
+    const z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / ZN;
+    const fx = labF(x);
+    const fy = labF(y);
+    const fz = labF(z);
+    return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+};
+
+/**
+ * Converts CIELAB (D65) back to sRGB channels (unclamped).
+ * @param {{l: number, a: number, b: number}} lab
+ * @returns {{r: number, g: number, b: number}}
+ */
+export const labToRgb = ({ l, a, b }) => {
+    const fy = (l + 16) / 116;
+    const x = labFInverse(fy + a / 500) * XN;
+    const y = labFInverse(fy) * YN;
+    const z = labFInverse(fy - b / 200) * ZN;
+    return linearToRgb({
+        r: x * 3.2404542 + y * -1.5371385 + z * -0.4985314,
+        g: x * -0.9692660 + y * 1.8760108 + z * 0.0415560,
+        b: x * 0.0556434 + y * -0.2040259 + z * 1.0572252,
+    });
+};
+
+export const hexToLab = (hex) => rgbToLab(hexToRgb(hex));
+
+/**
+ * CIEDE2000 color difference between two Lab colors.
+ * @param {{l: number, a: number, b: number}} lab1
+ * @param {{l: number, a: number, b: number}} lab2
+ * @returns {number} Delta-E 2000.
+ */
+export const deltaE2000 = (lab1, lab2) => {
+    const rad = Math.PI / 180;
+    const { l: l1, a: a1, b: b1 } = lab1;
+    const { l: l2, a: a2, b: b2 } = lab2;
+
+    const c1 = Math.hypot(a1, b1);
+    const c2 = Math.hypot(a2, b2);
+    const cBar = (c1 + c2) / 2;
+    const cBar7 = Math.pow(cBar, 7);
+    const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + Math.pow(25, 7))));
+
+    const a1p = a1 * (1 + g);
+    const a2p = a2 * (1 + g);
+    const c1p = Math.hypot(a1p, b1);
+    const c2p = Math.hypot(a2p, b2);
+    const h1p = (Math.atan2(b1, a1p) / rad + 360) % 360;
+    const h2p = (Math.atan2(b2, a2p) / rad + 360) % 360;
+
+    const dLp = l2 - l1;
+    const dCp = c2p - c1p;
+    let dhp = 0;
+    if (c1p * c2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((dhp / 2) * rad);
+
+    const lBarP = (l1 + l2) / 2;
+    const cBarP = (c1p + c2p) / 2;
+    let hBarP = h1p + h2p;
+    if (c1p * c2p !== 0) {
+        if (Math.abs(h1p - h2p) > 180) {
+            hBarP = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+        } else {
+            hBarP = (h1p + h2p) / 2;
+        }
+    }
+
+    const t = 1
+        - 0.17 * Math.cos((hBarP - 30) * rad)
+        + 0.24 * Math.cos(2 * hBarP * rad)
+        + 0.32 * Math.cos((3 * hBarP + 6) * rad)
+        - 0.20 * Math.cos((4 * hBarP - 63) * rad);
+    const dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+    const cBarP7 = Math.pow(cBarP, 7);
+    const rc = 2 * Math.sqrt(cBarP7 / (cBarP7 + Math.pow(25, 7)));
+    const sl = 1 + (0.015 * Math.pow(lBarP - 50, 2)) / Math.sqrt(20 + Math.pow(lBarP - 50, 2));
+    const sc = 1 + 0.045 * cBarP;
+    const sh = 1 + 0.015 * cBarP * t;
+    const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+    return Math.sqrt(
+        Math.pow(dLp / sl, 2)
+        + Math.pow(dCp / sc, 2)
+        + Math.pow(dHp / sh, 2)
+        + rt * (dCp / sc) * (dHp / sh)
+    );
+};
+
+/**
+ * Delta-E 2000 between two hex colors.
+ * @param {string} hex1
+ * @param {string} hex2
+ * @returns {number}
+ */
+export const deltaEHex = (hex1, hex2) => deltaE2000(hexToLab(hex1), hexToLab(hex2));
+
+/**
+ * Converts 0-255 channels to naive (uncalibrated) CMYK percentages.
+ * Good enough as a starting point on a spec sheet; the vendor's RIP profile has the final say.
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {{c: number, m: number, y: number, k: number}} 0-100, rounded.
+ */
+export const rgbToCmyk = ({ r, g, b }) => {
+    const k = 1 - Math.max(r, g, b) / 255;
+    if (k >= 1) return { c: 0, m: 0, y: 0, k: 100 };
+    const channel = (v) => Math.round(((1 - v / 255 - k) / (1 - k)) * 100);
+    return { c: channel(r), m: channel(g), y: channel(b), k: Math.round(k * 100) };
+};
+
+/**
+ * Converts 0-255 channels to HSL.
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {{h: number, s: number, l: number}} Hue in degrees [0, 360), saturation and lightness in [0, 1].
+ */
+export const rgbToHsl = ({ r, g, b }) => {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if (d === 0) return { h: 0, s: 0, l };
+
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === rn) h = ((gn - bn) / d) % 6;
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+    return { h: (h * 60 + 360) % 360, s, l };
+};
+
+/**
+ * Converts HSL back to 0-255 channels.
+ * @param {{h: number, s: number, l: number}} hsl Hue in degrees (any value, wrapped), s and l in [0, 1].
+ * @returns {{r: number, g: number, b: number}}
+ */
+export const hslToRgb = ({ h, s, l }) => {
+    const hue = ((h % 360) + 360) % 360;
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs(((hue / 60) % 2) - 1));
+    const m = l - c / 2;
+    const [r, g, b] = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][Math.floor(hue / 60)];
+    return { r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 };
+};
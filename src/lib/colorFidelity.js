@@ -0,0 +1,79 @@
+// --- COLOR FIDELITY VERIFICATION ---
+
+/*
+  Checks whether a generated mockup actually uses the requested palette. The studio
+  background is estimated from the image border and excluded, the remaining pixels are
+  clustered, and each requested color is matched to its nearest dominant color.
+*/
+
+import { deltaE2000, hexToLab, rgbToLab } from './color.js';
+import { estimateBackground, extractPalette, getImagePixels, nearestInPalette } from './palette.js';
+
+export const DEFAULT_FIDELITY_TOLERANCE = 12;
+// Pixels this close (Delta-E) to the estimated background are treated as background
+const BACKGROUND_DELTA_E = 6;
+// A cluster must hold at least this share of the garment pixels to count as "used"
+const MIN_CLUSTER_SHARE = 0.02;
+// Unrequested clusters above this share are reported as off-palette colors
+const EXTRANEOUS_SHARE = 0.12;
+
+const COLOR_ROLES = [
+    { key: 'primary', label: 'Primary' },
+    { key: 'secondary', label: 'Secondary' },
+    { key: 'accent', label: 'Accent' },
+];
+
+/**
+ * Analyzes a generated image against the requested colors.
+ * @param {string} imageUrl The generated mockup (data URL).
+ * @param {{primary: string, secondary: string, accent: string}} colors Requested hex colors.
+ * @param {number} [tolerance] Maximum Delta-E 2000 for a color to pass.
+ * @returns {Promise<{passed: boolean, score: number, tolerance: number, checks: Array, palette: Array, extraneous: Array}>}
+ *   `score` is the worst Delta-E among the verifiable colors (lower is better).
+ */
+export const analyzeColorFidelity = async (imageUrl, colors, tolerance = DEFAULT_FIDELITY_TOLERANCE) => {
+    const pixels = await getImagePixels(imageUrl);
+    const backgroundLab = rgbToLab(estimateBackground(pixels));
+
+    const palette = extractPalette(pixels, {
+        k: 6,
+        ignore: (r, g, b, a) => a < 128 || deltaE2000(rgbToLab({ r, g, b }), backgroundLab) < BACKGROUND_DELTA_E,
+    }).filter(entry => entry.share >= MIN_CLUSTER_SHARE);
+
+    const checks = COLOR_ROLES.map(({ key, label }) => {
+        const requestedLab = hexToLab(colors[key]);
+        const { entry, deltaE } = nearestInPalette(palette, requestedLab);
+
+        // A color indistinguishable from the background can't be told apart from it, so don't fail on it
+        if (deltaE2000(requestedLab, backgroundLab) < BACKGROUND_DELTA_E && deltaE > tolerance) {
+            return { key, label, requested: colors[key], matched: null, deltaE: null, share: 0, status: 'background' };
+        }
+
+        return {
+            key,
+            label,
+            requested: colors[key],
+            matched: entry?.hex || null,
+            deltaE,
+            share: entry?.share || 0,
+            status: deltaE <= tolerance ? 'pass' : 'fail',
+        };
+    });
+
+    const requestedLabs = COLOR_ROLES.map(({ key }) => hexToLab(colors[key]));
+    const extraneous = palette.filter(entry => (
+        entry.share >= EXTRANEOUS_SHARE && requestedLabs.every(lab => deltaE2000(entry.lab, lab) > tolerance)
+    ));
+
+    const measured = checks.filter(c => c.deltaE !== null);
+    const score = measured.length > 0 ? Math.max(...measured.map(c => c.deltaE)) : 0;
+
+    return {
+        passed: checks.every(c => c.status !== 'fail'),
+        score,
+        tolerance,
+        checks,
+        palette,
+        extraneous,
+    };
+};
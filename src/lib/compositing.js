@@ -0,0 +1,116 @@
+// --- CANVAS COMPOSITING ---
+
+import { mapPoint, squareToQuad } from './homography.js';
+
+// Grid resolution used to approximate the perspective warp with affine triangles.
+const WARP_SUBDIVISIONS = 16;
+
+/**
+ * Loads an image URL (data:, blob: or same-origin) into an HTMLImageElement.
+ * @param {string} src The image URL.
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not load image.'));
+    img.src = src;
+});
+
+// Draws the source triangle s0-s1-s2 of `img` onto the destination triangle d0-d1-d2.
+const drawTriangle = (ctx, img, s0, s1, s2, d0, d1, d2) => {
+    // Solve the affine transform that maps the source triangle onto the destination triangle
+    const denom = (s1.x - s0.x) * (s2.y - s0.y) - (s2.x - s0.x) * (s1.y - s0.y);
+    if (denom === 0) return;
+
+    const a = ((d1.x - d0.x) * (s2.y - s0.y) - (d2.x - d0.x) * (s1.y - s0.y)) / denom;
+    const b = ((d1.y - d0.y) * (s2.y - s0.y) - (d2.y - d0.y) * (s1.y - s0.y)) / denom;
+    const c = ((d2.x - d0.x) * (s1.x - s0.x) - (d1.x - d0.x) * (s2.x - s0.x)) / denom;
+    const d = ((d2.y - d0.y) * (s1.x - s0.x) - (d1.y - d0.y) * (s2.x - s0.x)) / denom;
+    const e = d0.x - a * s0.x - c * s0.y;
+    const f = d0.y - b * s0.x - d * s0.y;
+
+    // Clip to the destination triangle, pushed out slightly so neighbouring triangles don't leave seams
+    const cx = (d0.x + d1.x + d2.x) / 3;
+    const cy = (d0.y + d1.y + d2.y) / 3;
+    const grow = (p) => {
+        const dx = p.x - cx;
+        const dy = p.y - cy;
+        const len = Math.hypot(dx, dy) || 1;
+        return { x: p.x + (dx / len) * 0.75, y: p.y + (dy / len) * 0.75 };
+    };
+    const [g0, g1, g2] = [grow(d0), grow(d1), grow(d2)];
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(g0.x, g0.y);
+    ctx.lineTo(g1.x, g1.y);
+    ctx.lineTo(g2.x, g2.y);
+    ctx.closePath();
+    ctx.clip();
+    ctx.transform(a, b, c, d, e, f);
+    ctx.drawImage(img, 0, 0);
+    ctx.restore();
+};
+
+/**
+ * Draws an image warped onto a quad by splitting it into a grid of affine-mapped triangles.
+ * @param {CanvasRenderingContext2D} ctx Destination context.
+ * @param {HTMLImageElement} img Source image.
+ * @param {Array<{x: number, y: number}>} quad Corners TL, TR, BR, BL in canvas pixels.
+ */
+export const drawWarpedImage = (ctx, img, quad) => {
+    const m = squareToQuad(quad);
+    const w = img.naturalWidth;
+    const h = img.naturalHeight;
+    const n = WARP_SUBDIVISIONS;
+
+    for (let row = 0; row < n; row++) {
+        for (let col = 0; col < n; col++) {
+            const u0 = col / n;
+            const u1 = (col + 1) / n;
+            const v0 = row / n;
+            const v1 = (row + 1) / n;
+
+            const s00 = { x: u0 * w, y: v0 * h };
+            const s10 = { x: u1 * w, y: v0 * h };
+            const s11 = { x: u1 * w, y: v1 * h };
+            const s01 = { x: u0 * w, y: v1 * h };
+            const d00 = mapPoint(m, u0, v0);
+            const d10 = mapPoint(m, u1, v0);
+            const d11 = mapPoint(m, u1, v1);
+            const d01 = mapPoint(m, u0, v1);
+
+            drawTriangle(ctx, img, s00, s10, s11, d00, d10, d11);
+            drawTriangle(ctx, img, s00, s11, s01, d00, d11, d01);
+        }
+    }
+};
+
+/**
+ * Flattens a logo onto a base image.
+ * @param {string} baseUrl The generated mockup URL.
+ * @param {string} logoUrl The original uploaded logo URL.
+ * @param {object} overlay The overlay placement ({ corners, opacity }), corners normalized to [0, 1].
+ * @returns {Promise<Blob>} The composited PNG.
+ */
+export const compositeLogo = async (baseUrl, logoUrl, overlay) => {
+    const base = await loadImage(baseUrl);
+    const canvas = document.createElement('canvas');
+    canvas.width = base.naturalWidth;
+    canvas.height = base.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(base, 0, 0);
+
+    if (logoUrl && overlay?.enabled) {
+        const logo = await loadImage(logoUrl);
+        const quad = overlay.corners.map(p => ({ x: p.x * canvas.width, y: p.y * canvas.height }));
+        ctx.globalAlpha = overlay.opacity ?? 1;
+        drawWarpedImage(ctx, logo, quad);
+        ctx.globalAlpha = 1;
+    }
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not export the image.'))), 'image/png');
+    });
+};
@@ -0,0 +1,82 @@
+// --- MINIMAL CSV PARSER AND WRITER ---
+
+/**
+ * Parses CSV text into rows of trimmed cells. Supports quoted cells containing
+ * commas, newlines and doubled quotes (""), and both \n and \r\n line endings.
+ * @param {string} text The CSV file contents.
+ * @returns {string[][]} Non-empty rows.
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell.trim());
+    rows.push(row);
+
+    return rows.filter(r => r.some(c => c !== ''));
+};
+
+/**
+ * Parses a roster CSV with name, number and size columns. A header row is detected
+ * by name and may list the columns in any order; without one the order is name,number,size.
+ * @param {string} text The CSV file contents.
+ * @returns {Array<{name: string, number: string, size: string}>}
+ */
+export const parseRosterCsv = (text) => {
+    const rows = parseCsv(text);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(c => c.toLowerCase());
+    const hasHeader = header.includes('name') || header.includes('number');
+    const column = (key, fallback) => (hasHeader ? header.indexOf(key) : fallback);
+    const nameIndex = column('name', 0);
+    const numberIndex = column('number', 1);
+    const sizeIndex = column('size', 2);
+
+    return rows.slice(hasHeader ? 1 : 0).map(r => ({
+        name: nameIndex >= 0 ? r[nameIndex] || '' : '',
+        number: numberIndex >= 0 ? r[numberIndex] || '' : '',
+        size: sizeIndex >= 0 ? (r[sizeIndex] || '').toUpperCase() : '',
+    }));
+};
+
+/**
+ * Formats one CSV row. Cells with commas, quotes or line breaks are quoted (with quotes
+ * doubled), so spreadsheets and parseCsv read each one back as a single cell.
+ * @param {Array<string|number|null|undefined>} cells The cell values (null and undefined become empty).
+ * @returns {string} The row, without a line ending.
+ */
+export const formatCsvRow = (cells) => cells
+    .map(cell => String(cell ?? ''))
+    .map(cell => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell))
+    .join(',');
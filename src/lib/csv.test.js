@@ -0,0 +1,20 @@
+// --- CSV TESTS ---
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCsvRow, parseCsv } from './csv.js';
+
+test('formatCsvRow leaves plain cells alone', () => {
+    assert.equal(formatCsvRow(['7-lee.png', 'Lee', 7, 'XL']), '7-lee.png,Lee,7,XL');
+});
+
+test('formatCsvRow quotes every cell that needs it, and parseCsv reads them back', () => {
+    const cells = ['file, copy.png', 'O"Neil', 'XL\nTall', 'M\r\nLong'];
+    const row = formatCsvRow(cells);
+    assert.equal(row, '"file, copy.png","O""Neil","XL\nTall","M\r\nLong"');
+    assert.deepEqual(parseCsv(row), [cells]);
+});
+
+test('formatCsvRow writes empty cells for missing values', () => {
+    assert.equal(formatCsvRow(['a', null, undefined, '']), 'a,,,');
+});
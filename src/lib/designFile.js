@@ -0,0 +1,192 @@
+// --- DESIGN FILES AND SHARE LINKS ---
+
+/*
+  A design file is versioned JSON holding everything needed to reopen a design,
+  including the embedded logo:
+
+    {
+      "format": "jersey-design",
+      "version": 2,
+      "savedAt": "2026-01-01T00:00:00.000Z",
+      "design": { ...raw design spec, logoOverlay }
+    }
+
+  Share links carry the same design without the logo images, base64url-encoded in the URL hash
+  (#design=...), so a link reopens the exact configuration.
+*/
+
+import { LOGO_DESCRIPTION_MAX_LENGTH, validateDesignSpec } from '../../shared/designSpec.js';
+
+export const DESIGN_FILE_FORMAT = 'jersey-design';
+export const DESIGN_FILE_VERSION = 2;
+export const DESIGN_FILE_EXTENSION = '.jersey.json';
+
+const HASH_KEY = 'design';
+
+// Descriptions version 1 filled in by itself; they were never shown to the model and shouldn't become prompt text
+const V1_DEFAULT_LOGO_DESCRIPTIONS = [/^A clean text logo or simple design placed on the center chest\.$/, /^Please use the attached logo file, named /];
+
+// Upgrades older design files one version at a time: MIGRATIONS[n] turns a version-n design into version n + 1
+const MIGRATIONS = {
+    // v1 -> v2: the single logo, logoPlacement and logoDescription become the crest logo slot
+    1: (design) => {
+        const { logo, logoPlacement, logoDescription, ...rest } = design;
+        const description = typeof logoDescription === 'string' && !V1_DEFAULT_LOGO_DESCRIPTIONS.some(re => re.test(logoDescription))
+            ? logoDescription.slice(0, LOGO_DESCRIPTION_MAX_LENGTH)
+            : '';
+        return { ...rest, logos: [{ slot: 'crest', zone: logoPlacement, description, image: logo || null }] };
+    },
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Brings a design from an older version up to the current one.
+ * @param {object} design The raw design.
+ * @param {number} version The version it was saved with.
+ * @returns {object} The upgraded design.
+ * @throws {Error} When there is no migration from that version.
+ */
+export const migrateDesign = (design, version) => {
+    let migrated = design;
+    for (let v = version; v < DESIGN_FILE_VERSION; v++) {
+        if (!MIGRATIONS[v]) {
+            throw new Error(`Designs saved with version ${v} can't be opened by this version of the app.`);
+        }
+        migrated = MIGRATIONS[v](migrated);
+    }
+    return migrated;
+};
+
+/**
+ * Checks a design against the shared spec schema, ignoring the editor-only fields.
+ * @param {object} design The raw design.
+ * @returns {object} The same design.
+ * @throws {Error} Listing every invalid field.
+ */
+const assertValidDesign = (design) => {
+    const { valid, errors } = validateDesignSpec(design);
+    if (!valid) {
+        throw new Error(`Invalid design: ${errors.map(e => `${e.field}: ${e.message}`).join(' ')}`);
+    }
+    return design;
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Checks a saved logo overlay placement (see components/LogoOverlayEditor.jsx).
+ * @param {*} overlay The `logoOverlay` from a design file.
+ * @returns {{enabled: boolean, opacity: number, corners: Array<{x: number, y: number}>}|null}
+ *   The placement, or null when absent or malformed (the logo is then placed afresh).
+ */
+export const normalizeLogoOverlay = (overlay) => {
+    if (!isPlainObject(overlay)) return null;
+    const { enabled, opacity, corners } = overlay;
+    const validCorners = Array.isArray(corners) && corners.length === 4
+        && corners.every(point => isPlainObject(point) && isFiniteNumber(point.x) && isFiniteNumber(point.y));
+    if (typeof enabled !== 'boolean' || !isFiniteNumber(opacity) || opacity < 0 || opacity > 1 || !validCorners) {
+        return null;
+    }
+    return { enabled, opacity, corners: corners.map(({ x, y }) => ({ x, y })) };
+};
+
+/**
+ * Serializes a design into the design-file format.
+ * @param {object} design The raw design spec plus editor fields (logoOverlay).
+ * @returns {string} Pretty-printed JSON.
+ */
+export const serializeDesignFile = (design) => JSON.stringify({
+    format: DESIGN_FILE_FORMAT,
+    version: DESIGN_FILE_VERSION,
+    savedAt: new Date().toISOString(),
+    design,
+}, null, 2);
+
+/**
+ * Parses and validates a design file, migrating older versions.
+ * @param {string} text The file contents.
+ * @returns {object} The design.
+ * @throws {Error} When the file is not a valid design file.
+ */
+export const parseDesignFile = (text) => {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (file?.format !== DESIGN_FILE_FORMAT) {
+        throw new Error('This is not a jersey design file.');
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+        throw new Error('The design file has no valid version.');
+    }
+    if (file.version > DESIGN_FILE_VERSION) {
+        throw new Error(`This design file (version ${file.version}) was made by a newer version of the app.`);
+    }
+    if (!isPlainObject(file.design)) {
+        throw new Error('The design file has no design in it.');
+    }
+
+    const design = assertValidDesign(migrateDesign(file.design, file.version));
+    // The editor renders the overlay as-is, so a malformed one is dropped rather than trusted
+    return { ...design, logoOverlay: normalizeLogoOverlay(design.logoOverlay) };
+};
+
+// base64url helpers that survive non-ASCII team names
+const toBase64Url = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+/**
+ * Encodes a design (without its logo images or logo overlay) into a URL hash.
+ * @param {object} design The raw design.
+ * @returns {string} e.g. "#design=eyJ2Ijox..."
+ */
+export const encodeDesignHash = (design) => {
+    const shareable = { ...design, logos: (design.logos || []).map(logo => ({ ...logo, image: null })) };
+    delete shareable.logoOverlay;
+    return `#${HASH_KEY}=${toBase64Url(JSON.stringify({ v: DESIGN_FILE_VERSION, d: shareable }))}`;
+};
+
+/**
+ * Decodes a design from a URL hash.
+ * @param {string} hash The location hash (with or without the leading #).
+ * @returns {object|null} The design, or null when the hash holds no design.
+ * @throws {Error} When the hash holds a design that can't be read.
+ */
+export const decodeDesignHash = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    if (!encoded) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(encoded));
+    } catch {
+        throw new Error('The design link is damaged.');
+    }
+    if (!Number.isInteger(payload?.v) || payload.v < 1 || !isPlainObject(payload.d)) {
+        throw new Error('The design link is damaged.');
+    }
+    if (payload.v > DESIGN_FILE_VERSION) {
+        throw new Error('The design link was made by a newer version of the app.');
+    }
+
+    const design = migrateDesign(payload.d, payload.v);
+    const logos = design.logos ?? [];
+    if (!Array.isArray(logos)) {
+        throw new Error('The design link is damaged.');
+    }
+    return assertValidDesign({ ...design, logos: logos.map(logo => ({ ...logo, image: null })) });
+};
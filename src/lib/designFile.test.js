@@ -0,0 +1,75 @@
+// --- DESIGN FILE AND SHARE LINK TESTS ---
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BLANK_LOGO_BASE64 } from '../../shared/promptBuilder.js';
+import { decodeDesignHash, encodeDesignHash, parseDesignFile, serializeDesignFile } from './designFile.js';
+
+const OVERLAY = {
+    enabled: true,
+    opacity: 0.8,
+    corners: [{ x: 0.4, y: 0.3 }, { x: 0.6, y: 0.3 }, { x: 0.6, y: 0.4 }, { x: 0.4, y: 0.4 }],
+};
+
+const DESIGN = {
+    jerseyType: 'soccer',
+    teamName: 'Harbor City',
+    colors: { primary: '#0b3d91', secondary: '#ffffff', accent: '#f2a900' },
+    logos: [{ slot: 'crest', zone: 'center_chest', description: '', image: { mimeType: 'image/png', data: BLANK_LOGO_BASE64, name: 'crest.png' } }],
+    logoOverlay: OVERLAY,
+};
+
+const fileWith = (changes) => serializeDesignFile({ ...DESIGN, ...changes });
+
+const linkWith = (payload) => `#design=${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+
+test('a design file round-trips with its logo overlay', () => {
+    const design = parseDesignFile(fileWith({}));
+    assert.deepEqual(design.logoOverlay, OVERLAY);
+    assert.equal(design.logos[0].image.data, BLANK_LOGO_BASE64);
+});
+
+test('a malformed logo overlay is dropped, not passed to the editor', () => {
+    for (const logoOverlay of [
+        { enabled: true },
+        { ...OVERLAY, enabled: 'yes' },
+        { ...OVERLAY, opacity: 1.5 },
+        { ...OVERLAY, opacity: '1' },
+        { ...OVERLAY, corners: OVERLAY.corners.slice(0, 3) },
+        { ...OVERLAY, corners: [...OVERLAY.corners.slice(0, 3), { x: 0.4, y: null }] },
+        { ...OVERLAY, corners: [...OVERLAY.corners.slice(0, 3), null] },
+        'overlay',
+    ]) {
+        assert.equal(parseDesignFile(fileWith({ logoOverlay })).logoOverlay, null, JSON.stringify(logoOverlay));
+    }
+});
+
+test('a share link round-trips without logo images or the overlay', () => {
+    const design = decodeDesignHash(encodeDesignHash(DESIGN));
+    assert.equal(design.teamName, 'Harbor City');
+    assert.equal(design.logos[0].image, null);
+    assert.equal(design.logoOverlay, undefined);
+});
+
+test('damaged share links are rejected with a readable error', () => {
+    for (const payload of [
+        { v: 0, d: {} },
+        { v: -1, d: {} },
+        { v: 1.5, d: {} },
+        { v: 2, d: null },
+        { v: 2, d: [] },
+        { v: 2, d: { ...DESIGN, logos: 'crest' } },
+        { v: 2, d: { ...DESIGN, logos: { crest: {} } } },
+    ]) {
+        assert.throws(() => decodeDesignHash(linkWith(payload)), { message: 'The design link is damaged.' }, JSON.stringify(payload));
+    }
+    assert.throws(() => decodeDesignHash('#design=%%%'), { message: 'The design link is damaged.' });
+});
+
+test('links from a newer version say so', () => {
+    assert.throws(() => decodeDesignHash(linkWith({ v: 99, d: {} })), /newer version of the app/);
+});
+
+test('a hash without a design is ignored', () => {
+    assert.equal(decodeDesignHash('#other=1'), null);
+});
@@ -0,0 +1,27 @@
+// --- BROWSER DOWNLOAD HELPERS ---
+
+/**
+ * Triggers a browser download for a Blob.
+ * @param {Blob} blob The file contents.
+ * @param {string} filename The suggested file name.
+ */
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a tick to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Turns arbitrary text into a safe, lower-case file name fragment.
+ * @param {string} text The text (team name, player name, ...).
+ * @returns {string} e.g. "st-marys"
+ */
+export const slugify = (text) => (
+    String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'untitled'
+);
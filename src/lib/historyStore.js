@@ -0,0 +1,124 @@
+// --- GENERATION HISTORY (INDEXEDDB) ---
+
+/*
+  Every generated mockup is saved locally with the parameters, prompt and backend that
+  produced it. Storage is quota-aware: when the browser reports we're near the quota
+  (or a write fails with QuotaExceededError), the oldest non-favorite entries are evicted first.
+
+  Record shape:
+    { id, createdAt, favorite, mode, prompt, params, image: Blob, fidelity }
+  where `params` is the raw design spec, with the logo as { name, mimeType, data }.
+*/
+
+import { createStoreRunner, requestToPromise } from './indexedDb.js';
+
+const STORE = 'generations';
+
+// Start evicting when usage passes this fraction of the origin's quota
+const QUOTA_HIGH_WATER = 0.8;
+const MAX_EVICTIONS_PER_SAVE = 25;
+
+const withStore = createStoreRunner({
+    dbName: 'jersey-designer',
+    version: 1,
+    storeName: STORE,
+    upgrade: (db) => {
+        const store = db.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+    },
+});
+
+const isQuotaError = (err) => err?.name === 'QuotaExceededError';
+
+/**
+ * Lists saved generations, newest first.
+ * @returns {Promise<Array<object>>}
+ */
+export const listGenerations = async () => {
+    const records = await withStore('readonly', store => requestToPromise(store.index('createdAt').getAll()));
+    return records.reverse();
+};
+
+/**
+ * Deletes a saved generation.
+ * @param {string} id
+ */
+export const deleteGeneration = (id) => withStore('readwrite', store => requestToPromise(store.delete(id)));
+
+/**
+ * Sets or clears the favorite flag. Favorites are never evicted automatically.
+ * @param {string} id
+ * @param {boolean} favorite
+ */
+export const setFavorite = (id, favorite) => withStore('readwrite', async store => {
+    const record = await requestToPromise(store.get(id));
+    if (record) {
+        await requestToPromise(store.put({ ...record, favorite }));
+    }
+});
+
+/**
+ * Deletes the oldest non-favorite generation.
+ * @returns {Promise<boolean>} False when there was nothing left to evict.
+ */
+const evictOldest = () => withStore('readwrite', store => new Promise((resolve, reject) => {
+    const cursorRequest = store.index('createdAt').openCursor();
+    cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+            resolve(false);
+        } else if (cursor.value.favorite) {
+            cursor.continue();
+        } else {
+            cursor.delete();
+            resolve(true);
+        }
+    };
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+}));
+
+// Evicts until the estimated usage (plus the incoming record) is under the high-water mark
+const ensureSpace = async (incomingBytes) => {
+    if (!navigator.storage?.estimate) return;
+    for (let i = 0; i < MAX_EVICTIONS_PER_SAVE; i++) {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        if (!quota || usage + incomingBytes < quota * QUOTA_HIGH_WATER) return;
+        if (!(await evictOldest())) return;
+    }
+};
+
+/**
+ * Saves a generation, evicting the oldest non-favorites if storage is running out.
+ * @param {object} entry
+ * @param {string} entry.mode The backend used ('netlify', 'appsScript', 'direct').
+ * @param {string} entry.prompt The prompt sent to (or built for) the model.
+ * @param {object} entry.params The raw design spec (logo as { name, mimeType, data }).
+ * @param {Blob} entry.image The generated image.
+ * @param {object} [entry.fidelity] The color fidelity report, if any.
+ * @returns {Promise<object>} The stored record.
+ */
+export const saveGeneration = async ({ mode, prompt, params, image, fidelity = null }) => {
+    const record = {
+        id: crypto.randomUUID(),
+        createdAt: Date.now(),
+        favorite: false,
+        mode,
+        prompt,
+        params,
+        image,
+        fidelity,
+    };
+
+    const logoBytes = (params.logos || []).reduce((sum, logo) => sum + (logo.image?.data ? logo.image.data.length * 0.75 : 0), 0);
+    await ensureSpace(image.size + logoBytes);
+
+    for (let i = 0; i <= MAX_EVICTIONS_PER_SAVE; i++) {
+        try {
+            await withStore('readwrite', store => requestToPromise(store.put(record)));
+            return record;
+        } catch (err) {
+            if (!isQuotaError(err) || !(await evictOldest())) throw err;
+        }
+    }
+    throw new Error('Not enough storage space to save this design.');
+};
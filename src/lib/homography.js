@@ -0,0 +1,83 @@
+// --- PERSPECTIVE (HOMOGRAPHY) MATH ---
+
+/*
+  A quad is four corner points in order: top-left, top-right, bottom-right, bottom-left.
+  squareToQuad maps the unit square onto a quad (Heckbert's projective mapping), which
+  is all we need to warp a rectangular logo onto an arbitrary four-corner placement.
+*/
+
+/**
+ * Computes the projective transform taking the unit square to a quad.
+ * @param {Array<{x: number, y: number}>} quad Corners TL, TR, BR, BL.
+ * @returns {number[]} Matrix [a, b, c, d, e, f, g, h] with X = (a*u + b*v + c) / (g*u + h*v + 1),
+ *   Y = (d*u + e*v + f) / (g*u + h*v + 1).
+ */
+export const squareToQuad = (quad) => {
+    const [p0, p1, p2, p3] = quad;
+    const dx1 = p1.x - p2.x;
+    const dx2 = p3.x - p2.x;
+    const dx3 = p0.x - p1.x + p2.x - p3.x;
+    const dy1 = p1.y - p2.y;
+    const dy2 = p3.y - p2.y;
+    const dy3 = p0.y - p1.y + p2.y - p3.y;
+
+    let g = 0;
+    let h = 0;
+    const det = dx1 * dy2 - dx2 * dy1;
+    // A parallelogram (dx3 = dy3 = 0) or a degenerate quad is handled as an affine map
+    if ((dx3 !== 0 || dy3 !== 0) && det !== 0) {
+        g = (dx3 * dy2 - dx2 * dy3) / det;
+        h = (dx1 * dy3 - dx3 * dy1) / det;
+    }
+
+    return [
+        p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x,
+        p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y,
+        g, h,
+    ];
+};
+
+/**
+ * Maps a unit-square point through a squareToQuad matrix.
+ * @param {number[]} m The matrix from squareToQuad.
+ * @param {number} u Horizontal position in [0, 1].
+ * @param {number} v Vertical position in [0, 1].
+ * @returns {{x: number, y: number}}
+ */
+export const mapPoint = (m, u, v) => {
+    const w = m[6] * u + m[7] * v + 1;
+    return {
+        x: (m[0] * u + m[1] * v + m[2]) / w,
+        y: (m[3] * u + m[4] * v + m[5]) / w,
+    };
+};
+
+/**
+ * Builds a CSS matrix3d() that warps a width x height element (transform-origin 0 0) onto a quad.
+ * @param {Array<{x: number, y: number}>} quad Corners TL, TR, BR, BL in pixels.
+ * @param {number} width Element width in pixels.
+ * @param {number} height Element height in pixels.
+ * @returns {string} The CSS transform value.
+ */
+export const quadToCssMatrix = (quad, width, height) => {
+    const [a, b, c, d, e, f, g, h] = squareToQuad(quad);
+    // Scale element pixels down to the unit square first, then apply the projective map.
+    // matrix3d() takes a 4x4 matrix in column-major order.
+    const values = [
+        a / width, d / width, 0, g / width,
+        b / height, e / height, 0, h / height,
+        0, 0, 1, 0,
+        c, f, 0, 1,
+    ];
+    return `matrix3d(${values.join(',')})`;
+};
+
+/**
+ * Returns the centroid of a quad.
+ * @param {Array<{x: number, y: number}>} quad
+ * @returns {{x: number, y: number}}
+ */
+export const quadCenter = (quad) => ({
+    x: quad.reduce((sum, p) => sum + p.x, 0) / quad.length,
+    y: quad.reduce((sum, p) => sum + p.y, 0) / quad.length,
+});
@@ -0,0 +1,56 @@
+// --- IMAGE EXPORT ---
+
+/*
+  Re-encodes a mockup (data or object URL) as PNG, JPEG or WebP at a chosen size.
+  JPEG has no alpha channel, so transparent areas are flattened onto white.
+*/
+
+import { loadImage } from './compositing.js';
+import { canvasToBlob } from './presentationSheet.js';
+
+export const IMAGE_FORMATS = [
+    { value: 'png', label: 'PNG', mimeType: 'image/png' },
+    { value: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg' },
+    { value: 'webp', label: 'WebP', mimeType: 'image/webp' },
+];
+
+// Longest side in pixels; 0 keeps the original size
+export const EXPORT_SIZES = [
+    { value: 0, label: 'Original' },
+    { value: 1024, label: '1024 px' },
+    { value: 2048, label: '2048 px' },
+    { value: 4096, label: '4096 px' },
+];
+
+/**
+ * Renders an image in another format and/or size.
+ * @param {string} url The source image.
+ * @param {object} [options]
+ * @param {string} [options.format] An IMAGE_FORMATS value.
+ * @param {number} [options.maxSide] Longest side in pixels (0 = original).
+ * @param {number} [options.quality] 0-1, for JPEG and WebP.
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
+ */
+export const renderImageAs = async (url, { format = 'png', maxSide = 0, quality = 0.92 } = {}) => {
+    const { mimeType } = IMAGE_FORMATS.find(f => f.value === format) || IMAGE_FORMATS[0];
+    const img = await loadImage(url);
+    const scale = maxSide ? maxSide / Math.max(img.naturalWidth, img.naturalHeight) : 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    const ctx = canvas.getContext('2d');
+    if (format === 'jpeg') {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const blob = await canvasToBlob(canvas, mimeType, quality);
+    // Browsers without a WebP encoder silently fall back to PNG
+    if (blob.type !== mimeType) {
+        throw new Error(`This browser cannot export ${format.toUpperCase()} images.`);
+    }
+    return { blob, width: canvas.width, height: canvas.height };
+};
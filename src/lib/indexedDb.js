@@ -0,0 +1,64 @@
+// --- INDEXEDDB HELPERS ---
+
+/*
+  The small promise layer shared by the local stores (generation history, brand kits).
+  Each store lives in its own database, so adding one never bumps another's schema version.
+*/
+
+/**
+ * Resolves with an IDBRequest's result.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Creates a transaction runner for one object store. The database is opened lazily on first use.
+ * @param {object} options
+ * @param {string} options.dbName Database name.
+ * @param {number} options.version Schema version.
+ * @param {string} options.storeName The object store the runner opens.
+ * @param {(db: IDBDatabase) => void} options.upgrade Creates the stores and indexes.
+ * @returns {(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => any) => Promise<any>}
+ *   Runs `fn(store)` inside a transaction and resolves with its result once the transaction commits.
+ *   If `fn` throws or rejects, the transaction is aborted, so none of its writes are kept.
+ */
+export const createStoreRunner = ({ dbName, version, storeName, upgrade }) => {
+    let dbPromise = null;
+
+    const openDb = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(dbName, version);
+                request.onupgradeneeded = () => upgrade(request.result);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return dbPromise;
+    };
+
+    return async (mode, fn) => {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            let result;
+            // fn runs synchronously (the transaction is only active until control returns to the event loop)
+            new Promise(run => run(fn(tx.objectStore(storeName))))
+                .then(value => { result = value; }, err => {
+                    // Already finished (committed or aborted) transactions can't be aborted
+                    try { tx.abort(); } catch { /* nothing left to undo */ }
+                    reject(err);
+                });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted.'));
+        });
+    };
+};
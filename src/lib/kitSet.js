@@ -0,0 +1,55 @@
+// --- KIT SET COLOR RULES ---
+
+/*
+  A kit set is the home kit plus away and alternate (third) kits derived from it.
+  Swap rules say, for each kit, which of the team's three colors fills each role:
+    { away: { primary: 'secondary', secondary: 'primary', accent: 'accent' }, ... }
+  The home kit always uses the colors as designed.
+*/
+
+export const KIT_ROLES = [
+    { value: 'home', label: 'Home' },
+    { value: 'away', label: 'Away' },
+    { value: 'alternate', label: 'Alternate' },
+];
+
+export const COLOR_KEYS = [
+    { value: 'primary', label: 'Primary' },
+    { value: 'secondary', label: 'Secondary' },
+    { value: 'accent', label: 'Accent' },
+];
+
+const IDENTITY = { primary: 'primary', secondary: 'secondary', accent: 'accent' };
+
+export const SWAP_PRESETS = [
+    {
+        value: 'classic',
+        label: 'Classic (away inverts, alternate leads with accent)',
+        rules: {
+            away: { primary: 'secondary', secondary: 'primary', accent: 'accent' },
+            alternate: { primary: 'accent', secondary: 'secondary', accent: 'primary' },
+        },
+    },
+    {
+        value: 'rotate',
+        label: 'Rotate (each color takes a turn as the body)',
+        rules: {
+            away: { primary: 'secondary', secondary: 'accent', accent: 'primary' },
+            alternate: { primary: 'accent', secondary: 'primary', accent: 'secondary' },
+        },
+    },
+];
+
+export const DEFAULT_SWAP_RULES = SWAP_PRESETS[0].rules;
+
+/**
+ * Applies a kit's swap rule to the team colors.
+ * @param {{primary: string, secondary: string, accent: string}} colors The home colors.
+ * @param {{primary: string, secondary: string, accent: string}} [rule] Source color key for each role.
+ * @returns {{primary: string, secondary: string, accent: string}} The kit's colors.
+ */
+export const applySwapRule = (colors, rule = IDENTITY) => ({
+    primary: colors[rule.primary],
+    secondary: colors[rule.secondary],
+    accent: colors[rule.accent],
+});
@@ -0,0 +1,202 @@
+// --- LEGIBILITY & COLOR VISION ---
+
+/*
+  Checks that numbers and lettering stay readable: WCAG contrast ratios for each color pair
+  on the jersey, repeated under simulated protanopia, deuteranopia and tritanopia (Machado et
+  al. 2009, full severity, applied in linear RGB), and the smallest lightness change that
+  would make a failing pair pass.
+
+  Thresholds: WCAG's floor for large text is 3:1, which is what a number on a jersey is at
+  best. For reading at distance (referees, the stands, broadcast) we ask for 4.5:1.
+*/
+
+import { loadImage } from './compositing.js';
+import { deltaE2000, hexToLab, hexToRgb, labToRgb, linearToRgb, rgbToHex, rgbToLinear } from './color.js';
+
+export const CONTRAST_THRESHOLDS = {
+    minimum: 3,
+    recommended: 4.5,
+};
+
+// Linear-RGB matrices; 'normal' is the identity and skips the math
+const VISION_MATRICES = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998],
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881],
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900],
+    ],
+};
+
+export const VISION_MODES = [
+    { value: 'normal', label: 'Normal Vision', shortLabel: 'Normal' },
+    { value: 'protanopia', label: 'Protanopia (no red cones)', shortLabel: 'Protanopia' },
+    { value: 'deuteranopia', label: 'Deuteranopia (no green cones)', shortLabel: 'Deuteranopia' },
+    { value: 'tritanopia', label: 'Tritanopia (no blue cones)', shortLabel: 'Tritanopia' },
+];
+
+// The pairs that carry lettering; `adjust` is the role a suggestion changes (never the body)
+export const LEGIBILITY_PAIRS = [
+    { key: 'lettering_on_body', label: 'Numbers & lettering on body', foreground: 'secondary', background: 'primary', adjust: 'secondary' },
+    { key: 'outline_on_body', label: 'Accent outline on body', foreground: 'accent', background: 'primary', adjust: 'accent' },
+    { key: 'lettering_on_outline', label: 'Lettering against accent outline', foreground: 'secondary', background: 'accent', adjust: 'accent' },
+];
+
+const clampLinear = (v) => Math.min(1, Math.max(0, v));
+
+const applyMatrix = (matrix, { r, g, b }) => ({
+    r: clampLinear(matrix[0][0] * r + matrix[0][1] * g + matrix[0][2] * b),
+    g: clampLinear(matrix[1][0] * r + matrix[1][1] * g + matrix[1][2] * b),
+    b: clampLinear(matrix[2][0] * r + matrix[2][1] * g + matrix[2][2] * b),
+});
+
+/**
+ * Simulates how a color looks with a color vision deficiency.
+ * @param {string} hex The color.
+ * @param {string} mode A VISION_MODES value.
+ * @returns {string} The simulated color as "#RRGGBB".
+ */
+export const simulateColorVision = (hex, mode) => {
+    const matrix = VISION_MATRICES[mode];
+    if (!matrix) return hex.toUpperCase();
+    return rgbToHex(linearToRgb(applyMatrix(matrix, rgbToLinear(hexToRgb(hex)))));
+};
+
+/**
+ * WCAG relative luminance.
+ * @param {string} hex
+ * @returns {number} 0 (black) to 1 (white).
+ */
+export const relativeLuminance = (hex) => {
+    const { r, g, b } = rgbToLinear(hexToRgb(hex));
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * WCAG contrast ratio between two colors.
+ * @param {string} hex1
+ * @param {string} hex2
+ * @returns {number} 1 to 21.
+ */
+export const contrastRatio = (hex1, hex2) => {
+    const [light, dark] = [relativeLuminance(hex1), relativeLuminance(hex2)].sort((a, b) => b - a);
+    return (light + 0.05) / (dark + 0.05);
+};
+
+const statusFor = (ratio) => {
+    if (ratio >= CONTRAST_THRESHOLDS.recommended) return 'pass';
+    if (ratio >= CONTRAST_THRESHOLDS.minimum) return 'warn';
+    return 'fail';
+};
+
+// Lowest contrast of a pair across every vision mode
+const worstContrast = (foreground, background) => Math.min(...VISION_MODES.map(({ value }) => (
+    contrastRatio(simulateColorVision(foreground, value), simulateColorVision(background, value))
+)));
+
+/**
+ * Finds the closest color to `foreground` (same hue and chroma, only lightness moved) that
+ * reaches the target contrast against `background` under every vision mode.
+ * @param {string} foreground The color to adjust.
+ * @param {string} background The color it sits on.
+ * @param {number} [target] Contrast ratio to reach.
+ * @returns {{hex: string, ratio: number, deltaE: number, target: number}|null} Null if no lightness gets there.
+ */
+export const suggestPassingColor = (foreground, background, target = CONTRAST_THRESHOLDS.recommended) => {
+    const lab = hexToLab(foreground);
+    // Walk lightness away from the original in both directions; the first pass on either side is the smallest change
+    for (let step = 1; step <= 100; step++) {
+        const candidates = [lab.l + step, lab.l - step]
+            .filter(l => l >= 0 && l <= 100)
+            .map(l => rgbToHex(labToRgb({ ...lab, l })))
+            .filter(hex => worstContrast(hex, background) >= target);
+        if (candidates.length > 0) {
+            return candidates
+                .map(hex => ({ hex, ratio: contrastRatio(hex, background), deltaE: deltaE2000(lab, hexToLab(hex)), target }))
+                .sort((a, b) => a.deltaE - b.deltaE)[0];
+        }
+    }
+    return null;
+};
+
+/**
+ * Checks every lettering pair of a color set.
+ * @param {{primary: string, secondary: string, accent: string}} colors
+ * @returns {Array<{key: string, label: string, foreground: string, background: string, adjust: string,
+ *   ratio: number, status: string, vision: Object<string, {ratio: number, status: string}>,
+ *   worst: {mode: string, ratio: number, status: string}, suggestion: object|null}>}
+ *   status is 'pass', 'warn' or 'fail'; `suggestion` (for the `adjust` role) is set when the worst mode
+ *   doesn't pass and some lightness of that color does.
+ */
+export const analyzeLegibility = (colors) => LEGIBILITY_PAIRS.map(pair => {
+    const foreground = colors[pair.foreground];
+    const background = colors[pair.background];
+
+    const vision = Object.fromEntries(VISION_MODES.map(({ value }) => {
+        const ratio = contrastRatio(simulateColorVision(foreground, value), simulateColorVision(background, value));
+        return [value, { ratio, status: statusFor(ratio) }];
+    }));
+    const [worstMode, worst] = Object.entries(vision).sort(([, a], [, b]) => a.ratio - b.ratio)[0];
+
+    // The suggestion moves the adjustable color; the other one stays put. Mid-tone bodies can
+    // rule out 4.5:1 for every lightness, so fall back to the 3:1 floor.
+    const fixed = pair.adjust === pair.foreground ? background : foreground;
+    let suggestion = null;
+    if (worst.status !== 'pass') {
+        suggestion = suggestPassingColor(colors[pair.adjust], fixed);
+    }
+    if (!suggestion && worst.status === 'fail') {
+        suggestion = suggestPassingColor(colors[pair.adjust], fixed, CONTRAST_THRESHOLDS.minimum);
+    }
+
+    return {
+        ...pair,
+        ratio: vision.normal.ratio,
+        status: vision.normal.status,
+        vision,
+        worst: { mode: worstMode, ...worst },
+        suggestion,
+    };
+});
+
+/**
+ * Renders an image as seen with a color vision deficiency.
+ * @param {string} url The image URL.
+ * @param {string} mode A VISION_MODES value other than 'normal'.
+ * @param {number} [maxSide] Longest side of the output.
+ * @returns {Promise<string>} A PNG data URL.
+ */
+export const simulateImageColorVision = async (url, mode, maxSide = 768) => {
+    const matrix = VISION_MATRICES[mode];
+    const img = await loadImage(url);
+    const scale = Math.min(1, maxSide / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    if (!matrix) return canvas.toDataURL('image/png');
+
+    // Lookup tables keep the per-pixel work to a matrix multiply
+    const toLinear = Array.from({ length: 256 }, (_, c) => rgbToLinear({ r: c, g: 0, b: 0 }).r);
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const { data } = imageData;
+    for (let i = 0; i < data.length; i += 4) {
+        const linear = applyMatrix(matrix, { r: toLinear[data[i]], g: toLinear[data[i + 1]], b: toLinear[data[i + 2]] });
+        const { r, g, b } = linearToRgb(linear);
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+    }
+    ctx.putImageData(imageData, 0, 0);
+    return canvas.toDataURL('image/png');
+};
@@ -0,0 +1,110 @@
+// --- TEAM COLORS FROM THE CREST ---
+
+/*
+  Proposes primary/secondary/accent colors from the uploaded crest instead of eyeballing
+  them. The crest is clustered with the same k-means as the color fidelity check, skipping
+  transparent and near-white pixels (the usual logo background), then:
+    - the most common color becomes the body (primary),
+    - the remaining color that contrasts most with it becomes the trim/numbers (secondary),
+    - the next most common distinct color becomes the accent.
+  Hue harmonies (complementary, analogous, triadic) built on the crest's primary are offered
+  as alternatives.
+*/
+
+import { deltaE2000, hexToLab, hexToRgb, hslToRgb, rgbToHex, rgbToHsl } from './color.js';
+import { extractPalette, getImagePixels } from './palette.js';
+
+const MIN_ALPHA = 128;
+// A pixel with every channel at or above this counts as background
+const NEAR_WHITE = 235;
+// Clusters smaller than this are anti-aliasing fringes, not brand colors
+const MIN_SHARE = 0.03;
+// Delta-E below which two clusters are shades of the same brand color
+const DISTINCT_DELTA_E = 12;
+
+/**
+ * True for pixels that are logo background rather than artwork.
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @param {number} a
+ * @returns {boolean}
+ */
+export const isLogoBackground = (r, g, b, a) => (
+    a < MIN_ALPHA || (r >= NEAR_WHITE && g >= NEAR_WHITE && b >= NEAR_WHITE)
+);
+
+/**
+ * Extracts the dominant colors of a logo, ignoring transparent and near-white pixels.
+ * @param {string} url The logo image (object or data URL).
+ * @returns {Promise<Array<{hex: string, lab: object, share: number}>>} Sorted by share of the artwork.
+ */
+export const extractLogoPalette = async (url) => {
+    const pixels = await getImagePixels(url);
+    return extractPalette(pixels, { k: 6, ignore: isLogoBackground }).filter(c => c.share >= MIN_SHARE);
+};
+
+const rotateHue = (hex, degrees) => {
+    const hsl = rgbToHsl(hexToRgb(hex));
+    return rgbToHex(hslToRgb({ ...hsl, h: hsl.h + degrees }));
+};
+
+// Same hue, pushed light on a dark body and dark on a light one so it reads as trim
+const contrastShade = (hex) => {
+    const hsl = rgbToHsl(hexToRgb(hex));
+    return rgbToHex(hslToRgb({ ...hsl, l: hsl.l > 0.55 ? 0.2 : 0.85 }));
+};
+
+// White trim on dark bodies, black on light ones
+const contrastNeutral = (hex) => (hexToLab(hex).l > 60 ? '#000000' : '#FFFFFF');
+
+/**
+ * Assigns logo colors to the three jersey roles.
+ * @param {Array<{hex: string, lab: object, share: number}>} palette From extractLogoPalette.
+ * @returns {{primary: string, secondary: string, accent: string}|null} Null for an empty palette.
+ */
+export const assignLogoColors = (palette) => {
+    const distinct = [];
+    palette.forEach(color => {
+        if (distinct.every(kept => deltaE2000(kept.lab, color.lab) >= DISTINCT_DELTA_E)) distinct.push(color);
+    });
+    if (distinct.length === 0) return null;
+
+    const [primary, ...rest] = distinct;
+    // Trim and numbers sit on the body, so contrast matters more than coverage
+    const secondary = rest.reduce(
+        (best, color) => (!best || deltaE2000(primary.lab, color.lab) > deltaE2000(primary.lab, best.lab) ? color : best),
+        null
+    );
+    const accent = rest.find(color => color !== secondary);
+
+    return {
+        primary: primary.hex,
+        // White artwork is dropped as background, so a one-color crest gets neutral trim
+        secondary: secondary ? secondary.hex : contrastNeutral(primary.hex),
+        accent: accent ? accent.hex : rotateHue(primary.hex, 180),
+    };
+};
+
+/**
+ * Harmonies built on a primary color, each a full primary/secondary/accent set.
+ * @param {string} primary The body color.
+ * @returns {Array<{value: string, label: string, colors: {primary: string, secondary: string, accent: string}}>}
+ */
+export const buildHarmonies = (primary) => [
+    {
+        value: 'complementary',
+        label: 'Complementary',
+        colors: { primary, secondary: contrastNeutral(primary), accent: rotateHue(primary, 180) },
+    },
+    {
+        value: 'analogous',
+        label: 'Analogous',
+        colors: { primary, secondary: contrastShade(rotateHue(primary, 30)), accent: rotateHue(primary, -30) },
+    },
+    {
+        value: 'triadic',
+        label: 'Triadic',
+        colors: { primary, secondary: rotateHue(primary, 120), accent: rotateHue(primary, 240) },
+    },
+];
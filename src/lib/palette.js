@@ -0,0 +1,148 @@
+// --- PALETTE EXTRACTION (K-MEANS IN CIELAB) ---
+
+import { loadImage } from './compositing.js';
+import { labToRgb, rgbToHex, rgbToLab, deltaE2000 } from './color.js';
+
+// Images are downscaled before clustering; ~9k pixels is plenty for a dominant-color palette
+const SAMPLE_SIZE = 96;
+const MAX_ITERATIONS = 12;
+
+/**
+ * Draws an image URL into a small canvas and returns its RGBA pixels.
+ * @param {string} url The image URL.
+ * @param {number} [maxSide] Longest side of the sampled image.
+ * @returns {Promise<{data: Uint8ClampedArray, width: number, height: number}>}
+ */
+export const getImagePixels = async (url, maxSide = SAMPLE_SIZE) => {
+    const img = await loadImage(url);
+    const scale = Math.min(1, maxSide / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.max(1, Math.round(img.naturalWidth * scale));
+    const height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0, width, height);
+    return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+};
+
+const squaredDistance = (p, q) => (p.l - q.l) ** 2 + (p.a - q.a) ** 2 + (p.b - q.b) ** 2;
+
+/**
+ * Clusters pixels into at most `k` dominant colors.
+ * Initialization is deterministic (farthest-point seeding), so the same image always yields the same palette.
+ * @param {{data: Uint8ClampedArray}} pixels RGBA pixels from getImagePixels.
+ * @param {object} [options]
+ * @param {number} [options.k=6] Number of clusters.
+ * @param {(r: number, g: number, b: number, a: number) => boolean} [options.ignore] Returns true for pixels to skip.
+ * @returns {Array<{hex: string, rgb: object, lab: object, share: number}>} Clusters sorted by pixel share (0-1).
+ */
+export const extractPalette = ({ data }, { k = 6, ignore } = {}) => {
+    const points = [];
+    for (let i = 0; i < data.length; i += 4) {
+        const [r, g, b, a] = [data[i], data[i + 1], data[i + 2], data[i + 3]];
+        if (ignore && ignore(r, g, b, a)) continue;
+        points.push(rgbToLab({ r, g, b }));
+    }
+    if (points.length === 0) return [];
+
+    // Farthest-point seeding: start from the first pixel, then repeatedly take the pixel farthest from all centers
+    const centers = [points[0]];
+    const nearest = points.map(p => squaredDistance(p, centers[0]));
+    while (centers.length < Math.min(k, points.length)) {
+        let best = 0;
+        for (let i = 1; i < points.length; i++) {
+            if (nearest[i] > nearest[best]) best = i;
+        }
+        if (nearest[best] === 0) break; // fewer distinct colors than k
+        centers.push(points[best]);
+        points.forEach((p, i) => {
+            nearest[i] = Math.min(nearest[i], squaredDistance(p, points[best]));
+        });
+    }
+
+    let assignments = new Array(points.length).fill(0);
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        let changed = false;
+        assignments = points.map((p, i) => {
+            let bestCenter = 0;
+            let bestDistance = Infinity;
+            centers.forEach((c, j) => {
+                const d = squaredDistance(p, c);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    bestCenter = j;
+                }
+            });
+            if (bestCenter !== assignments[i]) changed = true;
+            return bestCenter;
+        });
+
+        const sums = centers.map(() => ({ l: 0, a: 0, b: 0, count: 0 }));
+        points.forEach((p, i) => {
+            const sum = sums[assignments[i]];
+            sum.l += p.l;
+            sum.a += p.a;
+            sum.b += p.b;
+            sum.count++;
+        });
+        sums.forEach((sum, j) => {
+            if (sum.count > 0) {
+                centers[j] = { l: sum.l / sum.count, a: sum.a / sum.count, b: sum.b / sum.count };
+            }
+        });
+
+        if (!changed && iteration > 0) break;
+    }
+
+    const counts = centers.map(() => 0);
+    assignments.forEach(j => counts[j]++);
+
+    return centers
+        .map((lab, j) => {
+            const rgb = labToRgb(lab);
+            return { hex: rgbToHex(rgb), rgb, lab, share: counts[j] / points.length };
+        })
+        .filter(c => c.share > 0)
+        .sort((x, y) => y.share - x.share);
+};
+
+/**
+ * Estimates the background color from the image border (median of the edge pixels per channel).
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} pixels
+ * @returns {{r: number, g: number, b: number}}
+ */
+export const estimateBackground = ({ data, width, height }) => {
+    const channels = [[], [], []];
+    const push = (x, y) => {
+        const i = (y * width + x) * 4;
+        channels[0].push(data[i]);
+        channels[1].push(data[i + 1]);
+        channels[2].push(data[i + 2]);
+    };
+    for (let x = 0; x < width; x++) {
+        push(x, 0);
+        push(x, height - 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        push(0, y);
+        push(width - 1, y);
+    }
+    const median = (values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+    return { r: median(channels[0]), g: median(channels[1]), b: median(channels[2]) };
+};
+
+/**
+ * Returns the palette entry closest (Delta-E 2000) to a Lab color.
+ * @param {Array<{lab: object}>} palette
+ * @param {{l: number, a: number, b: number}} lab
+ * @returns {{entry: object|null, deltaE: number}}
+ */
+export const nearestInPalette = (palette, lab) => palette.reduce(
+    (best, entry) => {
+        const deltaE = deltaE2000(entry.lab, lab);
+        return deltaE < best.deltaE ? { entry, deltaE } : best;
+    },
+    { entry: null, deltaE: Infinity }
+);
@@ -0,0 +1,144 @@
+// --- MINIMAL PDF WRITER ---
+
+/*
+  Writes small, print-ready PDFs (tech packs) without a PDF library in the bundle.
+  Supports what a spec sheet needs: Helvetica text, filled/stroked rectangles and JPEG
+  images (embedded as-is with DCTDecode, so no re-encoding).
+
+  Page content is a list of drawing operations in points, with the origin at the TOP-left
+  (the writer flips to PDF's bottom-left origin):
+    { type: 'text', x, y, text, size?, bold?, color? }   // y is the text baseline
+    { type: 'rect', x, y, width, height, fill?, stroke? } // colors are [r, g, b] in 0-255
+    { type: 'image', x, y, width, height, image }         // image: { jpeg: Uint8Array, width, height }
+*/
+
+export const PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    letter: { width: 612, height: 792 },
+};
+
+// Average Helvetica glyph width as a fraction of the font size; close enough for wrapping
+const AVERAGE_CHAR_WIDTH = 0.52;
+
+// The standard fonts use WinAnsi encoding: keep Latin-1, replace the rest, escape the string delimiters
+const escapeText = (text) => String(text)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`);
+
+const latin1Bytes = (text) => Uint8Array.from(text, c => c.charCodeAt(0));
+
+const colorOperands = (color) => color.map(c => (c / 255).toFixed(3)).join(' ');
+
+/**
+ * Splits text into lines that fit a width, breaking at spaces.
+ * @param {string} text The text.
+ * @param {number} maxWidth Available width in points.
+ * @param {number} size Font size in points.
+ * @returns {string[]}
+ */
+export const wrapText = (text, maxWidth, size) => {
+    const maxChars = Math.max(1, Math.floor(maxWidth / (size * AVERAGE_CHAR_WIDTH)));
+    const lines = [];
+    String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (candidate.length > maxChars && line) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+};
+
+/**
+ * Builds a PDF document.
+ * @param {Array<Array<object>>} pages One list of drawing operations per page (see above).
+ * @param {object} [options]
+ * @param {{width: number, height: number}} [options.pageSize] Defaults to A4.
+ * @param {string} [options.title] Document title metadata.
+ * @returns {Blob} An application/pdf Blob.
+ */
+export const createPdf = (pages, { pageSize = PAGE_SIZES.a4, title = '' } = {}) => {
+    // Object numbers: 1 catalog, 2 page tree, 3 info, 4-5 fonts, then images, then pages and their contents
+    const images = [];
+    pages.flat().forEach(op => {
+        if (op.type === 'image' && !images.includes(op.image)) images.push(op.image);
+    });
+    const imageObject = (image) => 6 + images.indexOf(image);
+    const pageObject = (index) => 6 + images.length + index * 2;
+
+    const objects = {};
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pages.map((_, i) => `${pageObject(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = `<< /Title (${escapeText(title)}) /Producer (Jersey Designer) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`;
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[5] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    images.forEach(image => {
+        objects[imageObject(image)] = [
+            latin1Bytes(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>\nstream\n`),
+            image.jpeg,
+            latin1Bytes('\nendstream'),
+        ];
+    });
+
+    pages.forEach((ops, index) => {
+        const flipY = (y) => (pageSize.height - y).toFixed(2);
+        const content = ops.map(op => {
+            if (op.type === 'text') {
+                const color = colorOperands(op.color || [17, 24, 39]);
+                return `BT /${op.bold ? 'F2' : 'F1'} ${op.size || 10} Tf ${color} rg ${op.x.toFixed(2)} ${flipY(op.y)} Td (${escapeText(op.text)}) Tj ET`;
+            }
+            if (op.type === 'rect') {
+                const box = `${op.x.toFixed(2)} ${flipY(op.y + op.height)} ${op.width.toFixed(2)} ${op.height.toFixed(2)} re`;
+                return [
+                    op.fill ? `${colorOperands(op.fill)} rg ${box} f` : '',
+                    op.stroke ? `${colorOperands(op.stroke)} RG 0.75 w ${box} S` : '',
+                ].filter(Boolean).join('\n');
+            }
+            if (op.type === 'image') {
+                return `q ${op.width.toFixed(2)} 0 0 ${op.height.toFixed(2)} ${op.x.toFixed(2)} ${flipY(op.y + op.height)} cm /Im${images.indexOf(op.image)} Do Q`;
+            }
+            throw new Error(`Unknown PDF operation "${op.type}".`);
+        }).join('\n');
+
+        const xObjects = images.map((image, i) => `/Im${i} ${imageObject(image)} 0 R`).join(' ');
+        objects[pageObject(index)] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageSize.width} ${pageSize.height}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> /XObject << ${xObjects} >> >> /Contents ${pageObject(index) + 1} 0 R >>`;
+        const stream = latin1Bytes(content);
+        objects[pageObject(index) + 1] = [latin1Bytes(`<< /Length ${stream.length} >>\nstream\n`), stream, latin1Bytes('\nendstream')];
+    });
+
+    // Serialize, recording each object's byte offset for the cross-reference table
+    const chunks = [latin1Bytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+    let length = chunks[0].length;
+    const offsets = [];
+    const count = Object.keys(objects).length;
+    for (let n = 1; n <= count; n++) {
+        offsets[n] = length;
+        const body = Array.isArray(objects[n]) ? objects[n] : [latin1Bytes(objects[n])];
+        [latin1Bytes(`${n} 0 obj\n`), ...body, latin1Bytes('\nendobj\n')].forEach(chunk => {
+            chunks.push(chunk);
+            length += chunk.length;
+        });
+    }
+
+    const xref = [
+        'xref',
+        `0 ${count + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${count + 1} /Root 1 0 R /Info 3 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF',
+    ].join('\n');
+    chunks.push(latin1Bytes(xref));
+
+    return new Blob(chunks, { type: 'application/pdf' });
+};
@@ -0,0 +1,109 @@
+// --- PRESENTATION SHEETS ---
+
+/*
+  Lays several mockups out side by side on one canvas with a title, a label under each
+  panel and that panel's color swatches. Used for kit-set lineups and turnaround sheets.
+*/
+
+import { loadImage } from './compositing.js';
+
+const PANEL_SIZE = 768;
+const MARGIN = 48;
+const HEADER_HEIGHT = 120;
+const FOOTER_HEIGHT = 110;
+const SWATCH_SIZE = 36;
+// Room for one header swatch and its label/hex text
+const HEADER_SWATCH_WIDTH = 190;
+
+/**
+ * Renders a presentation sheet.
+ * @param {object} sheet
+ * @param {string} sheet.title Main heading (e.g. the team name).
+ * @param {string} [sheet.subtitle] Smaller line under the title.
+ * @param {Array<{label: string, imageUrl: string, colors?: string[]}>} sheet.panels One entry per mockup.
+ * @param {Array<{label: string, hex: string}>} [sheet.swatches] Sheet-wide colors, shown at the right of the header.
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export const renderPresentationSheet = async ({ title, subtitle = '', panels, swatches = [] }) => {
+    const images = await Promise.all(panels.map(panel => loadImage(panel.imageUrl)));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = MARGIN + panels.length * (PANEL_SIZE + MARGIN);
+    canvas.height = HEADER_HEIGHT + PANEL_SIZE + FOOTER_HEIGHT + MARGIN;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Header
+    ctx.fillStyle = '#111827';
+    ctx.font = 'bold 56px Inter, Arial, sans-serif';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(title, MARGIN, 72);
+    if (subtitle) {
+        ctx.fillStyle = '#6B7280';
+        ctx.font = '28px Inter, Arial, sans-serif';
+        ctx.fillText(subtitle, MARGIN, 108);
+    }
+
+    // Header swatches, laid out right to left so they stay clear of the title
+    swatches.forEach((swatch, j) => {
+        const sx = canvas.width - MARGIN - (swatches.length - j) * HEADER_SWATCH_WIDTH;
+        const sy = 40;
+        ctx.fillStyle = swatch.hex;
+        ctx.fillRect(sx, sy, SWATCH_SIZE, SWATCH_SIZE);
+        ctx.strokeStyle = '#D1D5DB';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(sx, sy, SWATCH_SIZE, SWATCH_SIZE);
+        ctx.fillStyle = '#374151';
+        ctx.font = '18px Inter, Arial, sans-serif';
+        ctx.fillText(swatch.label, sx + SWATCH_SIZE + 8, sy + 15);
+        ctx.font = '18px monospace';
+        ctx.fillText(swatch.hex, sx + SWATCH_SIZE + 8, sy + 36);
+    });
+
+    panels.forEach((panel, i) => {
+        const x = MARGIN + i * (PANEL_SIZE + MARGIN);
+        const y = HEADER_HEIGHT;
+        const img = images[i];
+
+        // Fit the mockup inside a square panel without distorting it
+        const scale = Math.min(PANEL_SIZE / img.naturalWidth, PANEL_SIZE / img.naturalHeight);
+        const w = img.naturalWidth * scale;
+        const h = img.naturalHeight * scale;
+        ctx.fillStyle = '#F3F4F6';
+        ctx.fillRect(x, y, PANEL_SIZE, PANEL_SIZE);
+        ctx.drawImage(img, x + (PANEL_SIZE - w) / 2, y + (PANEL_SIZE - h) / 2, w, h);
+
+        // Label and swatches
+        ctx.fillStyle = '#111827';
+        ctx.font = 'bold 32px Inter, Arial, sans-serif';
+        ctx.fillText(panel.label.toUpperCase(), x, y + PANEL_SIZE + 48);
+
+        (panel.colors || []).forEach((hex, j) => {
+            const sx = x + j * (SWATCH_SIZE + 100);
+            const sy = y + PANEL_SIZE + 64;
+            ctx.fillStyle = hex;
+            ctx.fillRect(sx, sy, SWATCH_SIZE, SWATCH_SIZE);
+            ctx.strokeStyle = '#D1D5DB';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(sx, sy, SWATCH_SIZE, SWATCH_SIZE);
+            ctx.fillStyle = '#374151';
+            ctx.font = '18px monospace';
+            ctx.fillText(hex, sx + SWATCH_SIZE + 8, sy + 25);
+        });
+    });
+
+    return canvas;
+};
+
+/**
+ * Converts a canvas to an image Blob.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type] Output MIME type.
+ * @param {number} [quality] 0–1, for lossy formats.
+ * @returns {Promise<Blob>}
+ */
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not export the image.'))), type, quality);
+});
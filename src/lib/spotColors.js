@@ -0,0 +1,51 @@
+// --- SPOT COLOR REFERENCES ---
+
+/*
+  A short list of solid spot colors common on team uniforms, with sRGB approximations of
+  their published coated values. Used to suggest the nearest reference on spec sheets.
+  Screen values are approximations: vendors must confirm against a physical swatch book.
+*/
+
+import { deltaEHex } from './color.js';
+
+export const SPOT_COLORS = [
+    { code: 'PMS 185 C', name: 'Bright Red', hex: '#E4002B' },
+    { code: 'PMS 186 C', name: 'Red', hex: '#C8102E' },
+    { code: 'PMS 200 C', name: 'Cardinal', hex: '#BA0C2F' },
+    { code: 'PMS 202 C', name: 'Maroon', hex: '#862633' },
+    { code: 'PMS 219 C', name: 'Pink', hex: '#DA1884' },
+    { code: 'PMS 021 C', name: 'Orange', hex: '#FE5000' },
+    { code: 'PMS 151 C', name: 'Light Orange', hex: '#FF8200' },
+    { code: 'PMS 1235 C', name: 'Athletic Gold', hex: '#FFB81C' },
+    { code: 'PMS 116 C', name: 'Yellow Gold', hex: '#FFCD00' },
+    { code: 'PMS Yellow C', name: 'Yellow', hex: '#FEDD00' },
+    { code: 'PMS 7407 C', name: 'Vegas Gold', hex: '#CBA052' },
+    { code: 'PMS 354 C', name: 'Kelly Green', hex: '#00B140' },
+    { code: 'PMS 348 C', name: 'Green', hex: '#00843D' },
+    { code: 'PMS 3425 C', name: 'Forest Green', hex: '#006341' },
+    { code: 'PMS 357 C', name: 'Hunter Green', hex: '#215732' },
+    { code: 'PMS 320 C', name: 'Teal', hex: '#009CA6' },
+    { code: 'PMS 2995 C', name: 'Sky Blue', hex: '#00A9E0' },
+    { code: 'PMS 3005 C', name: 'Columbia Blue', hex: '#0077C8' },
+    { code: 'PMS 286 C', name: 'Royal Blue', hex: '#0033A0' },
+    { code: 'PMS 287 C', name: 'Dark Royal', hex: '#003087' },
+    { code: 'PMS 281 C', name: 'Navy', hex: '#00205B' },
+    { code: 'PMS 282 C', name: 'Dark Navy', hex: '#041E42' },
+    { code: 'PMS 268 C', name: 'Purple', hex: '#582C83' },
+    { code: 'PMS 2685 C', name: 'Dark Purple', hex: '#330072' },
+    { code: 'PMS 4625 C', name: 'Brown', hex: '#4F2C1D' },
+    { code: 'PMS 428 C', name: 'Light Gray', hex: '#C1C6C8' },
+    { code: 'PMS 877 C', name: 'Silver', hex: '#8A8D8F' },
+    { code: 'PMS Cool Gray 11 C', name: 'Charcoal', hex: '#53565A' },
+    { code: 'PMS Black 6 C', name: 'Black', hex: '#101820' },
+    { code: 'White', name: 'White (no ink)', hex: '#FFFFFF' },
+];
+
+/**
+ * Finds the closest spot color reference by Delta-E 2000.
+ * @param {string} hex The color to match.
+ * @returns {{code: string, name: string, hex: string, deltaE: number}}
+ */
+export const nearestSpotColor = (hex) => SPOT_COLORS
+    .map(spot => ({ ...spot, deltaE: deltaEHex(hex, spot.hex) }))
+    .reduce((best, spot) => (spot.deltaE < best.deltaE ? spot : best));
@@ -0,0 +1,242 @@
+// --- PARAMETRIC SVG JERSEY ---
+
+/*
+  Draws a flat, front-view jersey as an SVG string straight from the design state, so color
+  and lettering changes show up instantly without an AI round trip. Each JERSEY_TYPES entry
+  has a template: a silhouette (tee, tank, sweater or singlet) plus the trim details that
+  make the sport recognizable (a baseball placket, hockey hem stripes, a cycling zipper...).
+
+  Colors follow the prompt: body in the primary, trim (collar, cuffs, armholes, lettering)
+  in the secondary, stripes and piping in the accent. The drawing uses a fixed 400x460
+  viewBox; all coordinates below are in that space, mirrored around x = 200.
+*/
+
+const VIEW_WIDTH = 400;
+const VIEW_HEIGHT = 460;
+const CENTER_X = VIEW_WIDTH / 2;
+const OUTLINE = '#111827';
+const LETTERING_FONT = "Impact, 'Arial Black', 'Helvetica Neue', sans-serif";
+
+/**
+ * The SVG template for each jersey type.
+ * silhouette: 'tee' | 'tank' | 'sweater' | 'singlet'; the sleeve garment option can override
+ * tee and tank. details: trim drawn on top of the body, see DETAILS below.
+ */
+export const SVG_JERSEY_TEMPLATES = {
+    basketball: { silhouette: 'tank', details: ['sideStripes'] },
+    soccer: { silhouette: 'tee', details: ['sleeveStripes'] },
+    football: { silhouette: 'tee', details: ['shoulderBands'] },
+    baseball: { silhouette: 'tee', details: ['placket', 'piping'] },
+    hockey: { silhouette: 'sweater', details: ['hemStripes', 'sleeveBands', 'laces'] },
+    volleyball: { silhouette: 'tee', details: ['sideStripes'] },
+    rugby: { silhouette: 'tee', details: ['chestHoops'] },
+    cycling: { silhouette: 'tee', details: ['zipper', 'hemGripper'] },
+    lacrosse: { silhouette: 'tank', details: ['sideStripes'] },
+    softball: { silhouette: 'tee', details: ['placket', 'piping'] },
+    track_and_field: { silhouette: 'tank', details: ['chestBand'] },
+    wrestling: { silhouette: 'singlet', details: ['sideStripes'] },
+    field_hockey: { silhouette: 'tee', details: ['sleeveStripes'] },
+};
+
+const DEFAULT_TEMPLATE = { silhouette: 'tee', details: [] };
+
+// How much the torso widens (relaxed) or narrows (slim) at the hem, per fit option
+const FIT_OFFSETS = { slim: -10, athletic: 0, relaxed: 10 };
+
+// Where the crest logo goes for each zone: a square box, plus where the lettering moves to
+const CREST_LAYOUTS = {
+    center_chest: { box: { x: 165, y: 92, size: 70 }, nameY: 205, numberY: 290 },
+    left_chest: { box: { x: 222, y: 92, size: 46 }, nameY: 180, numberY: 270 },
+    right_chest: { box: { x: 132, y: 92, size: 46 }, nameY: 180, numberY: 270 },
+    full_front: { box: { x: 120, y: 118, size: 160 }, nameY: 108, numberY: 350 },
+};
+const NO_CREST_LAYOUT = { box: null, nameY: 150, numberY: 250 };
+
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;',
+}[c]));
+
+const mirror = (points) => points.map(([x, y]) => [VIEW_WIDTH - x, y]).reverse();
+
+const polygon = (points) => `M ${points.map(([x, y]) => `${x} ${y}`).join(' L ')} Z`;
+
+// Neck opening from the right neck point back to the left one; a deeper `depth` scoops lower
+const neckSegment = (neckline, depth) => (neckline === 'v_neck'
+    ? `L ${CENTER_X} ${depth + 25} L 165 40`
+    : `Q ${CENTER_X} ${depth + 20} 165 40`);
+
+// Lowest point of that opening, where plackets and zippers start
+const neckBottom = (neckline, depth) => (neckline === 'v_neck' ? depth + 25 : (40 + depth + 20) / 2);
+
+// --- Silhouettes: body path, sleeve paths, cuff lines, armhole binding, neck depth and hem ---
+
+const SILHOUETTES = {
+    tee: (fit, sleeve, neckline) => {
+        const long = sleeve === 'long';
+        const leftSleeve = long
+            ? [[105, 62], [62, 300], [98, 306], [125, 152]]
+            : [[105, 62], [58, 136], [94, 162], [125, 148]];
+        const cuff = long ? [[62, 300], [98, 306]] : [[58, 136], [94, 162]];
+        const body = [[165, 40], [105, 62], [125 - fit / 2, 150], [128 - fit, 420], [272 + fit, 420], [275 + fit / 2, 150], [295, 62], [235, 40]];
+        return {
+            body: `M ${body.map(([x, y]) => `${x} ${y}`).join(' L ')} ${neckSegment(neckline, 58)} Z`,
+            sleeves: [polygon(leftSleeve), polygon(mirror(leftSleeve))],
+            cuffs: [cuff, mirror(cuff)],
+            armholes: [],
+            neckDepth: 58,
+            hemY: 420,
+        };
+    },
+    tank: (fit, sleeve, neckline) => ({
+        body: `M 165 40 L 140 44 Q 150 135 ${118 - fit / 2} 172 L ${125 - fit} 420 L ${275 + fit} 420 L ${282 + fit / 2} 172 Q 250 135 260 44 L 235 40 ${neckSegment(neckline, 62)} Z`,
+        sleeves: [],
+        cuffs: [],
+        armholes: [`M 140 44 Q 150 135 ${118 - fit / 2} 172`, `M 260 44 Q 250 135 ${282 + fit / 2} 172`],
+        neckDepth: 62,
+        hemY: 420,
+    }),
+    sweater: (fit, sleeve, neckline) => {
+        const leftSleeve = [[95, 66], [38, 300], [96, 312], [128, 160]];
+        const cuff = [[38, 300], [96, 312]];
+        const body = [[165, 40], [95, 66], [122 - fit / 2, 160], [114 - fit, 430], [286 + fit, 430], [278 + fit / 2, 160], [305, 66], [235, 40]];
+        return {
+            body: `M ${body.map(([x, y]) => `${x} ${y}`).join(' L ')} ${neckSegment(neckline, 58)} Z`,
+            sleeves: [polygon(leftSleeve), polygon(mirror(leftSleeve))],
+            cuffs: [cuff, mirror(cuff)],
+            armholes: [],
+            neckDepth: 58,
+            hemY: 430,
+        };
+    },
+    singlet: (fit, sleeve, neckline) => ({
+        body: `M 165 40 L 145 44 Q 155 140 ${128 - fit / 2} 175 L 132 330 L 122 430 L 192 430 L ${CENTER_X} 390 L 208 430 L 278 430 L 268 330 L ${272 + fit / 2} 175 Q 245 140 255 44 L 235 40 ${neckSegment(neckline, 90)} Z`,
+        sleeves: [],
+        cuffs: [],
+        armholes: [`M 145 44 Q 155 140 ${128 - fit / 2} 175`, `M 255 44 Q 245 140 ${272 + fit / 2} 175`],
+        neckDepth: 90,
+        hemY: 330,
+    }),
+};
+
+// Picks the silhouette, letting the sleeve option turn a tee into a tank (or back)
+const resolveSilhouette = (template, sleeve) => {
+    if (template.silhouette === 'tee' && sleeve === 'sleeveless') return 'tank';
+    if (template.silhouette === 'tank' && (sleeve === 'short' || sleeve === 'long' || sleeve === 'raglan')) return 'tee';
+    return template.silhouette;
+};
+
+// --- Details: each returns SVG markup drawn inside the garment clip ---
+
+const band = (y, height, fill) => `<rect x="0" y="${y}" width="${VIEW_WIDTH}" height="${height}" fill="${fill}"/>`;
+
+const DETAILS = {
+    sideStripes: ({ colors, shape }) => `<rect x="0" y="160" width="${VIEW_WIDTH}" height="${shape.hemY - 160}" fill="${colors.accent}" clip-path="url(#jersey-side-panels)"/>`,
+    sleeveStripes: ({ colors, shape }) => shape.cuffs.map(([[x1, y1], [x2, y2]]) => (
+        `<line x1="${x1}" y1="${y1 - 16}" x2="${x2}" y2="${y2 - 16}" stroke="${colors.accent}" stroke-width="5"/>`
+    )).join(''),
+    shoulderBands: ({ colors, shape }) => shape.cuffs.map(([[x1, y1], [x2, y2]]) => [-22, -34].map(offset => (
+        `<line x1="${x1 + 6}" y1="${y1 + offset}" x2="${x2 + 6}" y2="${y2 + offset}" stroke="${colors.accent}" stroke-width="6"/>`
+    )).join('')).join(''),
+    placket: ({ colors, shape }) => [
+        `<line x1="${CENTER_X}" y1="${shape.neckBottom}" x2="${CENTER_X}" y2="${shape.hemY}" stroke="${colors.secondary}" stroke-width="8"/>`,
+        ...[0, 1, 2, 3, 4].map(i => `<circle cx="${CENTER_X}" cy="${shape.neckBottom + 20 + i * 45}" r="3.5" fill="${colors.accent}"/>`),
+    ].join(''),
+    piping: ({ colors, shape }) => [CENTER_X - 10, CENTER_X + 10].map(x => (
+        `<line x1="${x}" y1="${shape.neckBottom}" x2="${x}" y2="${shape.hemY}" stroke="${colors.accent}" stroke-width="2"/>`
+    )).join(''),
+    hemStripes: ({ colors, shape }) => band(shape.hemY - 70, 16, colors.secondary) + band(shape.hemY - 50, 8, colors.accent) + band(shape.hemY - 38, 16, colors.secondary),
+    sleeveBands: ({ colors }) => `<g clip-path="url(#jersey-sleeves)">${band(225, 14, colors.secondary)}${band(243, 7, colors.accent)}${band(254, 14, colors.secondary)}</g>`,
+    laces: ({ colors, shape }) => [0, 1, 2].map(i => {
+        const y = shape.neckBottom - 12 + i * 9;
+        return `<line x1="${CENTER_X - 8}" y1="${y}" x2="${CENTER_X + 8}" y2="${y + 6}" stroke="${colors.secondary}" stroke-width="2"/>`
+            + `<line x1="${CENTER_X + 8}" y1="${y}" x2="${CENTER_X - 8}" y2="${y + 6}" stroke="${colors.secondary}" stroke-width="2"/>`;
+    }).join(''),
+    chestHoops: ({ colors }) => band(120, 26, colors.secondary) + band(150, 8, colors.accent) + band(162, 26, colors.secondary),
+    chestBand: ({ colors }) => band(180, 14, colors.accent),
+    zipper: ({ shape }) => `<line x1="${CENTER_X}" y1="${shape.neckBottom}" x2="${CENTER_X}" y2="${shape.hemY}" stroke="#9CA3AF" stroke-width="3"/>`
+        + `<rect x="${CENTER_X - 4}" y="${shape.neckBottom + 2}" width="8" height="16" rx="2" fill="#6B7280"/>`,
+    hemGripper: ({ colors, shape }) => band(shape.hemY - 12, 12, colors.secondary),
+};
+
+// Shrinks the font so long names stay inside the chest
+const letteringSize = (text, maxWidth, maxSize) => Math.min(maxSize, Math.floor(maxWidth / Math.max(1, text.length * 0.58)));
+
+/**
+ * Renders the front of a jersey as an SVG document.
+ * @param {object} design
+ * @param {string} design.jerseyType A JERSEY_TYPES value.
+ * @param {{primary: string, secondary: string, accent: string}} design.colors Hex colors.
+ * @param {string} [design.teamName] Lettered across the chest.
+ * @param {string} [design.playerNumber] Drawn under the team name.
+ * @param {{neckline?: string, sleeve?: string, fit?: string}} [design.garment] Garment options.
+ * @param {{url: string, zone: string}} [design.crest] The crest logo (use a data URL if the SVG
+ *   will be exported) and its LOGO_ZONES value.
+ * @returns {string} The SVG markup.
+ */
+export const renderJerseySvg = ({ jerseyType, colors, teamName = '', playerNumber = '', garment = {}, crest = null }) => {
+    const template = SVG_JERSEY_TEMPLATES[jerseyType] || DEFAULT_TEMPLATE;
+    const fit = FIT_OFFSETS[garment.fit] ?? 0;
+    const neckline = garment.neckline === 'v_neck' ? 'v_neck' : 'crew';
+    const outline = SILHOUETTES[resolveSilhouette(template, garment.sleeve)](fit, garment.sleeve, neckline);
+    const shape = { ...outline, neckBottom: neckBottom(neckline, outline.neckDepth) };
+    const layout = (crest?.url && CREST_LAYOUTS[crest.zone]) || NO_CREST_LAYOUT;
+    const garmentPaths = [shape.body, ...shape.sleeves];
+
+    // 1. Clip paths: the whole garment, the sleeves, and the side panels for side stripes
+    const defs = [
+        `<clipPath id="jersey-garment">${garmentPaths.map(d => `<path d="${d}"/>`).join('')}</clipPath>`,
+        `<clipPath id="jersey-sleeves">${shape.sleeves.map(d => `<path d="${d}"/>`).join('')}</clipPath>`,
+        `<clipPath id="jersey-side-panels"><rect x="${120 - fit}" y="0" width="22" height="${VIEW_HEIGHT}"/><rect x="${258 + fit}" y="0" width="22" height="${VIEW_HEIGHT}"/></clipPath>`,
+        '<linearGradient id="jersey-shading" x1="0" y1="0" x2="1" y2="0"><stop offset="0" stop-color="#000" stop-opacity="0.18"/><stop offset="0.35" stop-color="#fff" stop-opacity="0.08"/><stop offset="0.65" stop-color="#fff" stop-opacity="0.08"/><stop offset="1" stop-color="#000" stop-opacity="0.18"/></linearGradient>',
+    ];
+
+    // 2. Body and sleeves in the primary color; raglan sleeves take the secondary
+    const sleeveFill = garment.sleeve === 'raglan' ? colors.secondary : colors.primary;
+    const fills = [
+        `<path d="${shape.body}" fill="${colors.primary}"/>`,
+        ...shape.sleeves.map(d => `<path d="${d}" fill="${sleeveFill}"/>`),
+    ];
+
+    // 3. Sport details, clipped to the garment
+    const details = template.details.map(name => DETAILS[name]({ colors, shape })).join('');
+
+    // 4. Trim: collar, cuffs and armhole binding in the secondary color
+    const collar = `M 235 40 ${neckSegment(neckline, shape.neckDepth)}`;
+    const trim = [
+        `<path d="${collar}" fill="none" stroke="${colors.secondary}" stroke-width="9"/>`,
+        ...shape.cuffs.map(([[x1, y1], [x2, y2]]) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${colors.secondary}" stroke-width="10"/>`),
+        ...shape.armholes.map(d => `<path d="${d}" fill="none" stroke="${colors.secondary}" stroke-width="9"/>`),
+    ];
+    if (garment.neckline === 'polo' || garment.neckline === 'henley') {
+        trim.push(`<line x1="${CENTER_X}" y1="${shape.neckBottom}" x2="${CENTER_X}" y2="${shape.neckBottom + 45}" stroke="${colors.secondary}" stroke-width="6"/>`);
+        trim.push(...[12, 30].map(dy => `<circle cx="${CENTER_X}" cy="${shape.neckBottom + dy}" r="3" fill="${colors.accent}"/>`));
+    }
+    if (garment.neckline === 'polo') {
+        trim.push(`<path d="M 165 40 L 150 62 L 188 ${shape.neckBottom + 4} Z M 235 40 L 250 62 L 212 ${shape.neckBottom + 4} Z" fill="${colors.secondary}" stroke="${OUTLINE}" stroke-width="1.5"/>`);
+    }
+
+    // 5. Crest, team name and number
+    const marks = [];
+    if (layout.box) {
+        const { x, y, size } = layout.box;
+        marks.push(`<image href="${escapeXml(crest.url)}" x="${x}" y="${y}" width="${size}" height="${size}" preserveAspectRatio="xMidYMid meet"/>`);
+    }
+    const name = teamName.trim().toUpperCase();
+    if (name) {
+        marks.push(`<text x="${CENTER_X}" y="${layout.nameY}" text-anchor="middle" font-family="${LETTERING_FONT}" font-size="${letteringSize(name, 130, 38)}" fill="${colors.secondary}" stroke="${colors.accent}" stroke-width="1.5" paint-order="stroke">${escapeXml(name)}</text>`);
+    }
+    const number = String(playerNumber).trim();
+    if (number) {
+        marks.push(`<text x="${CENTER_X}" y="${layout.numberY}" text-anchor="middle" font-family="${LETTERING_FONT}" font-size="${letteringSize(number, 110, 84)}" fill="${colors.secondary}" stroke="${colors.accent}" stroke-width="2.5" paint-order="stroke">${escapeXml(number)}</text>`);
+    }
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}" width="${VIEW_WIDTH}" height="${VIEW_HEIGHT}">`,
+        `<defs>${defs.join('')}</defs>`,
+        ...fills,
+        `<g clip-path="url(#jersey-garment)">${details}${trim.join('')}<rect width="${VIEW_WIDTH}" height="${VIEW_HEIGHT}" fill="url(#jersey-shading)"/></g>`,
+        ...garmentPaths.map(d => `<path d="${d}" fill="none" stroke="${OUTLINE}" stroke-width="2" stroke-linejoin="round"/>`),
+        ...marks,
+        '</svg>',
+    ].join('\n');
+};
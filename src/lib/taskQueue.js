@@ -0,0 +1,32 @@
+// --- CONCURRENCY-LIMITED TASK RUNNER ---
+
+/**
+ * Runs async tasks with at most `concurrency` in flight at once.
+ * Each task's outcome is reported through the callbacks; one failure does not stop the others.
+ * @param {Array<() => Promise<any>>} tasks The work to run, in order.
+ * @param {object} options
+ * @param {number} [options.concurrency=2] Maximum tasks running at the same time.
+ * @param {(index: number) => void} [options.onStart] Called when a task starts.
+ * @param {(index: number, result: any) => void} [options.onSuccess] Called with a task's result.
+ * @param {(index: number, error: Error) => void} [options.onError] Called with a task's error.
+ * @returns {Promise<void>} Resolves when every task has settled.
+ */
+export const runWithConcurrency = async (tasks, { concurrency = 2, onStart, onSuccess, onError } = {}) => {
+    let next = 0;
+
+    const worker = async () => {
+        while (next < tasks.length) {
+            const index = next++;
+            onStart?.(index);
+            try {
+                const result = await tasks[index]();
+                onSuccess?.(index, result);
+            } catch (err) {
+                onError?.(index, err);
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, worker);
+    await Promise.all(workers);
+};
@@ -0,0 +1,164 @@
+// --- TECH PACK (PDF SPEC SHEET) ---
+
+/*
+  Builds the PDF handed to the sublimation vendor: the mockup, the garment spec, every color
+  as HEX/RGB/CMYK with the nearest spot color reference, logo placements (with the logo
+  images), design notes and a revision date.
+*/
+
+import { JERSEY_TYPES, JERSEY_VIEWS, LOGO_SLOTS, LOGO_ZONES } from '../../shared/designSpec.js';
+import { GARMENT_OPTIONS, STYLE_PRESETS } from '../../shared/garmentOptions.js';
+import { hexToRgb, rgbToCmyk } from './color.js';
+import { renderImageAs } from './imageExport.js';
+import { PAGE_SIZES, createPdf, wrapText } from './pdf.js';
+import { nearestSpotColor } from './spotColors.js';
+
+const MARGIN = 40;
+const FOOTER_SPACE = 50;
+const HEADER_HEIGHT = 70;
+const INK = [17, 24, 39];
+const MUTED = [107, 114, 128];
+const RULE = [209, 213, 219];
+
+const COLOR_ROLES = [
+    { key: 'primary', label: 'Primary (Body)' },
+    { key: 'secondary', label: 'Secondary (Trim/Numbers)' },
+    { key: 'accent', label: 'Accent' },
+];
+
+// Re-encodes an image as JPEG (the only image format the PDF writer embeds)
+const toPdfImage = async (url, maxSide) => {
+    const { blob, width, height } = await renderImageAs(url, { format: 'jpeg', maxSide, quality: 0.9 });
+    return { jpeg: new Uint8Array(await blob.arrayBuffer()), width, height };
+};
+
+/**
+ * Builds a tech pack PDF for a design.
+ * @param {object} options
+ * @param {object} options.spec A normalized design spec (see shared/designSpec.js).
+ * @param {string} options.mockupUrl The mockup image (data or object URL).
+ * @param {string} [options.notes] Extra production notes.
+ * @param {Date} [options.revisionDate] Defaults to now.
+ * @param {string} [options.pageSize] A PAGE_SIZES key.
+ * @returns {Promise<Blob>} The PDF.
+ */
+export const buildTechPack = async ({ spec, mockupUrl, notes = '', revisionDate = new Date(), pageSize = 'a4' }) => {
+    const page = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+    const contentWidth = page.width - MARGIN * 2;
+    const revision = revisionDate.toISOString().slice(0, 10);
+    const sport = JERSEY_TYPES.find(t => t.value === spec.jerseyType)?.label || spec.jerseyType;
+
+    const mockup = await toPdfImage(mockupUrl, 1600);
+    const logoImages = await Promise.all(spec.logos.map(logo => (
+        logo.image ? toPdfImage(`data:${logo.image.mimeType};base64,${logo.image.data}`, 256) : null
+    )));
+
+    // --- Layout: a cursor that starts a new page when the next block doesn't fit ---
+    const pages = [];
+    let ops;
+    let y;
+    const newPage = () => {
+        ops = [];
+        pages.push(ops);
+        ops.push({ type: 'rect', x: 0, y: 0, width: page.width, height: HEADER_HEIGHT, fill: INK });
+        ops.push({ type: 'text', x: MARGIN, y: 34, text: 'TECH PACK', size: 20, bold: true, color: [255, 255, 255] });
+        ops.push({ type: 'text', x: MARGIN, y: 56, text: `${spec.teamName || 'UNTITLED'} - ${sport}`, size: 12, color: [229, 231, 235] });
+        ops.push({ type: 'text', x: page.width - MARGIN - 120, y: 34, text: `Revision ${revision}`, size: 10, color: [229, 231, 235] });
+        y = HEADER_HEIGHT + 30;
+    };
+    const ensureSpace = (height) => {
+        if (y + height > page.height - FOOTER_SPACE) newPage();
+    };
+    const heading = (text) => {
+        ensureSpace(40);
+        y += 8;
+        ops.push({ type: 'text', x: MARGIN, y, text, size: 13, bold: true });
+        ops.push({ type: 'rect', x: MARGIN, y: y + 6, width: contentWidth, height: 0.75, fill: RULE });
+        y += 22;
+    };
+    const row = (label, value) => {
+        const lines = wrapText(value, contentWidth - 150, 10);
+        ensureSpace(lines.length * 14);
+        ops.push({ type: 'text', x: MARGIN, y, text: label, size: 10, bold: true });
+        lines.forEach((line, i) => ops.push({ type: 'text', x: MARGIN + 150, y: y + i * 14, text: line, size: 10 }));
+        y += lines.length * 14 + 2;
+    };
+
+    newPage();
+
+    // 1. Mockup
+    const mockupScale = Math.min(contentWidth / mockup.width, 300 / mockup.height);
+    const mockupWidth = mockup.width * mockupScale;
+    const mockupHeight = mockup.height * mockupScale;
+    ops.push({ type: 'image', x: MARGIN + (contentWidth - mockupWidth) / 2, y, width: mockupWidth, height: mockupHeight, image: mockup });
+    y += mockupHeight + 20;
+
+    // 2. Garment
+    heading('Garment');
+    const choiceLabel = (key) => GARMENT_OPTIONS.find(o => o.key === key).choices.find(c => c.value === spec.garment?.[key])?.label;
+    row('Sport', sport);
+    row('Cut', ['neckline', 'sleeve', 'fit'].map(key => {
+        const label = choiceLabel(key);
+        return label && `${GARMENT_OPTIONS.find(o => o.key === key).label}: ${label}`;
+    }).filter(Boolean).join(', ') || 'Standard');
+    row('Fabric finish', choiceLabel('fabric') || 'Standard');
+    row('Style preset', STYLE_PRESETS.find(p => p.value === spec.style)?.label || 'None');
+    row('Mockup view', JERSEY_VIEWS.find(v => v.value === spec.view)?.label || spec.view);
+    if (spec.playerName || spec.playerNumber) {
+        row('Player', [spec.playerName, spec.playerNumber && `#${spec.playerNumber}`].filter(Boolean).join(' '));
+    }
+
+    // 3. Colors
+    heading('Colors');
+    COLOR_ROLES.forEach(({ key, label }) => {
+        const hex = spec.colors[key];
+        const rgb = hexToRgb(hex);
+        const cmyk = rgbToCmyk(rgb);
+        const spot = nearestSpotColor(hex);
+        ensureSpace(40);
+        ops.push({ type: 'rect', x: MARGIN, y: y - 12, width: 30, height: 30, fill: [rgb.r, rgb.g, rgb.b], stroke: RULE });
+        ops.push({ type: 'text', x: MARGIN + 42, y, text: label, size: 10, bold: true });
+        ops.push({ type: 'text', x: MARGIN + 42, y: y + 14, text: `HEX ${hex}   RGB ${rgb.r}, ${rgb.g}, ${rgb.b}   CMYK ${cmyk.c}/${cmyk.m}/${cmyk.y}/${cmyk.k}`, size: 9 });
+        ops.push({ type: 'text', x: MARGIN + 340, y, text: `Nearest: ${spot.code}`, size: 10, bold: true });
+        ops.push({ type: 'text', x: MARGIN + 340, y: y + 14, text: `${spot.name}, dE ${spot.deltaE.toFixed(1)}${spot.deltaE > 5 ? ' (match by eye)' : ''}`, size: 9, color: MUTED });
+        y += 40;
+    });
+
+    // 4. Logo placements
+    heading('Logo Placements');
+    spec.logos.forEach((logo, i) => {
+        const slot = LOGO_SLOTS.find(s => s.value === logo.slot)?.label || logo.slot;
+        const zone = LOGO_ZONES.find(z => z.value === logo.zone)?.label || logo.zone;
+        const detail = logo.description || (logo.image ? 'Use the supplied artwork.' : 'Team name as a text decal (no artwork supplied).');
+        const lines = wrapText(detail, contentWidth - 60, 9);
+        ensureSpace(Math.max(44, 16 + lines.length * 12));
+        const image = logoImages[i];
+        if (image) {
+            const scale = Math.min(40 / image.width, 40 / image.height);
+            ops.push({ type: 'rect', x: MARGIN, y: y - 12, width: 40, height: 40, stroke: RULE });
+            ops.push({ type: 'image', x: MARGIN + (40 - image.width * scale) / 2, y: y - 12 + (40 - image.height * scale) / 2, width: image.width * scale, height: image.height * scale, image });
+        }
+        ops.push({ type: 'text', x: MARGIN + 52, y, text: `${slot} - ${zone}`, size: 10, bold: true });
+        lines.forEach((line, j) => ops.push({ type: 'text', x: MARGIN + 52, y: y + 14 + j * 12, text: line, size: 9 }));
+        y += Math.max(44, 16 + lines.length * 12);
+    });
+
+    // 5. Design notes
+    const noteText = [spec.designElements, notes.trim()].filter(Boolean).join('\n');
+    if (noteText) {
+        heading('Design Notes');
+        wrapText(noteText, contentWidth, 10).forEach(line => {
+            ensureSpace(14);
+            ops.push({ type: 'text', x: MARGIN, y, text: line, size: 10 });
+            y += 14;
+        });
+    }
+
+    // Footer on every page
+    pages.forEach((pageOps, i) => {
+        pageOps.push({ type: 'text', x: MARGIN, y: page.height - 24, text: 'Colors are screen approximations. Confirm spot colors against a physical swatch book before production.', size: 8, color: MUTED });
+        pageOps.push({ type: 'text', x: page.width - MARGIN - 50, y: page.height - 24, text: `Page ${i + 1} of ${pages.length}`, size: 8, color: MUTED });
+    });
+
+    return createPdf(pages, { pageSize: page, title: `${spec.teamName} ${sport} tech pack (${revision})` });
+};
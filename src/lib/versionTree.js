@@ -0,0 +1,87 @@
+// --- BRANCHABLE VERSION TREE ---
+
+/*
+  Refinements form a tree: every edit is a child of the version it was made from, so
+  refining an older version starts a new branch instead of discarding later work.
+  All functions are pure and return a new tree, which keeps them safe to use with React state.
+
+  Tree shape: { rootId, currentId, nodes: { [id]: { id, parentId, createdAt, ...data } } }
+*/
+
+let counter = 0;
+const nextId = () => `v${Date.now().toString(36)}-${(counter++).toString(36)}`;
+
+/**
+ * Starts a tree with a single root version.
+ * @param {object} data Version payload (image, label, ...).
+ * @returns {object} The tree, with the root as the current version.
+ */
+export const createVersionTree = (data) => {
+    const id = nextId();
+    return {
+        rootId: id,
+        currentId: id,
+        nodes: { [id]: { ...data, id, parentId: null, createdAt: Date.now() } },
+    };
+};
+
+/**
+ * Adds a child version and makes it current.
+ * @param {object} tree The tree.
+ * @param {string} parentId The version the child was derived from.
+ * @param {object} data Version payload.
+ * @returns {object} The new tree.
+ */
+export const addVersion = (tree, parentId, data) => {
+    const id = nextId();
+    return {
+        ...tree,
+        currentId: id,
+        nodes: { ...tree.nodes, [id]: { ...data, id, parentId, createdAt: Date.now() } },
+    };
+};
+
+/**
+ * Makes an existing version current.
+ * @param {object} tree The tree.
+ * @param {string} id The version to switch to.
+ * @returns {object} The new tree.
+ */
+export const checkoutVersion = (tree, id) => (tree.nodes[id] ? { ...tree, currentId: id } : tree);
+
+/**
+ * Moves back to the parent of the current version (no-op at the root).
+ * @param {object} tree The tree.
+ * @returns {object} The new tree.
+ */
+export const undoVersion = (tree) => {
+    const parentId = tree.nodes[tree.currentId]?.parentId;
+    return parentId ? { ...tree, currentId: parentId } : tree;
+};
+
+/**
+ * Lists the children of a version, oldest first.
+ * @param {object} tree The tree.
+ * @param {string} id The parent version.
+ * @returns {Array<object>}
+ */
+export const childVersions = (tree, id) => (
+    Object.values(tree.nodes)
+        .filter(node => node.parentId === id)
+        .sort((a, b) => a.createdAt - b.createdAt)
+);
+
+/**
+ * Flattens the tree depth-first for display, with each node's depth.
+ * @param {object} tree The tree.
+ * @returns {Array<{node: object, depth: number}>}
+ */
+export const flattenVersions = (tree) => {
+    const rows = [];
+    const visit = (id, depth) => {
+        rows.push({ node: tree.nodes[id], depth });
+        childVersions(tree, id).forEach(child => visit(child.id, depth + 1));
+    };
+    visit(tree.rootId, 0);
+    return rows;
+};
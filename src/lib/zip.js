@@ -0,0 +1,132 @@
+// --- STORE-ONLY ZIP WRITER ---
+
+/*
+  Generated mockups are already-compressed PNGs, so deflating them again gains nothing.
+  This writes an uncompressed ("stored") zip archive, which every unzip tool can read,
+  without pulling a compression library into the bundle.
+*/
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date/time fields used by zip headers
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Decodes base64 (without a data: prefix) into bytes.
+ * @param {string} base64 The encoded data.
+ * @returns {Uint8Array}
+ */
+export const base64ToBytes = (base64) => {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+};
+
+/**
+ * Makes file names unique within an archive by numbering repeats before the extension
+ * ("7-lee.png", "7-lee-2.png", ...), so extracting one entry doesn't overwrite another.
+ * @param {string[]} names The wanted names.
+ * @returns {string[]} The names, in the same order, with repeats renamed.
+ */
+export const uniqueFileNames = (names) => {
+    const taken = new Set();
+    return names.map(name => {
+        const dot = name.lastIndexOf('.');
+        const [stem, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+        let unique = name;
+        for (let n = 2; taken.has(unique.toLowerCase()); n++) {
+            unique = `${stem}-${n}${extension}`;
+        }
+        // Compared case-insensitively: Windows and macOS extract "A.png" and "a.png" to one file
+        taken.add(unique.toLowerCase());
+        return unique;
+    });
+};
+
+/**
+ * Builds a zip archive.
+ * @param {Array<{name: string, data: Uint8Array|string}>} files File names and contents (strings are UTF-8 encoded).
+ * @returns {Blob} The archive, typed application/zip.
+ */
+export const createZip = (files) => {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(new Date());
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        // Central directory entry
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true); // version made by
+        central.setUint16(6, 20, true); // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralDirectory.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...centralDirectory, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};
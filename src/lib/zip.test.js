@@ -0,0 +1,18 @@
+// --- ZIP WRITER TESTS ---
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { uniqueFileNames } from './zip.js';
+
+test('repeated file names are numbered before the extension', () => {
+    assert.deepEqual(uniqueFileNames(['7-lee-xl.png', '7-lee-xl.png', '7-lee-xl.png']), ['7-lee-xl.png', '7-lee-xl-2.png', '7-lee-xl-3.png']);
+});
+
+test('names differing only in case count as repeats', () => {
+    assert.deepEqual(uniqueFileNames(['Lee.png', 'lee.png']), ['Lee.png', 'lee-2.png']);
+});
+
+test('a numbered name never collides with one already taken', () => {
+    assert.deepEqual(uniqueFileNames(['a.png', 'a-2.png', 'a.png']), ['a.png', 'a-2.png', 'a-3.png']);
+    assert.deepEqual(uniqueFileNames(['roster', 'roster']), ['roster', 'roster-2']);
+});